@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT, err, nowISO, atomicWrite } = require('./helpers');
+const { log } = require('./log');
+
+// Users and API token hashes live in users.json, apart from the catalog. Browsers use
+// an HttpOnly session cookie; scripts send `Authorization: Bearer <token>`.
+const USERS_PATH = path.join(ROOT, 'users.json');
+// viewer reads; editor also writes and moves records to the trash; admin also deletes for
+// good, replaces whole collections and manages users, tokens and webhooks.
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours, sliding
+const SESSION_SWEEP_INTERVAL = 10 * 60 * 1000;
+const TOKEN_TOUCH_INTERVAL = 60 * 1000;   // a token's lastUsedAt is saved at most once a minute
+const ADMIN_PASSWORD_PATH = path.join(ROOT, 'admin-password.txt');
+const sessions = new Map(); // sid -> { username, expires }
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return `scrypt$${salt}$${crypto.scryptSync(String(password), salt, 32).toString('hex')}`;
+}
+function verifyPassword(password, stored) {
+    const [, salt, hash] = String(stored).split('$');
+    if (!salt || !hash) return false;
+    const a = Buffer.from(hashPassword(password, salt).split('$')[2], 'hex');
+    const b = Buffer.from(hash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+const tokenHash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Called when the server starts. Without users.json, creates "admin"; a generated password
+// goes to admin-password.txt (owner-only), never to the logs.
+let userStore = { users: [] };
+function loadUsers() {
+    if (fs.existsSync(USERS_PATH)) return (userStore = JSON.parse(fs.readFileSync(USERS_PATH, 'utf-8')));
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    userStore = { users: [{ username: 'admin', role: 'admin', password: hashPassword(password), tokens: [], createdAt: nowISO() }] };
+    saveUsers();
+    if (!process.env.ADMIN_PASSWORD) {
+        fs.writeFileSync(ADMIN_PASSWORD_PATH, password + '\n', { mode: 0o600 });
+        fs.chmodSync(ADMIN_PASSWORD_PATH, 0o600);   // mode only applies to a new file
+        log('warn', 'Created user "admin"; its password is in admin-password.txt', { username: 'admin', file: ADMIN_PASSWORD_PATH });
+    }
+    return userStore;
+}
+const saveUsers = () => atomicWrite(userStore, USERS_PATH);
+const findUser = (username) => userStore.users.find(u => u.username === username);
+const publicUser = (u) => ({ username: u.username, role: u.role, createdAt: u.createdAt });
+const listUsers = () => userStore.users.map(publicUser);
+
+function parseCookies(req) {
+    const out = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const i = part.indexOf('=');
+        if (i <= 0) continue;
+        const name = part.slice(0, i).trim(), value = part.slice(i + 1).trim();
+        try { out[name] = decodeURIComponent(value); } catch { out[name] = value; }
+    }
+    return out;
+}
+
+// Resolves the caller from a bearer token or session cookie; null when anonymous.
+function authenticate(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) {
+        const h = tokenHash(auth.slice(7).trim());
+        for (const u of userStore.users) {
+            const t = (u.tokens || []).find(t => t.hash === h);
+            if (!t) continue;
+            if (!t.lastUsedAt || Date.now() - Date.parse(t.lastUsedAt) >= TOKEN_TOUCH_INTERVAL) { t.lastUsedAt = nowISO(); saveUsers(); }
+            return { username: u.username, role: u.role, via: 'token', tokenId: t.id };
+        }
+        return null;
+    }
+    const sid = parseCookies(req).sid;
+    const s = sid && sessions.get(sid);
+    if (!s || s.expires < Date.now()) { if (s) sessions.delete(sid); return null; }
+    const u = findUser(s.username);
+    if (!u) return null;
+    s.expires = Date.now() + SESSION_TTL;
+    return { username: u.username, role: u.role, via: 'session' };
+}
+
+// Expired sessions are otherwise only dropped when their cookie comes back.
+function sweepSessions(now = Date.now()) {
+    for (const [sid, s] of sessions) if (s.expires < now) sessions.delete(sid);
+}
+
+function requireRole(user, role) {
+    if (!user) throw { code: 401, payload: err('Authentication required', 'UNAUTHORIZED') };
+    if (ROLES.indexOf(user.role) < ROLES.indexOf(role))
+        throw { code: 403, payload: err(`Requires ${role} role`, 'FORBIDDEN', { role: user.role, required: role }) };
+}
+
+function login(res, { username, password } = {}) {
+    const u = findUser(String(username || ''));
+    if (!u || !verifyPassword(password, u.password))
+        throw { code: 401, payload: err('Invalid username or password', 'UNAUTHORIZED') };
+    const sid = crypto.randomBytes(24).toString('base64url');
+    sessions.set(sid, { username: u.username, expires: Date.now() + SESSION_TTL });
+    res.setHeader('Set-Cookie', `sid=${sid}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL / 1000}`);
+    return publicUser(u);
+}
+function logout(req, res) {
+    sessions.delete(parseCookies(req).sid);
+    res.setHeader('Set-Cookie', 'sid=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0');
+}
+
+function validateUser(input, { partial = false } = {}) {
+    const problems = [];
+    if (!partial && (!input.username || !/^[\w.-]{2,40}$/.test(input.username))) problems.push('username must be 2..40 letters, digits, . _ -');
+    if ((!partial || 'password' in input) && String(input.password || '').length < 8) problems.push('password must be at least 8 characters');
+    if ((!partial || 'role' in input) && !ROLES.includes(input.role)) problems.push(`role must be one of ${ROLES.join(', ')}`);
+    if (problems.length) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+}
+function createUser(input) {
+    validateUser(input);
+    if (findUser(input.username)) throw { code: 409, payload: err('Username already exists', 'CONFLICT') };
+    const u = { username: input.username, role: input.role, password: hashPassword(input.password), tokens: [], createdAt: nowISO() };
+    userStore.users.push(u); saveUsers();
+    return publicUser(u);
+}
+// A new password signs the user out everywhere except the session that sent the change and
+// revokes their API tokens, so a stolen session or token stops working with the old password.
+// Demoting the last admin is refused: nobody could manage users or restore backups after it.
+function updateUser(username, patch, req) {
+    const u = findUser(username);
+    if (!u) throw { code: 404, payload: err('User not found', 'NOT_FOUND') };
+    validateUser(patch, { partial: true });
+    if (u.role === 'admin' && 'role' in patch && patch.role !== 'admin' && !userStore.users.some(o => o !== u && o.role === 'admin'))
+        throw { code: 409, payload: err('Cannot demote the last admin', 'CONFLICT', { username }) };
+    if ('role' in patch) u.role = patch.role;
+    if ('password' in patch) {
+        u.password = hashPassword(patch.password);
+        const current = parseCookies(req).sid;
+        for (const [sid, s] of sessions) if (s.username === username && sid !== current) sessions.delete(sid);
+        u.tokens = [];
+    }
+    saveUsers();
+    return publicUser(u);
+}
+function deleteUser(username, actor) {
+    if (username === actor.username) throw { code: 409, payload: err('You cannot delete yourself', 'CONFLICT') };
+    const i = userStore.users.findIndex(u => u.username === username);
+    if (i === -1) throw { code: 404, payload: err('User not found', 'NOT_FOUND') };
+    const [removed] = userStore.users.splice(i, 1); saveUsers();
+    for (const [sid, s] of sessions) if (s.username === username) sessions.delete(sid);
+    return publicUser(removed);
+}
+
+// The raw token is returned once; only its hash is stored.
+function createToken(user, { name } = {}) {
+    const u = findUser(user.username);
+    const token = 'csp_' + crypto.randomBytes(24).toString('base64url');
+    const t = { id: crypto.randomBytes(4).toString('hex'), name: String(name || 'token').slice(0, 60), hash: tokenHash(token), createdAt: nowISO(), lastUsedAt: null };
+    u.tokens = u.tokens || [];
+    u.tokens.push(t); saveUsers();
+    return { id: t.id, name: t.name, createdAt: t.createdAt, token };
+}
+function listTokens(user) {
+    return (findUser(user.username).tokens || []).map(({ hash, ...t }) => t);
+}
+function revokeToken(user, id) {
+    const u = findUser(user.username);
+    const i = (u.tokens || []).findIndex(t => t.id === id);
+    if (i === -1) throw { code: 404, payload: err('Token not found', 'NOT_FOUND') };
+    u.tokens.splice(i, 1); saveUsers();
+    return { id };
+}
+
+module.exports = { ROLES, SESSION_SWEEP_INTERVAL, loadUsers, listUsers, authenticate, sweepSessions, requireRole, login, logout, createUser, updateUser, deleteUser, createToken, listTokens, revokeToken };
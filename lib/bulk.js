@@ -0,0 +1,175 @@
+const { err, nowISO } = require('./helpers');
+const { COLLECTIONS, checkField } = require('./collections');
+const { store, persist } = require('./storage');
+const { findRecord, notFoundError, validateRecord, referencesTo, createRecord, updateRecord, replaceRecord, replacement, commitUpdate, deleteRecord, diffRecords, trashRecord } = require('./records');
+const { QUERY_ALIASES, filterAndSort } = require('./query');
+const { requireVersion } = require('./circulation');
+const { flagDuplicates } = require('./duplicates');
+
+/* -------------------------------- Bulk import ------------------------------ */
+const BULK_MODES = ['append', 'upsert', 'replace'];
+
+// Plans every item against the collection before anything is written, so `dryRun` and
+// `atomic` can report or refuse the whole batch. Returns a per-item report.
+// In replace mode an item whose id exists is that record's new whole document (as a PUT).
+function planBulk(col, items, mode) {
+    const existing = new Map(store.all(col.name).map(r => [r.id, r]));
+    const seen = new Set();
+    return items.map((raw, index) => {
+        const fail = (code, message, details) => ({ index, id: raw?.id ?? null, status: 'failed', error: { code, message, details } });
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('VALIDATION', 'Item must be an object');
+        if (raw.id != null && seen.has(String(raw.id))) return fail('CONFLICT', 'Duplicate id in this batch');
+        if (raw.id != null) seen.add(String(raw.id));
+        const cur = raw.id != null ? existing.get(String(raw.id)) : null;
+        if (cur?.deletedAt) return fail('CONFLICT', 'Record is in the trash; restore it first');
+
+        if (!cur) {
+            const { ok: valid, problems } = validateRecord(col, raw);
+            if (!valid) return fail('VALIDATION', 'Validation failed', problems);
+            return { index, id: raw.id ?? null, status: 'created', raw };
+        }
+        if (mode === 'append') return fail('CONFLICT', 'ID already exists');
+        if (raw.version != null && Number(raw.version) !== cur.version)
+            return fail('VERSION_CONFLICT', 'Version conflict', { expected: cur.version });
+        const { ok: valid, value, problems } = validateRecord(col, raw, { partial: mode === 'upsert' });
+        if (!valid) return fail('VALIDATION', 'Validation failed', problems);
+        const after = mode === 'replace' ? replacement(col, value) : value;
+        const changes = diffRecords(col, cur, { ...cur, ...after });
+        if (!changes.length) return { index, id: cur.id, status: 'skipped' };
+        return { index, id: cur.id, status: 'updated', changes: changes.map(c => c.field), raw };
+    });
+}
+
+// A replace is all or nothing unless the request says `atomic: false`: a batch with a
+// failing item would otherwise leave a cut-down catalog. Records the batch leaves out
+// go to the trash, where they can be restored until the retention purge.
+function bulkImport(col, { items = [], mode = 'append', atomic = mode === 'replace', dryRun = false } = {}, actor) {
+    if (!Array.isArray(items)) throw { code: 400, payload: err('items must be an array', 'VALIDATION') };
+    if (!BULK_MODES.includes(mode)) throw { code: 400, payload: err(`mode must be one of ${BULK_MODES.join(', ')}`, 'VALIDATION') };
+    const plan = planBulk(col, items, mode);
+    let dropped = [];
+    if (mode === 'replace') {
+        // Replacing may not strand references from other collections to ids the batch drops.
+        const kept = new Set(plan.filter(p => p.status !== 'failed' && p.id != null).map(p => String(p.id)));
+        dropped = store.all(col.name).filter(r => !r.deletedAt && !kept.has(r.id));
+        const refs = dropped.flatMap(r => referencesTo(col, r.id, { trashed: false })).filter(ref => ref.collection !== col.name);
+        if (refs.length) throw { code: 409, payload: err(`Replacing ${col.name} would break ${refs.length} reference(s)`, 'CONFLICT', { references: refs.slice(0, 50) }) };
+    }
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0, deleted: dropped.length };
+    for (const p of plan) counts[p.status]++;
+    const meta = { collection: col.name, mode, atomic: !!atomic, dryRun: !!dryRun, applied: false, counts };
+    if (col === COLLECTIONS.books) meta.possibleDuplicates = flagDuplicates(plan, mode);
+    const report = () => plan.map(({ raw, ...p }) => p);
+
+    if (dryRun) return { report: report(), meta };
+    if (atomic && counts.failed)
+        throw { code: 400, payload: err(`${counts.failed} item(s) failed validation; nothing was written`, 'VALIDATION', { items: report(), meta }) };
+
+    for (const r of dropped) commitUpdate(col, r, { deletedAt: nowISO() }, actor);
+    for (const p of plan) {
+        if (p.status === 'created') p.record = createRecord(col, p.raw, actor);
+        else if (p.status === 'updated') p.record = mode === 'replace' ? replaceRecord(col, p.id, p.raw, actor) : updateRecord(col, p.id, p.raw, actor);
+        if (p.record) p.id = p.record.id;
+    }
+    persist();
+    meta.applied = true;
+    return { report: report(), meta };
+}
+
+/* ------------------------------ Bulk edit/delete --------------------------- */
+// PATCH and DELETE on a collection apply to many records at once, chosen either by
+// `ids` or by `query` (the list endpoint's filters: { q, availability, trashed }).
+// Each record succeeds or fails on its own and gets a line in the per-item result;
+// `versions` ({ id: version }) adds the usual optimistic-concurrency check per record.
+const BULK_EDIT_MAX = 1000;
+const BULK_OPS = ['set', 'add', 'remove'];
+
+function bulkTargets(col, { ids, query } = {}) {
+    if (Array.isArray(ids) === (query != null))
+        throw { code: 400, payload: err('Provide either ids or query', 'VALIDATION', { field: 'ids' }) };
+    let targets;
+    if (ids) {
+        if (!ids.length) throw { code: 400, payload: err('ids must not be empty', 'VALIDATION', { field: 'ids' }) };
+        targets = [...new Set(ids.map(String))];
+    } else {
+        if (typeof query !== 'object' || Array.isArray(query)) throw { code: 400, payload: err('query must be an object of list filters', 'VALIDATION', { field: 'query' }) };
+        const searchParams = new URLSearchParams(Object.entries(query).filter(([k]) => ['q', 'availability', 'trashed'].includes(k)));
+        targets = filterAndSort(col, { searchParams }).list.map(r => r.id);
+    }
+    if (targets.length > BULK_EDIT_MAX)
+        throw { code: 400, payload: err(`At most ${BULK_EDIT_MAX} records per bulk request (matched ${targets.length})`, 'VALIDATION', { matched: targets.length }) };
+    return targets;
+}
+
+// ops: [{ op: 'set', field, value }, { op: 'add' | 'remove', field: 'tags', value: 'x' | ['x', 'y'] }]
+function checkBulkOps(col, ops) {
+    if (!Array.isArray(ops) || !ops.length) throw { code: 400, payload: err('ops must be a non-empty array', 'VALIDATION', { field: 'ops' }) };
+    return ops.map((o, i) => {
+        const bad = (message) => ({ code: 400, payload: err(`ops[${i}]: ${message}`, 'VALIDATION', { field: 'ops', index: i }) });
+        if (!o || !BULK_OPS.includes(o.op)) throw bad(`op must be one of ${BULK_OPS.join(', ')}`);
+        const f = col.byName[QUERY_ALIASES[o.field] || o.field];
+        if (!f || f.name === 'id' || !col.writable.includes(f.name)) throw bad(`"${o.field}" is not a writable field`);
+        if (o.op === 'set') {
+            const { problem } = checkField(f, o.value);
+            if (problem) throw bad(problem);
+            return { op: 'set', field: f.name, value: o.value };
+        }
+        if (f.type !== 'array') throw bad(`${o.op} needs an array field`);
+        const values = (Array.isArray(o.value) ? o.value : [o.value]).map(v => String(v ?? '').trim()).filter(Boolean);
+        if (!values.length) throw bad('value is required');
+        return { op: o.op, field: f.name, values };
+    });
+}
+
+function applyOps(record, ops) {
+    const patch = {};
+    for (const o of ops) {
+        const cur = o.field in patch ? patch[o.field] : record[o.field];
+        if (o.op === 'set') patch[o.field] = o.value;
+        else if (o.op === 'add') patch[o.field] = [...(cur || []), ...o.values.filter(v => !(cur || []).includes(v))];
+        else patch[o.field] = (cur || []).filter(v => !o.values.includes(v));
+    }
+    return patch;
+}
+
+// Runs `fn` for every id, turning the usual { code, payload } errors into failed items.
+function bulkEach(col, targets, fn) {
+    const results = targets.map(id => {
+        try { return { id, ...fn(id) }; }
+        catch (e) {
+            if (!e?.payload) throw e;
+            return { id, status: 'failed', error: e.payload.error };
+        }
+    });
+    const counts = { updated: 0, deleted: 0, skipped: 0, failed: 0 };
+    for (const r of results) counts[r.status]++;
+    return { results, meta: { collection: col.name, matched: targets.length, counts } };
+}
+
+function bulkPatch(col, { ids, query, ops, versions = {} }, actor) {
+    const checked = checkBulkOps(col, ops);
+    const targets = bulkTargets(col, { ids, query });
+    return bulkEach(col, targets, (id) => {
+        const cur = findRecord(col, id);
+        if (!cur) throw notFoundError(col, id);
+        const patch = applyOps(cur, checked);
+        const changes = diffRecords(col, cur, { ...cur, ...patch }).map(c => c.field);
+        if (!changes.length) return { status: 'skipped', version: cur.version };
+        const updated = updateRecord(col, id, { ...patch, version: versions[id] }, actor);
+        return { status: 'updated', version: updated.version, changes };
+    });
+}
+
+// Moves the records to the trash, or deletes them outright with permanent (admins only).
+function bulkDelete(col, { ids, query, versions = {}, permanent = false }, actor) {
+    const targets = bulkTargets(col, { ids, query });
+    return bulkEach(col, targets, (id) => {
+        const cur = permanent ? store.get(col.name, id) : findRecord(col, id);
+        if (!cur) throw notFoundError(col, id);
+        if (versions[id] != null) requireVersion(col, cur, versions[id]);
+        if (permanent) { deleteRecord(col, id); return { status: 'deleted' }; }
+        return { status: 'deleted', version: trashRecord(col, id, actor).version };
+    });
+}
+
+module.exports = { BULK_MODES, BULK_OPS, bulkImport, bulkPatch, bulkDelete };
@@ -0,0 +1,135 @@
+const { err, nowISO, DAY, clone } = require('./helpers');
+const { COLLECTIONS } = require('./collections');
+const { store } = require('./storage');
+const { findRecord, findOrFail, createRecord, commitUpdate } = require('./records');
+
+// Loans and holds are managed collections: they only change through checkout, return,
+// renew and the hold endpoints, which keep these invariants:
+//   - a book has at most one active loan (returnedAt null);
+//   - holds queue in creation order; on return the first waiting hold becomes "ready" and
+//     the book is kept for that patron until expiresAt;
+//   - every change to a book's loans or holds rewrites the book's derived `availability`,
+//     so it bumps the book's version. Checkout requires the book version the client saw,
+//     which is what turns a second concurrent checkout into a 409 VERSION_CONFLICT.
+const LOAN_DAYS = 14;
+const LOAN_MAX_DAYS = 90;
+const RENEWAL_CAP = 2;
+const HOLD_PICKUP_DAYS = 3;
+
+const activeLoan = (bookId) => store.all('loans').find(l => l.bookId === bookId && !l.returnedAt);
+// Open holds for a book in queue order (ready first, then waiting by age).
+function holdQueue(bookId) {
+    return store.all('holds')
+        .filter(h => h.bookId === bookId && (h.status === 'waiting' || h.status === 'ready'))
+        .sort((a, b) => (a.status === 'ready' ? 0 : 1) - (b.status === 'ready' ? 0 : 1) || (a.createdAt > b.createdAt ? 1 : a.createdAt < b.createdAt ? -1 : 0));
+}
+function bookAvailability(bookId) {
+    if (activeLoan(bookId)) return 'on-loan';
+    if (holdQueue(bookId).some(h => h.status === 'ready')) return 'on-hold';
+    return 'available';
+}
+COLLECTIONS.books.derive = (b) => ({ availability: bookAvailability(b.id) });
+
+function requireVersion(col, record, version) {
+    if (version == null) throw { code: 400, payload: err('version is required', 'VALIDATION', { field: 'version' }) };
+    if (Number(version) !== record.version)
+        throw { code: 409, payload: err('Version conflict', 'VERSION_CONFLICT', { expected: record.version, current: clone(record) }) };
+}
+// Re-derives the book's availability; writes (and bumps its version) only when it changed.
+function syncBook(bookId, actor) {
+    const books = COLLECTIONS.books;
+    const book = findRecord(books, bookId);
+    if (!book || book.availability === bookAvailability(bookId)) return book;
+    return commitUpdate(books, book, {}, actor);
+}
+// After a return or a cancelled/expired ready hold: the next waiting patron gets the book.
+function promoteHold(bookId, actor) {
+    if (activeLoan(bookId) || holdQueue(bookId).some(h => h.status === 'ready')) return null;
+    const next = holdQueue(bookId)[0];
+    if (!next) return null;
+    return commitUpdate(COLLECTIONS.holds, next, { status: 'ready', expiresAt: new Date(Date.now() + HOLD_PICKUP_DAYS * DAY).toISOString() }, actor);
+}
+// Ready holds past their pick-up date lapse lazily, whenever the book is touched.
+function expireHolds(bookId, actor) {
+    const now = nowISO();
+    for (const h of holdQueue(bookId)) {
+        if (h.status === 'ready' && h.expiresAt && h.expiresAt < now) commitUpdate(COLLECTIONS.holds, h, { status: 'expired' }, actor);
+    }
+    promoteHold(bookId, actor);
+    syncBook(bookId, actor);
+}
+
+function checkout(bookId, { borrower, days = LOAN_DAYS, version } = {}, actor) {
+    const book = findOrFail(COLLECTIONS.books, bookId);
+    requireVersion(COLLECTIONS.books, book, version);
+    expireHolds(bookId, actor);
+    const who = borrower || actor?.username;
+    const n = Number(days);
+    if (!Number.isInteger(n) || n < 1 || n > LOAN_MAX_DAYS) throw { code: 400, payload: err(`days must be an integer 1..${LOAN_MAX_DAYS}`, 'VALIDATION', { field: 'days' }) };
+    const current = activeLoan(bookId);
+    if (current) throw { code: 409, payload: err('Book is already checked out', 'CONFLICT', { loan: current }) };
+    const ready = holdQueue(bookId).find(h => h.status === 'ready');
+    if (ready && ready.patron !== who) throw { code: 409, payload: err(`Book is on hold for ${ready.patron}`, 'CONFLICT', { hold: ready }) };
+
+    const loan = createRecord(COLLECTIONS.loans, { bookId, borrower: who, dueAt: new Date(Date.now() + n * DAY).toISOString() }, actor);
+    if (ready) commitUpdate(COLLECTIONS.holds, ready, { status: 'fulfilled' }, actor);
+    return { loan, book: syncBook(bookId, actor) };
+}
+
+// Closes the book's active loan. `version` (the book's) is optional here: returning
+// can't double up, but a client that sends it still gets the usual conflict check.
+function returnBook(bookId, { version } = {}, actor) {
+    const book = findOrFail(COLLECTIONS.books, bookId);
+    if (version != null) requireVersion(COLLECTIONS.books, book, version);
+    const loan = activeLoan(bookId);
+    if (!loan) throw { code: 409, payload: err('Book is not checked out', 'CONFLICT') };
+    const returned = commitUpdate(COLLECTIONS.loans, loan, { returnedAt: nowISO() }, actor);
+    const hold = promoteHold(bookId, actor);
+    return { loan: returned, hold, book: syncBook(bookId, actor) };
+}
+
+function renewLoan(loanId, { version } = {}, actor) {
+    const loan = findOrFail(COLLECTIONS.loans, loanId);
+    requireVersion(COLLECTIONS.loans, loan, version);
+    if (loan.returnedAt) throw { code: 409, payload: err('Loan has already been returned', 'CONFLICT') };
+    if (loan.renewals >= RENEWAL_CAP) throw { code: 409, payload: err(`Renewal limit of ${RENEWAL_CAP} reached`, 'CONFLICT', { renewals: loan.renewals, cap: RENEWAL_CAP }) };
+    const waiting = holdQueue(loan.bookId).length;
+    if (waiting) throw { code: 409, payload: err(`${waiting} patron(s) are waiting for this book`, 'CONFLICT', { holds: waiting }) };
+    const from = Math.max(Date.now(), Date.parse(loan.dueAt) || 0);
+    return commitUpdate(COLLECTIONS.loans, loan, { dueAt: new Date(from + LOAN_DAYS * DAY).toISOString(), renewals: loan.renewals + 1 }, actor);
+}
+
+function placeHold(bookId, { patron } = {}, actor) {
+    findOrFail(COLLECTIONS.books, bookId);
+    expireHolds(bookId, actor);
+    const who = patron || actor?.username;
+    if (bookAvailability(bookId) === 'available') throw { code: 409, payload: err('Book is available; check it out instead', 'CONFLICT') };
+    if (activeLoan(bookId)?.borrower === who) throw { code: 409, payload: err(`${who} already has this book`, 'CONFLICT') };
+    if (holdQueue(bookId).some(h => h.patron === who)) throw { code: 409, payload: err(`${who} is already in the hold queue`, 'CONFLICT') };
+    const hold = createRecord(COLLECTIONS.holds, { bookId, patron: who }, actor);
+    return { hold, position: holdQueue(bookId).findIndex(h => h.id === hold.id) + 1 };
+}
+
+function cancelHold(holdId, actor) {
+    const hold = findOrFail(COLLECTIONS.holds, holdId);
+    if (hold.status !== 'waiting' && hold.status !== 'ready') throw { code: 409, payload: err(`Hold is already ${hold.status}`, 'CONFLICT') };
+    const cancelled = commitUpdate(COLLECTIONS.holds, hold, { status: 'cancelled' }, actor);
+    promoteHold(hold.bookId, actor);
+    syncBook(hold.bookId, actor);
+    return cancelled;
+}
+
+// Generic create/update/delete/bulk/revert would bypass the invariants above.
+function requireUnmanaged(col) {
+    if (col.managed) throw { code: 405, payload: err(`${col.label} change only through the circulation endpoints (checkout, return, renew, holds)`, 'METHOD_NOT_ALLOWED') };
+}
+
+// Active loans past their due date, most overdue first.
+function overdueLoans(now = Date.now()) {
+    return store.all('loans')
+        .filter(l => !l.returnedAt && l.dueAt && Date.parse(l.dueAt) < now)
+        .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt))
+        .map(l => ({ ...l, title: findRecord(COLLECTIONS.books, l.bookId)?.title ?? null, daysOverdue: Math.floor((now - Date.parse(l.dueAt)) / DAY) }));
+}
+
+module.exports = { LOAN_MAX_DAYS, activeLoan, holdQueue, requireVersion, checkout, returnBook, renewLoan, placeHold, cancelHold, requireUnmanaged, overdueLoans };
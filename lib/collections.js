@@ -0,0 +1,170 @@
+const { err } = require('./helpers');
+
+// Every collection (books, authors, ...) is declared here with its schema. Validation,
+// migrateDb defaults, the query language, sort indexes, import/export columns and the
+// client form, table and collection switcher (GET /api/schema) all derive from it, so
+// adding a field or a whole collection is enough. Field options:
+//   type        string | integer | number | datetime | array (of `items`)
+//   required, default, label, placeholder
+//   min/max, step (numbers are rounded to it); minLength/maxLength/pattern/enum (strings);
+//   minItems/maxItems (arrays)
+//   ref         name of another collection: the value must be an id there, and the target
+//               can't be deleted while anything still points at it
+//   readOnly    maintained by the server; sortable: gets a sort index; column: shown in the table;
+//   text        searched by bare words in `q`
+//   search      full-text indexed with this weight (a number) for relevance ranking
+//   facet       offered as a facet by the client (?facets= accepts any string/array/number field);
+//   bucket      width of the ranges numbers are counted in, for facets and /api/stats histograms
+// Collection options: label, noun (singular, for messages), idPrefix for generated ids,
+// display (the field that names a record), defaultSort, plus
+//   managed     only changed through dedicated endpoints (circulation); generic writes are refused
+//   derive      record -> readOnly fields computed from other collections, refreshed on every write
+//   active      record -> whether its references still keep their targets from being deleted
+//               (without it, every live record does): a returned loan is history, not a hold-up
+// Every collection gets the id and the system fields below; the createdBy/updatedBy audit
+// stamps sit outside the schema.
+const AVAILABILITY = ['available', 'on-loan', 'on-hold'];
+const HOLD_STATUSES = ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'];
+const QUERY_KINDS = { string: 'string', integer: 'number', number: 'number', datetime: 'date', array: 'tag' };
+const ID_FIELD = { name: 'id', label: 'ID', type: 'string', maxLength: 64, pattern: '^[^/\\s]+$', sortable: true, column: true, text: true, placeholder: 'Leave empty to auto-generate' };
+const SYSTEM_FIELD_NAMES = ['createdAt', 'updatedAt', 'version'];
+const SYSTEM_FIELDS = [
+    { name: 'createdAt', label: 'Created', type: 'datetime', readOnly: true, sortable: true },
+    { name: 'updatedAt', label: 'Updated', type: 'datetime', readOnly: true, sortable: true, column: true },
+    { name: 'deletedAt', label: 'Deleted', type: 'datetime', readOnly: true, default: null, sortable: true },
+    { name: 'version', label: 'Version', type: 'integer', readOnly: true }
+];
+
+function defineCollection(name, { fields, ...options }) {
+    const all = [ID_FIELD, ...fields, ...SYSTEM_FIELDS];
+    const names = (pred) => all.filter(pred).map(f => f.name);
+    const writable = names(f => !f.readOnly);
+    return {
+        name, ...options,
+        fields: all,
+        byName: Object.fromEntries(all.map(f => [f.name, f])),
+        writable,
+        sortable: names(f => f.sortable),
+        text: names(f => f.text),
+        refs: all.filter(f => f.ref),
+        revisionFields: names(f => f.name !== 'id' && !SYSTEM_FIELD_NAMES.includes(f.name)),
+        queryFields: Object.fromEntries(all.map(f => [f.name, QUERY_KINDS[f.type]])),
+        exportFields: all.map(f => f.name),
+        importFields: [...writable, 'version']
+    };
+}
+
+const COLLECTIONS = Object.fromEntries([
+    defineCollection('books', {
+        label: 'Books', noun: 'Book', idPrefix: 'b', display: 'title', defaultSort: 'title',
+        fields: [
+            { name: 'title', label: 'Title', type: 'string', required: true, maxLength: 500, sortable: true, column: true, text: true, search: 3, placeholder: 'e.g., The Pragmatic Programmer' },
+            { name: 'author', label: 'Author', type: 'string', maxLength: 300, default: 'Unknown', sortable: true, column: true, text: true, search: 2, facet: true, placeholder: 'e.g., Andy Hunt, Dave Thomas' },
+            { name: 'year', label: 'Year', type: 'integer', min: 0, max: 3000, default: null, sortable: true, column: true, facet: true, bucket: 10, placeholder: 'e.g., 1999' },
+            { name: 'rating', label: 'Rating', type: 'number', min: 0, max: 5, step: 0.1, default: null, sortable: true, column: true, facet: true, bucket: 1, placeholder: 'e.g., 4.7' },
+            { name: 'tags', label: 'Tags', type: 'array', items: { type: 'string', minLength: 1, maxLength: 50 }, maxItems: 20, default: [], column: true, text: true, search: 1, facet: true, placeholder: 'comma,separated,tags' },
+            { name: 'isbn', label: 'ISBN', type: 'string', pattern: '^(?:\\d[- ]?){9}[\\dXx]$|^(?:\\d[- ]?){12}\\d$', default: null, text: true, placeholder: 'e.g., 978-0201616224' },
+            { name: 'publisher', label: 'Publisher', type: 'string', maxLength: 200, default: null, sortable: true, text: true, placeholder: 'e.g., Addison-Wesley' },
+            { name: 'language', label: 'Language', type: 'string', enum: ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'ru', 'ja', 'zh', 'other'], default: null },
+            { name: 'authorId', label: 'Author record', type: 'string', ref: 'authors', default: null },
+            { name: 'publisherId', label: 'Publisher record', type: 'string', ref: 'publishers', default: null },
+            { name: 'availability', label: 'Availability', type: 'string', enum: AVAILABILITY, readOnly: true, default: 'available', sortable: true, column: true, facet: true },
+            { name: 'mergedFrom', label: 'Merged from', type: 'array', items: { type: 'string' }, readOnly: true, default: [] }
+        ]
+        // derive (availability from loans and holds) is attached by lib/circulation.js.
+    }),
+    defineCollection('authors', {
+        label: 'Authors', noun: 'Author', idPrefix: 'a', display: 'name', defaultSort: 'name',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', required: true, maxLength: 300, sortable: true, column: true, text: true, placeholder: 'e.g., Martin Kleppmann' },
+            { name: 'born', label: 'Born', type: 'integer', min: 0, max: 3000, default: null, sortable: true, column: true, placeholder: 'e.g., 1983' },
+            { name: 'country', label: 'Country', type: 'string', maxLength: 100, default: null, sortable: true, column: true, text: true, placeholder: 'e.g., United Kingdom' }
+        ]
+    }),
+    defineCollection('publishers', {
+        label: 'Publishers', noun: 'Publisher', idPrefix: 'p', display: 'name', defaultSort: 'name',
+        fields: [
+            { name: 'name', label: 'Name', type: 'string', required: true, maxLength: 300, sortable: true, column: true, text: true, placeholder: "e.g., O'Reilly Media" },
+            { name: 'city', label: 'City', type: 'string', maxLength: 100, default: null, sortable: true, column: true, text: true, placeholder: 'e.g., Sebastopol' },
+            { name: 'website', label: 'Website', type: 'string', maxLength: 300, pattern: '^https?://\\S+$', default: null, column: true, placeholder: 'https://…' }
+        ]
+    }),
+    defineCollection('loans', {
+        label: 'Loans', noun: 'Loan', idPrefix: 'l', display: 'bookId', defaultSort: 'dueAt', managed: true,
+        active: (r) => !r.returnedAt,
+        fields: [
+            { name: 'bookId', label: 'Book', type: 'string', required: true, ref: 'books', sortable: true, column: true, text: true },
+            { name: 'borrower', label: 'Borrower', type: 'string', required: true, maxLength: 200, sortable: true, column: true, text: true, placeholder: 'e.g., alice' },
+            { name: 'dueAt', label: 'Due', type: 'datetime', required: true, sortable: true, column: true },
+            { name: 'returnedAt', label: 'Returned', type: 'datetime', readOnly: true, default: null, sortable: true, column: true },
+            { name: 'renewals', label: 'Renewals', type: 'integer', readOnly: true, default: 0, column: true }
+        ]
+    }),
+    defineCollection('holds', {
+        label: 'Holds', noun: 'Hold', idPrefix: 'h', display: 'bookId', defaultSort: 'createdAt', managed: true,
+        active: (r) => r.status === 'waiting' || r.status === 'ready',
+        fields: [
+            { name: 'bookId', label: 'Book', type: 'string', required: true, ref: 'books', sortable: true, column: true, text: true },
+            { name: 'patron', label: 'Patron', type: 'string', required: true, maxLength: 200, sortable: true, column: true, text: true },
+            { name: 'status', label: 'Status', type: 'string', enum: HOLD_STATUSES, readOnly: true, default: 'waiting', sortable: true, column: true, facet: true },
+            { name: 'expiresAt', label: 'Pick up by', type: 'datetime', readOnly: true, default: null, sortable: true, column: true }
+        ]
+    })
+].map(c => [c.name, c]));
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+function getCollection(name) {
+    const col = COLLECTIONS[name];
+    if (!col) throw { code: 404, payload: err(`Unknown collection "${name}"`, 'NOT_FOUND') };
+    return col;
+}
+// The part of a collection definition clients see at GET /api/schema.
+const publicSchema = ({ name, label, noun, display, defaultSort, managed, fields }) => ({ name, label, noun, display, defaultSort, managed: !!managed, fields });
+
+// Checks and coerces one value against its field definition: { value } or { problem }.
+// Empty values become null ([] for arrays) unless the field is required.
+function checkField(f, v) {
+    const { name } = f;
+    const problem = (p) => ({ problem: `${name} ${p}` });
+    if (v == null || v === '') return f.required ? problem('is required') : { value: f.type === 'array' ? [] : null };
+    switch (f.type) {
+        case 'string': {
+            if (typeof v !== 'string' && typeof v !== 'number') return problem('must be a string');
+            const s = String(v);
+            if (f.minLength != null && s.length < f.minLength) return problem(`must be at least ${f.minLength} characters`);
+            if (f.maxLength != null && s.length > f.maxLength) return problem(`must be at most ${f.maxLength} characters`);
+            if (f.enum && !f.enum.includes(s)) return problem(`must be one of ${f.enum.join(', ')}`);
+            if (f.pattern && !new RegExp(f.pattern).test(s)) return problem('has an invalid format');
+            return { value: s };
+        }
+        case 'integer':
+        case 'number': {
+            let n = Number(v);
+            const range = f.min != null && f.max != null ? ` ${f.min}..${f.max}` : '';
+            if (typeof v === 'boolean' || Number.isNaN(n) || (f.type === 'integer' && !Number.isInteger(n)))
+                return problem(`must be ${f.type === 'integer' ? 'an integer' : 'a number'}${range}`);
+            if ((f.min != null && n < f.min) || (f.max != null && n > f.max)) return problem(`must be${range}`);
+            if (f.step) { const k = Math.round(1 / f.step); n = Math.round(n * k) / k; }
+            return { value: n };
+        }
+        case 'datetime': {
+            const d = Date.parse(v);
+            return Number.isNaN(d) ? problem('must be a date') : { value: new Date(d).toISOString() };
+        }
+        case 'array': {
+            if (!Array.isArray(v)) return problem(`must be an array of ${f.items.type}s`);
+            if (f.minItems != null && v.length < f.minItems) return problem(`needs at least ${f.minItems} items`);
+            if (f.maxItems != null && v.length > f.maxItems) return problem(`allows at most ${f.maxItems} items`);
+            const out = [];
+            for (let i = 0; i < v.length; i++) {
+                const r = checkField({ ...f.items, name: `${name}[${i}]`, required: true }, v[i]);
+                if (r.problem) return r;
+                out.push(r.value);
+            }
+            return { value: out };
+        }
+    }
+    return { value: v };
+}
+
+module.exports = { AVAILABILITY, HOLD_STATUSES, SYSTEM_FIELD_NAMES, COLLECTIONS, COLLECTION_NAMES, getCollection, publicSchema, checkField };
@@ -0,0 +1,250 @@
+const { err, clone, intParam } = require('./helpers');
+const { COLLECTIONS } = require('./collections');
+const { store } = require('./storage');
+const { fold } = require('./search');
+const { findRecord, notFoundError, validateRecord, checkVersion, commitUpdate, diffRecords, trashRecord } = require('./records');
+const { activeLoan, holdQueue } = require('./circulation');
+
+// Books that are probably the same work: the same ISBN (ISBN-10 and -13 compare equal), or
+// titles and authors that match once case, accents, punctuation, subtitles and name order
+// are set aside ("Designing Data-Intensive Applications" by "Martin Kleppmann" and
+// "Designing Data Intensive Applications" by "M. Kleppmann"). Two different ISBNs mean
+// different editions, which are never flagged. Creates and imports report candidates as
+// warnings; GET /api/books/duplicates lists them in groups; POST /api/books/merge folds
+// records into one.
+const DUPLICATE_THRESHOLD = 0.85;
+const TITLE_STOPWORDS = new Set(['the', 'a', 'an', 'of', 'and', 'to', 'in', 'on', 'for']);
+const UNKNOWN_AUTHORS = new Set(['', 'unknown', 'anonymous', 'various']);
+
+const normText = (s) => fold(String(s ?? '')).replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// ISBN-13 digits, or null. ISBN-10s get the 978 prefix and a recomputed check digit.
+function normIsbn(s) {
+    const raw = String(s ?? '').toUpperCase().replace(/[^0-9X]/g, '');
+    if (/^\d{13}$/.test(raw)) return raw;
+    if (!/^\d{9}[\dX]$/.test(raw)) return null;
+    const body = '978' + raw.slice(0, 9);
+    const sum = [...body].reduce((n, d, i) => n + Number(d) * (i % 2 ? 3 : 1), 0);
+    return body + ((10 - (sum % 10)) % 10);
+}
+
+// Title words without stopwords, and the same for the main title (before ":" or " - ").
+function titleKey(title) {
+    const words = (s) => normText(s).split(' ').filter(w => w && !TITLE_STOPWORDS.has(w)).join(' ');
+    return { full: words(title), main: words(String(title ?? '').split(/:| - /)[0]) };
+}
+
+// The first author as { last, initials }; "Kleppmann, Martin" is read as "Martin Kleppmann",
+// "Andy Hunt, Dave Thomas" as two authors. null for unknown authors.
+function authorKey(author) {
+    let s = String(author ?? '');
+    const parts = s.split(',');
+    if (parts.length === 2 && !/\s/.test(parts[0].trim()) && !/\band\b|&|;/.test(s)) s = `${parts[1]} ${parts[0]}`;
+    else s = s.split(/,|;|&|\band\b/)[0];
+    const words = normText(s).split(' ').filter(Boolean);
+    if (UNKNOWN_AUTHORS.has(words.join(' '))) return null;
+    return { full: words.join(' '), last: words[words.length - 1], initials: words.slice(0, -1).map(w => w[0]).join('') };
+}
+
+// Sørensen–Dice coefficient over character bigrams: 1 for equal strings.
+function dice(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const grams = new Map();
+    for (let i = 0; i < a.length - 1; i++) { const g = a.slice(i, i + 2); grams.set(g, (grams.get(g) || 0) + 1); }
+    let hits = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const g = b.slice(i, i + 2);
+        if (grams.get(g) > 0) { hits++; grams.set(g, grams.get(g) - 1); }
+    }
+    return (2 * hits) / (a.length + b.length - 2);
+}
+
+// Same surname with compatible initials ("M." and "Martin") counts as the same person.
+function authorSimilarity(a, b) {
+    if (a.last === b.last) {
+        const n = Math.min(a.initials.length, b.initials.length);
+        return a.initials.slice(0, n) === b.initials.slice(0, n) ? 1 : 0.5;
+    }
+    return dice(a.full, b.full);
+}
+
+function dupKeys(rec) {
+    return { id: rec.id, isbn: normIsbn(rec.isbn), title: titleKey(rec.title), author: authorKey(rec.author) };
+}
+
+// { score, reasons } for two dupKeys, or null when they don't look alike.
+function compareBooks(a, b) {
+    if (a.isbn && b.isbn) return a.isbn === b.isbn ? { score: 1, reasons: ['same isbn'] } : null;
+    const title = Math.max(dice(a.title.full, b.title.full), 0.95 * dice(a.title.main, b.title.main));
+    if (title < 0.75) return null;
+    const author = a.author && b.author ? authorSimilarity(a.author, b.author) : null;
+    const score = author == null ? 0.9 * title : 0.65 * title + 0.35 * author;
+    const reasons = [title === 1 ? 'same title' : 'similar title'];
+    if (author != null) reasons.push(author === 1 ? 'same author' : author >= 0.8 ? 'similar author' : 'different author');
+    return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// Blocking index: only books sharing an ISBN, an author surname or the first two title words
+// are compared, so a check costs a handful of comparisons rather than the whole catalog.
+function blockKeys(k) {
+    return [
+        k.isbn && 'i:' + k.isbn,
+        k.author && 'a:' + k.author.last,
+        k.title.main && 't:' + k.title.main.split(' ').slice(0, 2).join(' ')
+    ].filter(Boolean);
+}
+function duplicateIndex(records = []) {
+    const index = new Map();
+    for (const r of records) addToIndex(index, r);
+    return index;
+}
+function addToIndex(index, rec, extra = {}) {
+    const k = { ...dupKeys(rec), ...extra, rec };
+    for (const key of blockKeys(k)) (index.get(key) || index.set(key, []).get(key)).push(k);
+}
+
+const candidateView = (k, { score, reasons }) => ({
+    id: k.rec.id ?? null, ...(k.index != null ? { index: k.index } : {}),
+    title: k.rec.title ?? null, author: k.rec.author ?? null, isbn: k.rec.isbn ?? null,
+    score, reasons
+});
+
+// Likely duplicates of `rec` in the index, best first; `rec`'s own id is skipped.
+function duplicateCandidates(index, rec, threshold = DUPLICATE_THRESHOLD) {
+    const k = dupKeys(rec);
+    const seen = new Set();
+    const out = [];
+    for (const key of blockKeys(k)) {
+        for (const other of index.get(key) || []) {
+            if (seen.has(other) || (rec.id != null && other.id === rec.id)) continue;
+            seen.add(other);
+            const match = compareBooks(k, other);
+            if (match && match.score >= threshold) out.push(candidateView(other, match));
+        }
+    }
+    return out.sort((a, b) => b.score - a.score).slice(0, 10);
+}
+
+function duplicateWarning(candidates) {
+    const names = candidates.slice(0, 3).map(c => c.id ?? `item #${c.index + 1}`).join(', ');
+    return { code: 'POSSIBLE_DUPLICATE', message: `Possible duplicate of ${names}`, details: { candidates } };
+}
+const liveBooks = () => store.all('books').filter(b => !b.deletedAt);
+
+// Import: warnings on planned creates and updates that look like a live book or an
+// earlier item of the same batch. Returns how many items were flagged.
+function flagDuplicates(plan, mode) {
+    const index = duplicateIndex(mode === 'replace' ? [] : liveBooks());
+    let flagged = 0;
+    for (const p of plan) {
+        if (p.status !== 'created' && p.status !== 'updated') continue;
+        const rec = p.status === 'updated' ? { ...store.get('books', p.id), ...p.raw } : p.raw;
+        const candidates = duplicateCandidates(index, rec);
+        if (candidates.length) { p.warnings = [duplicateWarning(candidates)]; flagged++; }
+        if (p.status === 'created') addToIndex(index, rec, { index: p.index });
+    }
+    return flagged;
+}
+
+// GET /api/books/duplicates: groups of books linked by likely-duplicate pairs, strongest
+// first. ?threshold= (0.5..1) tunes how alike they must be.
+function duplicateReport(url) {
+    const thresholdParam = url.searchParams.get('threshold');
+    const threshold = thresholdParam == null || thresholdParam === '' ? DUPLICATE_THRESHOLD : Number(thresholdParam);
+    if (!(threshold >= 0.5 && threshold <= 1)) throw { code: 400, payload: err('threshold must be a number 0.5..1', 'VALIDATION', { param: 'threshold' }) };
+    const limit = intParam(url, 'limit', 50, 1, 500);
+    const books = liveBooks();
+    const index = duplicateIndex(books);
+    const parent = new Map(books.map(b => [b.id, b.id]));
+    const root = (id) => { while (parent.get(id) !== id) id = parent.get(id); return id; };
+    const pairs = [];
+    const seen = new Set();
+    for (const b of books) {
+        for (const c of duplicateCandidates(index, b, threshold)) {
+            const key = [b.id, c.id].sort().join('\n');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            pairs.push({ a: b.id, b: c.id, score: c.score, reasons: c.reasons });
+            parent.set(root(c.id), root(b.id));
+        }
+    }
+    const groups = new Map();
+    for (const p of pairs) {
+        const g = groups.get(root(p.a)) || groups.set(root(p.a), { ids: new Set(), pairs: [] }).get(root(p.a));
+        g.ids.add(p.a); g.ids.add(p.b); g.pairs.push(p);
+    }
+    const byId = new Map(books.map(b => [b.id, b]));
+    const list = [...groups.values()].map(g => ({
+        score: Math.max(...g.pairs.map(p => p.score)),
+        records: [...g.ids].map(id => byId.get(id)),
+        pairs: g.pairs.sort((x, y) => y.score - x.score)
+    })).sort((x, y) => y.score - x.score);
+    return { items: list.slice(0, limit), meta: { total: list.length, limit, threshold } };
+}
+
+// POST /api/books/merge { target, sources: [ids], fields: { field: id to take it from },
+// versions: { id: version }, dryRun }. The target survives: each field comes from the record
+// chosen for it, otherwise from the target, or the first source that has a value where the
+// target has none. Tags are the union of all. The target is always written as one new
+// version, with the source ids added to its mergedFrom, so its history shows the merge.
+// Closed loans and holds of the sources move to it. The sources go to the trash, so they
+// can be restored. Sources with an active loan or open holds are refused.
+function mergeBooks({ target, sources, fields = {}, versions = {}, dryRun = false } = {}, actor) {
+    const col = COLLECTIONS.books;
+    if (typeof target !== 'string' || !target) throw { code: 400, payload: err('target is required', 'VALIDATION', { field: 'target' }) };
+    if (!Array.isArray(sources) || !sources.length) throw { code: 400, payload: err('sources must be a non-empty array of ids', 'VALIDATION', { field: 'sources' }) };
+    const ids = [...new Set(sources.map(String))];
+    if (ids.includes(target)) throw { code: 400, payload: err('target cannot also be a source', 'VALIDATION', { field: 'sources' }) };
+    const records = [target, ...ids].map(id => {
+        const r = findRecord(col, id);
+        if (!r) throw notFoundError(col, id);
+        checkVersion(r, versions[id]);
+        return r;
+    });
+    const [cur, ...others] = records;
+    const byId = new Map(records.map(r => [r.id, r]));
+
+    const choosable = col.writable.filter(n => n !== 'id' && n !== 'tags');
+    const problems = [];
+    for (const [field, from] of Object.entries(fields)) {
+        if (!choosable.includes(field)) problems.push(`fields.${field}: not a field that can be chosen (${choosable.join(', ')})`);
+        else if (!byId.has(String(from))) problems.push(`fields.${field}: "${from}" is not one of the merged records`);
+    }
+    if (problems.length) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+
+    for (const s of others) {
+        const loan = activeLoan(s.id);
+        const holds = holdQueue(s.id);
+        if (loan || holds.length)
+            throw { code: 409, payload: err(`Book "${s.id}" has ${loan ? 'an active loan' : `${holds.length} open hold(s)`}; return or cancel first`, 'CONFLICT', { id: s.id, loan: loan ?? null, holds: holds.length }) };
+    }
+
+    const empty = (v) => v == null || v === '' || (Array.isArray(v) && !v.length);
+    const merged = {};
+    for (const f of choosable) {
+        if (f in fields) merged[f] = clone(byId.get(String(fields[f]))[f] ?? null);
+        else merged[f] = clone(empty(cur[f]) ? others.find(o => !empty(o[f]))?.[f] ?? cur[f] : cur[f]);
+    }
+    const tags = new Map();
+    for (const r of records) for (const t of r.tags || []) if (!tags.has(t.toLowerCase())) tags.set(t.toLowerCase(), t);
+    merged.tags = [...tags.values()];
+
+    const { ok: valid, value, problems: invalid } = validateRecord(col, merged, { partial: true });
+    if (!valid) throw { code: 400, payload: err('The merged record is not valid', 'VALIDATION', invalid) };
+    value.mergedFrom = [...new Set([...(cur.mergedFrom || []), ...ids])];
+    const changes = diffRecords(col, cur, { ...cur, ...value });
+    const moving = ['loans', 'holds'].map(name => [COLLECTIONS[name], store.all(name).filter(r => ids.includes(r.bookId))]);
+    const meta = {
+        target, sources: ids, dryRun: !!dryRun, changes: changes.map(c => c.field),
+        moved: Object.fromEntries(moving.map(([c, list]) => [c.name, list.length]))
+    };
+    if (dryRun) return { record: { ...cur, ...value }, meta };
+
+    for (const [c, list] of moving) for (const r of list) commitUpdate(c, r, { bookId: target }, actor);
+    const record = commitUpdate(col, cur, value, actor);
+    for (const s of others) trashRecord(col, s.id, actor);
+    return { record, meta };
+}
+
+module.exports = { DUPLICATE_THRESHOLD, liveBooks, duplicateIndex, duplicateCandidates, duplicateWarning, flagDuplicates, duplicateReport, mergeBooks };
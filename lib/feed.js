@@ -0,0 +1,47 @@
+const { gauge } = require('./log');
+const { db, onChange, readJournal, entryCollection } = require('./storage');
+const { queueWebhooks } = require('./webhooks');
+
+// Server-Sent Events. Journaled changes are sent with their journal seq as the event id,
+// so a reconnecting client's Last-Event-ID is replayed straight from the journal.
+const SSE_HEARTBEAT = 25 * 1000;
+const sseClients = new Set();
+const CHANGE_EVENTS = { create: 'created', update: 'updated', delete: 'deleted' };
+gauge('sse_clients', 'Open change feed connections.', () => sseClients.size);
+
+function sseWrite(res, event, data, id) {
+    res.write(`${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+function changeEvent(e) {
+    return [CHANGE_EVENTS[e.op], { collection: entryCollection(e), id: e.id, seq: e.seq, ts: e.ts, record: e.after, by: e.after?.updatedBy ?? null }, e.seq];
+}
+function publish(event, data, id) {
+    for (const res of sseClients) sseWrite(res, event, data, id);
+    queueWebhooks(event, data);
+}
+function publishChange(entry) {
+    publish(...changeEvent(entry));
+}
+onChange(publishChange);
+
+function openEventStream(req, res, url) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    res.write(`retry: 3000\n\n`);
+    const raw = req.headers['last-event-id'] ?? url.searchParams.get('lastEventId');
+    const lastId = raw ? Number(raw) : NaN;
+    if (Number.isInteger(lastId) && lastId !== db.seq) {
+        const missed = readJournal().filter(e => e.seq > lastId);
+        // Compacted past the client's position: it has to reload instead of catching up.
+        if (!missed.length || missed[0].seq !== lastId + 1) sseWrite(res, 'reset', { seq: db.seq }, db.seq);
+        else for (const e of missed) sseWrite(res, ...changeEvent(e));
+    }
+    sseClients.add(res);
+    const beat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT);
+    req.on('close', () => { clearInterval(beat); sseClients.delete(res); });
+}
+
+module.exports = { publish, openEventStream };
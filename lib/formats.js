@@ -0,0 +1,220 @@
+const { err } = require('./helpers');
+const { filterAndSort } = require('./query');
+
+// CSV columns come from the collection's exportFields/importFields; BibTeX only maps books.
+const FORMATS = {
+    json:   { type: 'application/json; charset=utf-8', ext: 'json' },
+    ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+    csv:    { type: 'text/csv; charset=utf-8', ext: 'csv' },
+    bibtex: { type: 'application/x-bibtex; charset=utf-8', ext: 'bib', collections: ['books'] }
+};
+function checkFormat(col, format, param) {
+    const spec = FORMATS[format];
+    if (!spec) throw { code: 400, payload: err(`format must be one of ${Object.keys(FORMATS).join(', ')}`, 'VALIDATION', { param }) };
+    if (spec.collections && !spec.collections.includes(col.name))
+        throw { code: 400, payload: err(`format ${format} is not available for ${col.name}`, 'VALIDATION', { param }) };
+    return spec;
+}
+const formatError = (message, line) => ({ code: 400, payload: err(message, 'VALIDATION', { line }) });
+const splitTags = (s) => String(s).split(/[;,]/).map(t => t.trim()).filter(Boolean);
+
+// Text a spreadsheet would run as a formula (=, +, -, @, or a tab or CR before one) gets a
+// leading apostrophe on export, which csvToItems() takes off again. Apostrophes already in
+// front of one are kept by adding another, so the round trip is exact.
+const FORMULA = /^'*[=+\-@\t\r]/;
+// RFC 4180: quote fields containing separators, quotes, line breaks or edge whitespace.
+function csvField(v) {
+    let s = v == null ? '' : Array.isArray(v) ? v.join(';') : String(v);
+    if (typeof v !== 'number' && FORMULA.test(s)) s = "'" + s;
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Returns rows of raw string cells, with the 1-based line each row starts on.
+function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false, line = 1, rowLine = 1, i = 0;
+    text = text.replace(/^\uFEFF/, '');
+    while (i < text.length) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cell += '"'; i += 2; continue; }
+            if (c === '"') { quoted = false; i++; continue; }
+            if (c === '\n') line++;
+            cell += c; i++; continue;
+        }
+        if (c === '"' && cell === '') { quoted = true; i++; continue; }
+        if (c === ',') { row.push(cell); cell = ''; i++; continue; }
+        if (c === '\r' || c === '\n') {
+            row.push(cell); cell = '';
+            if (row.some(x => x !== '')) rows.push(Object.assign(row, { line: rowLine }));
+            row = [];
+            i += c === '\r' && text[i + 1] === '\n' ? 2 : 1;
+            rowLine = ++line;
+            continue;
+        }
+        cell += c; i++;
+    }
+    if (quoted) throw formatError(`Unterminated quoted field starting on line ${rowLine}`, rowLine);
+    row.push(cell);
+    if (row.some(x => x !== '')) rows.push(Object.assign(row, { line: rowLine }));
+    return rows;
+}
+
+// `columns` maps CSV headers to record fields ({ "Book Title": "title" }); unmapped
+// headers fall back to a case-insensitive field-name match, anything else is ignored.
+function csvToItems(col, text, columns = {}) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { items: [], columns: {} };
+    const mapping = {};
+    for (const h of header) {
+        const wanted = columns[h] !== undefined ? columns[h] : col.importFields.find(f => f.toLowerCase() === h.trim().toLowerCase());
+        if (wanted && !col.importFields.includes(wanted)) throw formatError(`Cannot map column "${h}" to unknown field "${wanted}"`, 1);
+        mapping[h] = wanted || null;
+    }
+    const items = rows.map(r => {
+        const item = {};
+        header.forEach((h, i) => {
+            const cell = r[i] ?? '';
+            const field = mapping[h], v = (cell.startsWith("'") && FORMULA.test(cell) ? cell.slice(1) : cell).trim();
+            if (!field || v === '') return;
+            item[field] = col.byName[field]?.type === 'array' ? splitTags(v) : v;
+        });
+        return item;
+    });
+    return { items, columns: mapping };
+}
+
+function ndjsonToItems(text) {
+    return text.split(/\r?\n/).map((l, i) => [l.trim(), i + 1]).filter(([l]) => l).map(([l, line]) => {
+        try { return JSON.parse(l); }
+        catch { throw formatError(`Invalid JSON on line ${line}`, line); }
+    });
+}
+
+function bibEscape(v) {
+    return String(v).replace(/[\\{}&%$#_]/g, c => c === '\\' ? '\\textbackslash{}' : '\\' + c);
+}
+// Drops grouping braces and undoes bibEscape(); escaped braces stay as literal braces.
+function bibUnescape(v) {
+    const s = String(v);
+    let out = '';
+    for (let i = 0; i < s.length; i++) {
+        if (s.startsWith('\\textbackslash{}', i)) { out += '\\'; i += 15; }
+        else if (s[i] === '\\' && '{}&%$#_'.includes(s[i + 1])) out += s[++i];
+        else if (s[i] !== '{' && s[i] !== '}') out += s[i];
+    }
+    return out.replace(/\s+/g, ' ').trim();
+}
+function bibEntry(b) {
+    const key = String(b.id).replace(/[^\w:-]/g, '_');
+    const fields = [['title', b.title], ['author', b.author], ['year', b.year], ['publisher', b.publisher], ['isbn', b.isbn],
+        ['language', b.language], ['rating', b.rating], ['keywords', (b.tags || []).join(', ')]]
+        .filter(([, v]) => v != null && v !== '')
+        .map(([k, v]) => `  ${k} = {${bibEscape(v)}}`);
+    return `@book{${key},\n${fields.join(',\n')}\n}\n\n`;
+}
+
+// Minimal BibTeX reader: @type{key, name = {braced} | "quoted" | bare, ...}.
+function bibtexToItems(text) {
+    const items = [];
+    const lineAt = (i) => text.slice(0, i).split('\n').length;
+    let i = 0;
+    while ((i = text.indexOf('@', i)) !== -1) {
+        const head = /^@(\w+)\s*[{(]/.exec(text.slice(i));
+        if (!head) { i++; continue; }
+        const start = i;
+        const type = head[1].toLowerCase();
+        i += head[0].length;
+        const readValue = () => {
+            while (/\s/.test(text[i])) i++;
+            if (text[i] === '{') {
+                let depth = 0, j = i;
+                for (; j < text.length; j++) {
+                    if (text[j] === '\\') { j++; continue; }
+                    if (text[j] === '{') depth++;
+                    else if (text[j] === '}' && --depth === 0) break;
+                }
+                if (j >= text.length) throw formatError(`Unbalanced braces in entry starting on line ${lineAt(start)}`, lineAt(start));
+                const v = text.slice(i + 1, j); i = j + 1; return v;
+            }
+            if (text[i] === '"') {
+                const j = text.indexOf('"', i + 1);
+                if (j === -1) throw formatError(`Unterminated string in entry starting on line ${lineAt(start)}`, lineAt(start));
+                const v = text.slice(i + 1, j); i = j + 1; return v;
+            }
+            const m = /^[^,}\s]+/.exec(text.slice(i)) || [''];
+            i += m[0].length; return m[0];
+        };
+        if (['comment', 'string', 'preamble'].includes(type)) { i--; readValue(); continue; }
+        const key = /^\s*([^,\s]+)\s*,/.exec(text.slice(i));
+        if (!key) throw formatError(`Missing citation key on line ${lineAt(start)}`, lineAt(start));
+        i += key[0].length;
+        const entry = {};
+        for (;;) {
+            const name = /^\s*([\w-]+)\s*=/.exec(text.slice(i));
+            if (!name) break;
+            i += name[0].length;
+            entry[name[1].toLowerCase()] = bibUnescape(readValue());
+            const sep = /^\s*,?/.exec(text.slice(i)); i += sep[0].length;
+        }
+        const close = /^\s*[})]/.exec(text.slice(i));
+        if (!close) throw formatError(`Malformed entry starting on line ${lineAt(start)}`, lineAt(start));
+        i += close[0].length;
+        const item = { id: key[1] };
+        if (entry.title) item.title = entry.title;
+        if (entry.author) item.author = entry.author;
+        if (entry.year) item.year = entry.year;
+        if (entry.rating) item.rating = entry.rating;
+        if (entry.publisher) item.publisher = entry.publisher;
+        if (entry.isbn) item.isbn = entry.isbn;
+        if (entry.language) item.language = entry.language;
+        if (entry.keywords) item.tags = splitTags(entry.keywords);
+        items.push(item);
+    }
+    return items;
+}
+
+// Turns a bulk request's `format` + `data` string into plain items for bulkImport().
+function parseImport(col, { format, data, columns }) {
+    if (typeof data !== 'string') throw { code: 400, payload: err('data must be a string when format is given', 'VALIDATION') };
+    checkFormat(col, format, 'format');
+    if (format === 'csv') return csvToItems(col, data, columns || {});
+    if (format === 'ndjson') return { items: ndjsonToItems(data) };
+    if (format === 'bibtex') return { items: bibtexToItems(data) };
+    if (format === 'json') {
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { throw formatError('Invalid JSON', null); }
+        return { items: Array.isArray(parsed) ? parsed : parsed.items };
+    }
+}
+
+// Streams every matching record (no page cap), honoring backpressure between rows.
+async function streamExport(col, res, url) {
+    const format = url.searchParams.get('format') || 'json';
+    const spec = checkFormat(col, format, 'format');
+    const { list } = filterAndSort(col, url);
+    res.writeHead(200, {
+        'Content-Type': spec.type,
+        'Cache-Control': 'no-store',
+        'Content-Disposition': `attachment; filename="${col.name}-export.${spec.ext}"`
+    });
+    // Waits for 'drain' or 'close', whichever comes first, and drops the other listener.
+    const write = (chunk) => res.write(chunk) ? null : new Promise(resolve => {
+        const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+    if (format === 'csv') await write(col.exportFields.join(',') + '\r\n');
+    if (format === 'json') await write('{ "items": [\n');
+    for (let i = 0; i < list.length && !res.destroyed; i++) {
+        const b = list[i];
+        if (format === 'csv') await write(col.exportFields.map(f => csvField(b[f])).join(',') + '\r\n');
+        else if (format === 'ndjson') await write(JSON.stringify(b) + '\n');
+        else if (format === 'bibtex') await write(bibEntry(b));
+        else await write((i ? ',\n' : '') + JSON.stringify(b));
+    }
+    if (format === 'json') await write('\n] }\n');
+    res.end();
+}
+
+module.exports = { FORMATS, parseImport, streamExport };
@@ -0,0 +1,94 @@
+// Helpers shared by every module: response envelopes, errors, ETags, request bodies.
+// Errors are thrown as { code, payload: err(...) } and answered by the server's catch-all.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Data files (catalog, journal, users, webhooks, ...) live next to server.js.
+const ROOT = path.join(__dirname, '..');
+
+const ok = (data, meta) => ({ ok: true, data, meta });
+const err = (message, code = 'BAD_REQUEST', details) => ({ ok: false, error: { code, message, details }});
+const nowISO = () => new Date().toISOString();
+const DAY = 24 * 60 * 60 * 1000;
+const clone = (o) => JSON.parse(JSON.stringify(o));
+const sha = (s) => crypto.createHash('sha1').update(s).digest('hex');
+// A percent-decoded path segment; a malformed escape is the client's mistake, not a crash.
+function decodeSegment(s) {
+    try { return decodeURIComponent(s); }
+    catch { throw { code: 400, payload: err(`Malformed percent-encoding in path segment "${s}"`, 'VALIDATION', { segment: s }) }; }
+}
+
+function sendJSON(res, status, payload, etag) {
+    if (payload?.ok === false && res.requestId) payload.error.requestId = res.requestId;
+    const body = JSON.stringify(payload, null, 2);
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    };
+    if (etag) headers['ETag'] = etag;
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+// Strong ETag of a JSON value (a record, a list page, a schema).
+const etagOf = (value) => `"${sha(JSON.stringify(value))}"`;
+// Whether an If-Match / If-None-Match header lists `etag` ("*" matches anything).
+// If-None-Match compares weakly, so a W/ prefix doesn't matter there.
+function etagMatches(header, etag, { weak = false } = {}) {
+    if (header.trim() === '*') return true;
+    return header.split(',').map(t => t.trim()).some(t => (weak ? t.replace(/^W\//, '') : t) === etag);
+}
+
+function maybe304(req, res, compute) {
+    const { body, etag } = compute();
+    if (req.headers['if-none-match'] && etagMatches(req.headers['if-none-match'], etag, { weak: true })) {
+        res.writeHead(304, { 'ETag': etag, 'Cache-Control': 'no-store' });
+        res.end();
+        return true;
+    }
+    sendJSON(res, 200, body, etag);
+    return true;
+}
+
+// A body already read for request validation is returned again.
+function readBody(req) {
+    if (req.parsedBody !== undefined) return Promise.resolve(req.parsedBody);
+    return new Promise((resolve, reject) => {
+        const lim = 1e6; // ~1MB
+        let size = 0;
+        const chunks = [];
+        req.on('data', c => {
+            size += c.length;
+            if (size > lim) { req.destroy(); reject({ code: 413, payload: err('Payload too large', 'PAYLOAD_TOO_LARGE', { limit: lim }) }); }
+            chunks.push(c);
+        });
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf-8');
+            if (!raw) return resolve({});
+            try { resolve(JSON.parse(raw)); }
+            catch (e) { reject({ code: 400, payload: err('Invalid JSON body', 'BAD_REQUEST', { reason: e.message }) }); }
+        });
+        req.on('error', reject);
+    });
+}
+
+// An integer query parameter within min..max, or `fallback` when it is absent.
+function intParam(url, name, fallback, min, max) {
+    if (!url.searchParams.has(name)) return fallback;
+    const n = Number(url.searchParams.get(name));
+    if (!Number.isInteger(n) || n < min || n > max) throw { code: 400, payload: err(`${name} must be an integer ${min}..${max}`, 'VALIDATION', { param: name }) };
+    return n;
+}
+
+// Writes JSON to a temporary file and renames it over `file`, so readers never see half of it.
+function atomicWrite(obj, file) {
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    ROOT, ok, err, nowISO, DAY, clone, sha, decodeSegment, sendJSON, etagOf, etagMatches, maybe304, readBody,
+    intParam, atomicWrite,
+};
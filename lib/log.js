@@ -0,0 +1,95 @@
+const { nowISO } = require('./helpers');
+const { COLLECTIONS } = require('./collections');
+
+// Logs are JSON lines ({ time, level, msg, ...fields }) on stdout, errors on stderr.
+function log(level, msg, fields) {
+    const line = JSON.stringify({ time: nowISO(), level, msg, ...fields }) + '\n';
+    (level === 'error' ? process.stderr : process.stdout).write(line);
+}
+
+// In-process Prometheus metrics, served as text by GET /metrics. Histograms keep
+// cumulative counts per upper bound, as the exposition format expects.
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';  // when set, /metrics needs it as a bearer token
+const STARTED = Date.now();
+const metrics = {
+    requests: new Map(),   // JSON [method, route, status] -> count
+    latency: new Map(),    // JSON [method, route] -> histogram
+    persist: new Map(),    // JSON [op] -> histogram (journal append, snapshot)
+};
+
+function observe(map, labels, seconds) {
+    const key = JSON.stringify(labels);
+    const h = map.get(key) || { counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) h.counts[i]++; });
+    h.sum += seconds; h.count++;
+    map.set(key, h);
+}
+const elapsed = (start) => Number(process.hrtime.bigint() - start) / 1e9; // seconds
+function timed(op, fn) {
+    const start = process.hrtime.bigint();
+    try { return fn(); } finally { observe(metrics.persist, [op], elapsed(start)); }
+}
+
+// Path pattern used as the `route` label: ids become placeholders so the label has few values.
+const API_AREAS = new Set(['auth', 'users', 'events', 'schema', 'stats', 'admin', 'health', 'webhooks']);
+const COLLECTION_PATHS = new Set(['export', 'bulk', 'overdue', 'duplicates', 'merge']);
+function routeLabel(pathname) {
+    if (pathname === '/metrics') return pathname;
+    if (!pathname.startsWith('/api/')) return 'static';
+    const parts = pathname.split('/'); // ['', 'api', area, ...]
+    if (COLLECTIONS[parts[2]]) {
+        if (parts[3] && !COLLECTION_PATHS.has(parts[3])) parts[3] = ':id';
+        if (parts[4] === 'revisions' && parts[5]) parts[5] = ':version';
+    } else if (!API_AREAS.has(parts[2])) return 'unmatched';
+    else if (parts[2] === 'users' && parts[3]) parts[3] = ':username';
+    else if (parts[2] === 'schema' && parts[3]) parts[3] = ':collection';
+    else if (parts[2] === 'auth' && parts[3] === 'tokens' && parts[4]) parts[4] = ':id';
+    else if (parts[2] === 'webhooks' && parts[3]) {
+        parts[3] = ':id';
+        if (parts[4] === 'deliveries' && parts[5]) parts[5] = ':deliveryId';
+    }
+    return parts.slice(0, 6).join('/');
+}
+
+// Gauges are read when /metrics is scraped, from the module that owns the state:
+// collect() returns a number, a list of [labelValues, number] pairs, or null to leave
+// the family out (the catalog's gauges before it is loaded).
+const gauges = [];
+function gauge(name, help, collect, labelNames = []) {
+    gauges.push({ name, help, collect, labelNames });
+}
+
+function renderMetrics() {
+    const out = [];
+    const labels = (names, values) => '{' + names.map((n, i) => `${n}="${String(values[i]).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`).join(',') + '}';
+    const family = (name, type, help) => out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    const histogram = (name, names, map) => {
+        for (const [key, h] of map) {
+            const values = JSON.parse(key);
+            LATENCY_BUCKETS.forEach((le, i) => out.push(`${name}_bucket${labels([...names, 'le'], [...values, le])} ${h.counts[i]}`));
+            out.push(`${name}_bucket${labels([...names, 'le'], [...values, '+Inf'])} ${h.count}`);
+            out.push(`${name}_sum${labels(names, values)} ${h.sum}`, `${name}_count${labels(names, values)} ${h.count}`);
+        }
+    };
+    family('http_requests_total', 'counter', 'HTTP requests by method, route and status.');
+    for (const [key, n] of metrics.requests) out.push(`http_requests_total${labels(['method', 'route', 'status'], JSON.parse(key))} ${n}`);
+    family('http_request_duration_seconds', 'histogram', 'Time to serve a request, by method and route.');
+    histogram('http_request_duration_seconds', ['method', 'route'], metrics.latency);
+    family('persist_duration_seconds', 'histogram', 'Time spent writing to disk: journal appends and snapshots.');
+    histogram('persist_duration_seconds', ['op'], metrics.persist);
+    for (const g of gauges) {
+        const value = g.collect();
+        if (value == null) continue;
+        family(g.name, 'gauge', g.help);
+        if (typeof value === 'number') out.push(`${g.name} ${value}`);
+        else for (const [values, n] of value) out.push(`${g.name}${labels(g.labelNames, values)} ${n}`);
+    }
+    family('process_uptime_seconds', 'gauge', 'Seconds since the server started.');
+    out.push(`process_uptime_seconds ${(Date.now() - STARTED) / 1000}`);
+    family('process_resident_memory_bytes', 'gauge', 'Resident set size.');
+    out.push(`process_resident_memory_bytes ${process.memoryUsage().rss}`);
+    return out.join('\n') + '\n';
+}
+
+module.exports = { log, metrics, METRICS_TOKEN, STARTED, observe, elapsed, timed, routeLabel, gauge, renderMetrics };
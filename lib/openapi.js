@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+const { err, sha, decodeSegment, readBody } = require('./helpers');
+const { AVAILABILITY, COLLECTIONS } = require('./collections');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { ROLES } = require('./auth');
+const { patchType, TRASHED_VIEWS } = require('./records');
+const { LOAN_MAX_DAYS } = require('./circulation');
+const { DUPLICATE_THRESHOLD } = require('./duplicates');
+const { BULK_MODES, BULK_OPS } = require('./bulk');
+const { FORMATS } = require('./formats');
+const { PUBLIC_DIR } = require('./static');
+
+// Every route is declared once in API_OPERATIONS. That list is served as an OpenAPI 3.1
+// document at GET /api/openapi.json, checks incoming requests (path, query and JSON body)
+// before the route handlers run, and generates public/api-client.mjs
+// (`node server.js generate-client`). Record schemas come from the collection definitions.
+const CLIENT_PATH = path.join(PUBLIC_DIR, 'api-client.mjs');
+const ERROR_STATUS = {
+    BAD_REQUEST: 400, VALIDATION: 400, INVALID_PATCH: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405, CONFLICT: 409, VERSION_CONFLICT: 409, PATCH_TEST_FAILED: 409, PRECONDITION_FAILED: 412, PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415, PRECONDITION_REQUIRED: 428, RATE_LIMIT: 429, INTERNAL: 500
+};
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const objectSchema = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+const listOf = (items) => ({ type: 'array', items });
+const nullable = (s) => s.type ? { ...s, type: [].concat(s.type, 'null') } : { anyOf: [s, { type: 'null' }] };
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+// JSON Schema for a field. Inputs accept null for anything optional (it clears the field).
+function fieldSchema(f, { input = false } = {}) {
+    const s = { type: { string: 'string', integer: 'integer', number: 'number', datetime: 'string', array: 'array' }[f.type] };
+    if (f.type === 'datetime') s.format = 'date-time';
+    if (f.label) s.title = f.label;
+    if (f.ref) s.description = `id of a record in ${f.ref}`;
+    for (const [from, to] of [['minLength', 'minLength'], ['maxLength', 'maxLength'], ['pattern', 'pattern'], ['enum', 'enum'],
+        ['min', 'minimum'], ['max', 'maximum'], ['minItems', 'minItems'], ['maxItems', 'maxItems']]) {
+        if (f[from] != null) s[to] = f[from];
+    }
+    if (f.type === 'array') s.items = fieldSchema(f.items, { input });
+    if ('default' in f) s.default = f.default;
+    if (f.readOnly && !input) s.readOnly = true;
+    return !f.required && (input || f.type !== 'array') ? nullable(s) : s;
+}
+
+function collectionSchemas(col) {
+    const noun = col.noun;
+    const record = objectSchema(Object.fromEntries(col.fields.map(f => [f.name, fieldSchema(f)])), ['id', 'version']);
+    Object.assign(record.properties, { createdBy: nullable({ type: 'string' }), updatedBy: nullable({ type: 'string' }) });
+    const inputFields = col.writable.map(n => col.byName[n]);
+    const input = (partial) => objectSchema({
+        ...Object.fromEntries(inputFields.map(f => [f.name, fieldSchema(f.name === 'id' ? { ...f, required: false } : f, { input: true })])),
+        version: { type: 'integer', description: 'Current version; the write fails with VERSION_CONFLICT if it has moved on' }
+    }, partial ? [] : inputFields.filter(f => f.required).map(f => f.name));
+    return {
+        [noun]: record,
+        [`${noun}Input`]: { ...input(false), description: `A whole ${noun.toLowerCase()}; fields the server maintains are ignored` },
+        [`${noun}MergePatch`]: { ...input(true), description: 'JSON merge patch (RFC 7396): listed fields change, null clears a field' },
+    };
+}
+
+const QUERY_PARAMS = {
+    q: { type: 'string', description: 'Filter query: words and "phrases", field:value, field=value, field>n (>=, <, <=), ranges field:[a TO b] (inclusive; {a TO b} exclusive, * for an open end), AND/OR/NOT or -a, parentheses' },
+    sort: { type: 'string', description: 'A sortable field, or "relevance" with a text query; anything else falls back to the default sort' },
+    dir: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', minimum: 1, description: 'Page size (at most 100)' },
+    offset: { type: 'integer', minimum: 0 },
+    after: { type: 'string', description: 'Cursor from meta.nextCursor' },
+    before: { type: 'string', description: 'Cursor from meta.prevCursor' },
+    trashed: { type: 'string', enum: TRASHED_VIEWS, default: 'exclude' },
+    availability: { type: 'string', enum: AVAILABILITY },
+    facets: { type: 'string', description: 'Comma-separated fields to count values (or ranges) of over all matches' },
+    facetSize: { type: 'integer', minimum: 1, maximum: 100 },
+    format: { type: 'string', enum: Object.keys(FORMATS) },
+    permanent: { type: 'boolean', description: 'Delete outright instead of moving to the trash (admins)' },
+    top: { type: 'integer', minimum: 1, maximum: 50 },
+    days: { type: 'integer', minimum: 1, maximum: 365 },
+    since: { type: 'integer', minimum: 0 },
+    client: { type: 'string', description: 'Client address or API token id' },
+    from: { type: 'integer', minimum: 1 },
+    to: { type: 'integer', minimum: 1 },
+    lastEventId: { type: 'string', description: 'Resume after this event (same as the Last-Event-ID header)' },
+    status: { type: 'string', enum: ['pending', 'sending', 'delivered', 'failed', 'dead'] },
+    threshold: { type: 'number', minimum: 0.5, maximum: 1, description: `How alike two books must be (default ${DUPLICATE_THRESHOLD})` },
+};
+
+const SHARED_SCHEMAS = {
+    Error: objectSchema({
+        code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+        message: { type: 'string' },
+        details: { description: 'Code-specific: validation problems, the current record on a conflict, ...' },
+        requestId: { type: 'string', description: 'X-Request-Id of the failed request' }
+    }, ['code', 'message']),
+    ErrorResponse: objectSchema({ ok: { const: false }, error: schemaRef('Error') }, ['ok', 'error']),
+    ListMeta: objectSchema({
+        total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' },
+        sort: { type: 'string' }, dir: { type: 'string', enum: ['asc', 'desc'] }, q: { type: 'string' },
+        nextCursor: nullable({ type: 'string' }), prevCursor: nullable({ type: 'string' }),
+        highlights: { type: 'object', description: 'id -> field -> [[start, end], ...] of matched text' },
+        scores: { type: 'object', description: 'id -> relevance score (sort=relevance)' },
+        facets: { type: 'object', additionalProperties: listOf(schemaRef('Facet')), description: 'field -> its most common values (or ranges) over all matches' },
+        availability: { type: 'string' }, trashed: { type: 'string' }, after: { type: 'string' }, before: { type: 'string' }
+    }),
+    Facet: objectSchema({
+        value: { type: 'string', description: 'The value, or the label of a range' },
+        count: { type: 'integer' },
+        filter: { type: 'string', description: 'A q clause that selects the records counted here' },
+        from: { type: 'number', description: 'Ranges only: the lower bound (inclusive)' },
+        to: { type: 'number', description: 'Ranges only: the upper bound (exclusive)' }
+    }, ['value', 'count', 'filter']),
+    JsonPatch: listOf(objectSchema({
+        op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+        path: { type: 'string', description: 'JSON Pointer' },
+        from: { type: 'string' },
+        value: {}
+    }, ['op', 'path'])),
+    BulkTarget: objectSchema({
+        ids: listOf({ type: 'string' }),
+        query: objectSchema({ q: { type: 'string' }, availability: { type: 'string' }, trashed: { type: 'string', enum: TRASHED_VIEWS } }),
+        versions: { type: 'object', additionalProperties: { type: 'integer' }, description: 'id -> expected version' }
+    }),
+    BulkResult: objectSchema({ id: { type: 'string' }, status: { type: 'string' }, version: { type: 'integer' }, changes: listOf({ type: 'string' }), error: schemaRef('Error') }, ['id', 'status']),
+    User: objectSchema({ username: { type: 'string' }, role: { type: 'string', enum: ROLES }, createdAt: { type: 'string', format: 'date-time' } }),
+    Me: objectSchema({ username: { type: 'string' }, role: { type: 'string', enum: ROLES }, via: { type: 'string', enum: ['session', 'token'] }, tokenId: { type: 'string' } }),
+    Token: objectSchema({ id: { type: 'string' }, name: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' }, lastUsedAt: nullable({ type: 'string', format: 'date-time' }), token: { type: 'string', description: 'Only in the response that creates it' } }),
+    CollectionSchema: objectSchema({
+        name: { type: 'string' }, label: { type: 'string' }, noun: { type: 'string' }, display: { type: 'string' },
+        defaultSort: { type: 'string' }, managed: { type: 'boolean' }, fields: listOf({ type: 'object' })
+    }),
+    Health: objectSchema({ status: { type: 'string', enum: ['ok', 'unavailable'] }, checks: { type: 'object', additionalProperties: { type: 'boolean' } }, uptime: { type: 'number' }, time: { type: 'string', format: 'date-time' } }),
+    Change: objectSchema({ field: { type: 'string' }, from: {}, to: {} }, ['field']),
+    RevisionSummary: objectSchema({ version: { type: 'integer' }, updatedAt: { type: 'string', format: 'date-time' }, updatedBy: nullable({ type: 'string' }), changes: listOf(schemaRef('Change')) }),
+    Webhook: objectSchema({
+        id: { type: 'string' }, url: { type: 'string', format: 'uri' },
+        events: listOf({ type: 'string', enum: WEBHOOK_EVENTS }), collections: listOf({ type: 'string', enum: Object.keys(COLLECTIONS) }),
+        active: { type: 'boolean' }, description: nullable({ type: 'string' }),
+        secret: { type: 'string', description: 'Signing secret; only in the responses that create or rotate it' },
+        createdAt: { type: 'string', format: 'date-time' }, createdBy: { type: 'string' }, updatedAt: { type: 'string', format: 'date-time' },
+        counts: { type: 'object', additionalProperties: { type: 'integer' } }, lastDelivery: nullable({ type: 'object' })
+    }),
+    WebhookInput: objectSchema({
+        url: { type: 'string' }, events: listOf({ type: 'string', enum: WEBHOOK_EVENTS }), collections: listOf({ type: 'string', enum: Object.keys(COLLECTIONS) }),
+        active: { type: 'boolean' }, description: nullable({ type: 'string', maxLength: 200 }),
+        rotateSecret: { type: 'boolean', description: 'PATCH only: issue a new signing secret' }
+    }),
+    WebhookDelivery: objectSchema({
+        id: { type: 'string' }, webhook: { type: 'string' }, event: { type: 'string' }, payload: { type: 'object' },
+        status: QUERY_PARAMS.status, attempts: { type: 'integer' }, maxAttempts: { type: 'integer' },
+        nextAttemptAt: { type: 'string', format: 'date-time' }, createdAt: { type: 'string', format: 'date-time' },
+        lastAttemptAt: nullable({ type: 'string', format: 'date-time' }), responseStatus: nullable({ type: 'integer' }),
+        error: nullable({ type: 'string' }), durationMs: nullable({ type: 'integer' })
+    }),
+    DuplicateCandidate: objectSchema({
+        id: nullable({ type: 'string' }), index: { type: 'integer', description: 'Import item it matched, when not a stored book' },
+        title: nullable({ type: 'string' }), author: nullable({ type: 'string' }), isbn: nullable({ type: 'string' }),
+        score: { type: 'number' }, reasons: listOf({ type: 'string' })
+    }),
+    Warning: objectSchema({ code: { type: 'string', enum: ['POSSIBLE_DUPLICATE'] }, message: { type: 'string' }, details: objectSchema({ candidates: listOf(schemaRef('DuplicateCandidate')) }) }),
+    JournalEntry: objectSchema({ seq: { type: 'integer' }, ts: { type: 'string', format: 'date-time' }, collection: { type: 'string' }, op: { type: 'string' }, id: { type: 'string' }, before: nullable({ type: 'object' }), after: nullable({ type: 'object' }) }),
+};
+
+const isSchema = (body) => !!(body.type || body.$ref || body.allOf);
+const pathParamSchema = (name) => name === 'version' ? { type: 'integer', minimum: 1 } : { type: 'string' };
+
+// One entry per route. `role` is the least role that may call it (null: public); handlers
+// may require more (e.g. admins for permanent deletes). `body` is the JSON request schema,
+// or { [contentType]: schema } when several are accepted.
+function operation(method, pathTemplate, operationId, { summary, tag, role = 'viewer', query = [], body, status = 200, data = {}, meta, errors = [], produces, headers = [] }) {
+    const pathParams = [...pathTemplate.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    const re = new RegExp('^' + pathTemplate.replace(/[.]/g, '\\.').replace(/\{\w+\}/g, '([^/]+)') + '$');
+    return { method, path: pathTemplate, operationId, summary, tag, role, query, body, status, data, meta, errors, produces, headers, pathParams, re };
+}
+
+function collectionOperations(col) {
+    const { name, noun } = col;
+    const plural = capitalize(name);
+    const base = `/api/${name}`;
+    const item = `${base}/{id}`;
+    const tag = col.label;
+    const record = schemaRef(noun);
+    const listQuery = ['q', 'sort', 'dir', 'trashed', ...(name === 'books' ? ['availability'] : [])];
+    const ops = [
+        operation('GET', base, `list${plural}`, { summary: `List ${name} (filter, sort, cursor or offset pagination, facets)`, tag, query: [...listQuery, 'limit', 'offset', 'after', 'before', 'facets', 'facetSize'], data: listOf(record), meta: schemaRef('ListMeta') }),
+        operation('GET', `${base}/export`, `export${plural}`, { summary: `Download every matching ${noun.toLowerCase()}`, tag, query: ['format', ...listQuery], produces: Object.fromEntries(Object.values(FORMATS).filter(f => !f.collections || f.collections.includes(name)).map(f => [f.type.split(';')[0], { type: 'string' }])) }),
+        operation('GET', item, `get${noun}`, { summary: `Get one ${noun.toLowerCase()} (ETag for If-None-Match / If-Match)`, tag, data: record, errors: ['NOT_FOUND'], headers: ['If-None-Match'] }),
+        operation('GET', `${item}/revisions`, `list${noun}Revisions`, { summary: 'Stored versions, oldest first, with what each changed', tag, data: listOf(schemaRef('RevisionSummary')), meta: objectSchema({ total: { type: 'integer' } }), errors: ['NOT_FOUND'] }),
+        operation('GET', `${item}/revisions/{version}`, `get${noun}Revision`, { summary: 'One stored version', tag, data: record, errors: ['NOT_FOUND'] }),
+        operation('GET', `${item}/diff`, `diff${noun}`, { summary: 'Field changes between two versions (to defaults to the latest)', tag, query: ['from', 'to'], data: listOf(schemaRef('Change')), meta: objectSchema({ from: { type: 'integer' }, to: { type: 'integer' } }), errors: ['NOT_FOUND'] }),
+    ];
+    if (col.managed) return ops;
+    const write = { tag, role: 'editor' };
+    return [...ops,
+        operation('POST', base, `create${noun}`, { ...write, summary: `Create a ${noun.toLowerCase()}${name === 'books' ? ' (meta.warnings lists likely duplicates)' : ''}`, body: schemaRef(`${noun}Input`), status: 201, data: record, meta: objectSchema({ warnings: listOf(schemaRef('Warning')) }), errors: ['CONFLICT'] }),
+        operation('PATCH', base, `bulkPatch${plural}`, { ...write, summary: `Apply set/add/remove ops to many ${name} (by ids or query)`, body: { allOf: [schemaRef('BulkTarget'), objectSchema({ ops: listOf(objectSchema({ op: { type: 'string', enum: BULK_OPS }, field: { type: 'string' }, value: {} }, ['op', 'field'])) }, ['ops'])] }, data: listOf(schemaRef('BulkResult')), meta: { type: 'object' } }),
+        operation('DELETE', base, `bulkDelete${plural}`, { ...write, summary: `Move many ${name} to the trash (permanent: admins)`, body: { allOf: [schemaRef('BulkTarget'), objectSchema({ permanent: { type: 'boolean' } })] }, data: listOf(schemaRef('BulkResult')), meta: { type: 'object' }, errors: ['FORBIDDEN'] }),
+        operation('POST', `${base}/bulk`, `import${plural}`, { ...write, summary: 'Bulk import: items, or data in a format; append, upsert or replace (admins); dry runs report only', body: objectSchema({
+            items: listOf({ type: 'object', description: `${noun} fields; each item is validated and reported on its own` }),
+            format: { type: 'string', enum: Object.keys(FORMATS) }, data: { type: 'string' }, columns: { type: 'object', additionalProperties: { type: 'string' } },
+            mode: { type: 'string', enum: BULK_MODES }, atomic: { type: 'boolean', description: 'Write nothing if any item fails (the default for replace)' }, dryRun: { type: 'boolean' }
+        }), data: listOf({ type: 'object' }), meta: { type: 'object' }, errors: ['CONFLICT', 'FORBIDDEN'] }),
+        operation('PUT', item, `replace${noun}`, { ...write, summary: `Replace a ${noun.toLowerCase()}; fields left out return to their defaults`, body: schemaRef(`${noun}Input`), data: record, errors: ['NOT_FOUND', 'VERSION_CONFLICT', 'PRECONDITION_FAILED', 'PRECONDITION_REQUIRED'], headers: ['If-Match'] }),
+        operation('PATCH', item, `patch${noun}`, { ...write, summary: `Change a ${noun.toLowerCase()} with a JSON merge patch or a JSON Patch`, body: { 'application/merge-patch+json': schemaRef(`${noun}MergePatch`), 'application/json-patch+json': schemaRef('JsonPatch') }, data: record, errors: ['NOT_FOUND', 'VERSION_CONFLICT', 'PRECONDITION_FAILED', 'PRECONDITION_REQUIRED', 'PATCH_TEST_FAILED', 'INVALID_PATCH', 'UNSUPPORTED_MEDIA_TYPE'], headers: ['If-Match'] }),
+        operation('DELETE', item, `delete${noun}`, { ...write, summary: `Move a ${noun.toLowerCase()} to the trash (permanent: admins)`, query: ['permanent'], data: record, errors: ['NOT_FOUND', 'CONFLICT', 'PRECONDITION_FAILED', 'FORBIDDEN'], headers: ['If-Match'] }),
+        operation('POST', `${item}/restore`, `restore${noun}`, { ...write, summary: 'Bring a record back from the trash', data: record, errors: ['NOT_FOUND', 'CONFLICT'] }),
+        operation('POST', `${item}/revert`, `revert${noun}`, { ...write, summary: 'Write an old version as the newest one', body: objectSchema({ toVersion: { type: 'integer', minimum: 1 }, version: { type: 'integer' } }, ['toVersion']), data: record, errors: ['NOT_FOUND', 'VERSION_CONFLICT'] }),
+    ];
+}
+
+const API_OPERATIONS = [
+    operation('GET', '/api/health', 'getHealth', { summary: 'Readiness (same as /api/health/ready)', tag: 'Health', role: null, data: schemaRef('Health') }),
+    operation('GET', '/api/health/live', 'getLiveness', { summary: 'Liveness: the process answers', tag: 'Health', role: null, data: schemaRef('Health') }),
+    operation('GET', '/api/health/ready', 'getReadiness', { summary: 'Readiness: catalog loaded and data files writable (503 otherwise)', tag: 'Health', role: null, data: schemaRef('Health') }),
+    operation('GET', '/metrics', 'getMetrics', { summary: 'Prometheus metrics (bearer METRICS_TOKEN when configured)', tag: 'Health', role: null, produces: { 'text/plain': { type: 'string' } } }),
+    operation('GET', '/api/openapi.json', 'getOpenApi', { summary: 'This document', tag: 'Meta', role: null, produces: { 'application/json': { type: 'object' } } }),
+    operation('POST', '/api/auth/login', 'login', { summary: 'Start a session (sets the sid cookie)', tag: 'Auth', role: null, body: objectSchema({ username: { type: 'string' }, password: { type: 'string' } }, ['username', 'password']), data: schemaRef('User') }),
+    operation('POST', '/api/auth/logout', 'logout', { summary: 'End the session', tag: 'Auth', role: null, data: { type: 'null' } }),
+    operation('GET', '/api/auth/me', 'getMe', { summary: 'The signed-in user', tag: 'Auth', data: schemaRef('Me') }),
+    operation('GET', '/api/auth/tokens', 'listTokens', { summary: "The caller's API tokens", tag: 'Auth', data: listOf(schemaRef('Token')) }),
+    operation('POST', '/api/auth/tokens', 'createToken', { summary: 'Create an API token (the secret is returned once)', tag: 'Auth', body: objectSchema({ name: { type: 'string', maxLength: 60 } }), status: 201, data: schemaRef('Token') }),
+    operation('DELETE', '/api/auth/tokens/{id}', 'revokeToken', { summary: 'Revoke an API token', tag: 'Auth', data: objectSchema({ id: { type: 'string' } }), errors: ['NOT_FOUND'] }),
+    operation('GET', '/api/users', 'listUsers', { summary: 'All users', tag: 'Users', role: 'admin', data: listOf(schemaRef('User')) }),
+    operation('POST', '/api/users', 'createUser', { summary: 'Create a user', tag: 'Users', role: 'admin', body: objectSchema({ username: { type: 'string', pattern: '^[\\w.-]{2,40}$' }, password: { type: 'string', minLength: 8 }, role: { type: 'string', enum: ROLES } }, ['username', 'password', 'role']), status: 201, data: schemaRef('User'), errors: ['CONFLICT'] }),
+    operation('PUT', '/api/users/{username}', 'updateUser', { summary: "Change a user's role or password (a new password ends their other sessions and revokes their tokens)", tag: 'Users', role: 'admin', body: objectSchema({ password: { type: 'string', minLength: 8 }, role: { type: 'string', enum: ROLES } }), data: schemaRef('User'), errors: ['NOT_FOUND', 'CONFLICT'] }),
+    operation('DELETE', '/api/users/{username}', 'deleteUser', { summary: 'Delete a user and end their sessions', tag: 'Users', role: 'admin', data: schemaRef('User'), errors: ['NOT_FOUND', 'CONFLICT'] }),
+    operation('GET', '/api/events', 'streamEvents', { summary: 'Server-sent change feed (created, updated, deleted, bulk, reset)', tag: 'Meta', query: ['lastEventId'], produces: { 'text/event-stream': { type: 'string' } }, headers: ['Last-Event-ID'] }),
+    operation('GET', '/api/schema', 'listSchemas', { summary: 'Every collection definition', tag: 'Meta', data: listOf(schemaRef('CollectionSchema')) }),
+    operation('GET', '/api/schema/{collection}', 'getSchema', { summary: 'One collection definition', tag: 'Meta', data: schemaRef('CollectionSchema'), errors: ['NOT_FOUND'] }),
+    operation('GET', '/api/stats', 'getStats', { summary: 'Catalog counts, top authors/tags, histograms and a daily series', tag: 'Books', query: ['top', 'days'], data: objectSchema({ count: { type: 'integer' }, avgRating: nullable({ type: 'number' }), topAuthors: listOf({ type: 'object' }), topTags: listOf({ type: 'object' }), histograms: { type: 'object', additionalProperties: listOf(schemaRef('Facet')) }, timeseries: { type: 'object' } }) }),
+    operation('GET', '/api/admin/journal', 'getJournal', { summary: 'Journal entries after a sequence number', tag: 'Admin', role: 'admin', query: ['since', 'limit'], data: listOf(schemaRef('JournalEntry')), meta: { type: 'object' } }),
+    operation('POST', '/api/admin/purge', 'purgeTrash', { summary: 'Permanently delete records trashed longer than olderThanDays', tag: 'Admin', role: 'admin', body: objectSchema({ olderThanDays: { type: 'number', minimum: 0 } }), data: objectSchema({ olderThanDays: { type: 'number' }, purged: listOf({ type: 'object' }), kept: listOf({ type: 'object' }) }) }),
+    operation('GET', '/api/admin/ratelimits', 'getRateLimits', { summary: 'Rate limit policies and the emptiest buckets', tag: 'Admin', role: 'admin', query: ['client', 'limit'], data: listOf({ type: 'object' }), meta: { type: 'object' } }),
+    operation('DELETE', '/api/admin/ratelimits', 'resetRateLimits', { summary: "Refill a client's buckets (all without client)", tag: 'Admin', role: 'admin', query: ['client'], data: objectSchema({ reset: { type: 'integer' } }) }),
+    operation('POST', '/api/admin/restore', 'restoreJournal', { summary: 'Restore the catalog to a journal position or time', tag: 'Admin', role: 'admin', body: objectSchema({ seq: { type: 'integer', minimum: 0 }, at: { type: 'string', format: 'date-time' } }), data: { type: 'object' } }),
+    operation('GET', '/api/webhooks', 'listWebhooks', { summary: 'Webhook subscriptions with delivery counts', tag: 'Webhooks', role: 'admin', data: listOf(schemaRef('Webhook')) }),
+    operation('POST', '/api/webhooks', 'createWebhook', { summary: 'Subscribe a URL to change events (the signing secret is returned once)', tag: 'Webhooks', role: 'admin', body: { allOf: [schemaRef('WebhookInput'), { required: ['url'] }] }, status: 201, data: schemaRef('Webhook') }),
+    operation('GET', '/api/webhooks/{id}', 'getWebhook', { summary: 'One subscription', tag: 'Webhooks', role: 'admin', data: schemaRef('Webhook'), errors: ['NOT_FOUND'] }),
+    operation('PATCH', '/api/webhooks/{id}', 'updateWebhook', { summary: 'Change a subscription or rotate its secret', tag: 'Webhooks', role: 'admin', body: schemaRef('WebhookInput'), data: schemaRef('Webhook'), errors: ['NOT_FOUND'] }),
+    operation('DELETE', '/api/webhooks/{id}', 'deleteWebhook', { summary: 'Remove a subscription with its queue and log', tag: 'Webhooks', role: 'admin', data: schemaRef('Webhook'), errors: ['NOT_FOUND'] }),
+    operation('POST', '/api/webhooks/{id}/ping', 'pingWebhook', { summary: 'Send a ping event now and report the outcome', tag: 'Webhooks', role: 'admin', data: schemaRef('WebhookDelivery'), errors: ['NOT_FOUND'] }),
+    operation('GET', '/api/webhooks/{id}/deliveries', 'listWebhookDeliveries', { summary: 'Delivery log, newest first (pending, delivered, failed and dead letters)', tag: 'Webhooks', role: 'admin', query: ['status', 'limit'], data: listOf(schemaRef('WebhookDelivery')), meta: { type: 'object' }, errors: ['NOT_FOUND'] }),
+    operation('POST', '/api/webhooks/{id}/deliveries/{deliveryId}/retry', 'retryWebhookDelivery', { summary: 'Send a dead letter again', tag: 'Webhooks', role: 'admin', data: schemaRef('WebhookDelivery'), errors: ['NOT_FOUND', 'CONFLICT'] }),
+    operation('GET', '/api/books/duplicates', 'listBookDuplicates', { summary: 'Groups of books that are likely the same work (ISBN, title and author similarity)', tag: 'Books', query: ['threshold', 'limit'], data: listOf(objectSchema({ score: { type: 'number' }, records: listOf(schemaRef('Book')), pairs: listOf(objectSchema({ a: { type: 'string' }, b: { type: 'string' }, score: { type: 'number' }, reasons: listOf({ type: 'string' }) })) })), meta: objectSchema({ total: { type: 'integer' }, limit: { type: 'integer' }, threshold: { type: 'number' } }) }),
+    operation('POST', '/api/books/merge', 'mergeBooks', { summary: 'Fold books into a target: chosen fields, tag union, loan/hold history moved, sources trashed', tag: 'Books', role: 'editor', body: objectSchema({
+        target: { type: 'string' }, sources: { ...listOf({ type: 'string' }), minItems: 1 },
+        fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'field -> id of the merged record to take it from' },
+        versions: { type: 'object', additionalProperties: { type: 'integer' }, description: 'id -> expected version' },
+        dryRun: { type: 'boolean' }
+    }, ['target', 'sources']), data: schemaRef('Book'), meta: objectSchema({ target: { type: 'string' }, sources: listOf({ type: 'string' }), dryRun: { type: 'boolean' }, changes: listOf({ type: 'string' }), moved: objectSchema({ loans: { type: 'integer' }, holds: { type: 'integer' } }) }), errors: ['NOT_FOUND', 'CONFLICT', 'VERSION_CONFLICT'] }),
+    operation('POST', '/api/books/{id}/checkout', 'checkoutBook', { summary: 'Lend a book (borrower defaults to the caller)', tag: 'Lending', role: 'editor', body: objectSchema({ borrower: { type: 'string' }, days: { type: 'integer', minimum: 1, maximum: LOAN_MAX_DAYS }, version: { type: 'integer' } }), status: 201, data: objectSchema({ loan: schemaRef('Loan'), book: schemaRef('Book') }), errors: ['NOT_FOUND', 'CONFLICT', 'VERSION_CONFLICT'] }),
+    operation('POST', '/api/books/{id}/return', 'returnBook', { summary: "Close the book's active loan", tag: 'Lending', role: 'editor', body: objectSchema({ version: { type: 'integer' } }), data: objectSchema({ loan: schemaRef('Loan'), hold: nullable(schemaRef('Hold')), book: schemaRef('Book') }), errors: ['NOT_FOUND', 'CONFLICT', 'VERSION_CONFLICT'] }),
+    operation('GET', '/api/books/{id}/holds', 'listBookHolds', { summary: "The book's open holds in queue order", tag: 'Lending', data: listOf(schemaRef('Hold')), meta: objectSchema({ total: { type: 'integer' } }), errors: ['NOT_FOUND'] }),
+    operation('POST', '/api/books/{id}/holds', 'placeHold', { summary: 'Join the hold queue (patron defaults to the caller)', tag: 'Lending', role: 'editor', body: objectSchema({ patron: { type: 'string' } }), status: 201, data: schemaRef('Hold'), meta: objectSchema({ position: { type: 'integer' } }), errors: ['NOT_FOUND', 'CONFLICT'] }),
+    operation('POST', '/api/holds/{id}/cancel', 'cancelHold', { summary: 'Cancel a hold', tag: 'Lending', role: 'editor', data: schemaRef('Hold'), errors: ['NOT_FOUND', 'CONFLICT'] }),
+    operation('GET', '/api/loans/overdue', 'listOverdueLoans', { summary: 'Open loans past their due date', tag: 'Lending', data: listOf({ allOf: [schemaRef('Loan'), objectSchema({ title: nullable({ type: 'string' }), daysOverdue: { type: 'integer' } })] }), meta: objectSchema({ total: { type: 'integer' } }) }),
+    operation('POST', '/api/loans/{id}/renew', 'renewLoan', { summary: 'Extend a loan (limited renewals, not while others wait)', tag: 'Lending', role: 'editor', body: objectSchema({ version: { type: 'integer' } }), data: schemaRef('Loan'), errors: ['NOT_FOUND', 'CONFLICT', 'VERSION_CONFLICT'] }),
+    ...Object.values(COLLECTIONS).flatMap(collectionOperations),
+];
+
+// The OpenAPI 3.1 document, built once.
+const OPENAPI = (() => {
+    const schemas = { ...SHARED_SCHEMAS, ...Object.assign({}, ...Object.values(COLLECTIONS).map(collectionSchemas)) };
+    const envelope = (op) => objectSchema({ ok: { const: true }, data: op.data, ...(op.meta ? { meta: op.meta } : {}) }, ['ok', 'data']);
+    const errorResponse = (codes) => ({ description: codes.join(' | '), content: { 'application/json': { schema: schemaRef('ErrorResponse') } } });
+    const paths = {};
+    for (const op of API_OPERATIONS) {
+        const codes = [...op.errors, 'RATE_LIMIT', 'INTERNAL'];
+        if (op.query.length || op.body || op.pathParams.length) codes.push('VALIDATION');
+        if (op.role) codes.push('UNAUTHORIZED');
+        if (op.role && op.role !== 'viewer') codes.push('FORBIDDEN');
+        const responses = {
+            [op.status]: op.produces
+                ? { description: 'OK', content: Object.fromEntries(Object.entries(op.produces).map(([type, schema]) => [type, { schema }])) }
+                : { description: 'OK', content: { 'application/json': { schema: envelope(op) } } }
+        };
+        for (const code of new Set(codes)) {
+            const status = ERROR_STATUS[code];
+            responses[status] = errorResponse([...new Set([...(responses[status]?.description.split(' | ') || []), code])]);
+        }
+        const body = op.body && (isSchema(op.body) ? { 'application/json': op.body } : op.body);
+        paths[op.path] = paths[op.path] || {};
+        paths[op.path][op.method.toLowerCase()] = {
+            operationId: op.operationId,
+            summary: op.summary,
+            tags: [op.tag],
+            ...(op.role ? { 'x-required-role': op.role } : { security: [] }),
+            parameters: [
+                ...op.pathParams.map(name => ({ name, in: 'path', required: true, schema: pathParamSchema(name) })),
+                ...op.query.map(name => ({ name, in: 'query', schema: QUERY_PARAMS[name] })),
+                ...op.headers.map(name => ({ name, in: 'header', schema: { type: 'string' } })),
+            ],
+            ...(body ? { requestBody: { required: true, content: Object.fromEntries(Object.entries(body).map(([type, schema]) => [type, { schema }])) } } : {}),
+            responses,
+        };
+    }
+    return {
+        openapi: '3.1.0',
+        info: { title: 'Client–Server Pro API', version: '1.0.0', description: 'Responses are { ok: true, data, meta } envelopes; errors are { ok: false, error: { code, message, details, requestId } }.' },
+        servers: [{ url: '/' }],
+        security: [{ session: [] }, { bearer: [] }],
+        tags: [...new Set(API_OPERATIONS.map(op => op.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                session: { type: 'apiKey', in: 'cookie', name: 'sid', description: 'From POST /api/auth/login' },
+                bearer: { type: 'http', scheme: 'bearer', description: 'An API token from POST /api/auth/tokens' }
+            }
+        }
+    };
+})();
+
+// The documented operation for a request, with its path parameters; null when undocumented.
+// Literal segments win over parameters (/api/loans/overdue over /api/loans/{id}).
+function findOperation(method, pathname) {
+    let best = null;
+    for (const op of API_OPERATIONS) {
+        const m = op.method === method && op.re.exec(pathname);
+        if (m && (!best || op.pathParams.length < best.op.pathParams.length)) best = { op, params: m.slice(1) };
+    }
+    return best;
+}
+
+const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+const TYPE_NAMES = { string: 'a string', integer: 'an integer', number: 'a number', boolean: 'a boolean', array: 'an array', object: 'an object', null: 'null' };
+
+// The JSON Schema subset the document uses. Values are read the way checkField reads them
+// ("1999" is an integer, 42 a string, "" is null) and problems are worded like its own
+// ("year must be an integer", "tags[2] must be at most 50 characters").
+function checkSchema(schema, value, where, problems) {
+    if (schema.$ref) schema = OPENAPI.components.schemas[schema.$ref.split('/').pop()];
+    if (schema.allOf) return schema.allOf.forEach(s => checkSchema(s, value, where, problems));
+    if (schema.anyOf) {
+        const tries = schema.anyOf.map(s => { const p = []; checkSchema(s, value, where, p); return p; });
+        if (!tries.some(p => !p.length)) problems.push(...tries[0]);
+        return;
+    }
+    const name = where || 'body';
+    const types = [].concat(schema.type || []);
+    if (value === '' && types.includes('null')) value = null;
+    else if (typeof value === 'string' && value.trim() && !Number.isNaN(Number(value)) && types.some(x => x === 'integer' || x === 'number')) value = Number(value);
+    else if (typeof value === 'number' && types.includes('string')) value = String(value);
+    const t = typeOf(value);
+    if (types.length && !types.some(x => x === t || (x === 'number' && t === 'integer')))
+        return problems.push(`${name} must be ${types.map(x => TYPE_NAMES[x]).join(' or ')}`);
+    if (value === null) return;
+    if (schema.enum && !schema.enum.includes(value)) return problems.push(`${name} must be one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) problems.push(`${name} must be at least ${schema.minLength} characters`);
+        if (schema.maxLength != null && value.length > schema.maxLength) problems.push(`${name} must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${name} has an invalid format`);
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) problems.push(`${name} must be a date`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) problems.push(`${name} must be at least ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) problems.push(`${name} must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) problems.push(`${name} needs at least ${schema.minItems} items`);
+        if (schema.maxItems != null && value.length > schema.maxItems) problems.push(`${name} allows at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((v, i) => checkSchema(schema.items, v, `${name}[${i}]`, problems));
+    }
+    if (t === 'object') {
+        const at = (k) => where ? `${where}.${k}` : k;
+        for (const k of schema.required || []) if (value[k] === undefined) problems.push(`${at(k)} is required`);
+        for (const [k, v] of Object.entries(value)) {
+            if (schema.properties?.[k]) checkSchema(schema.properties[k], v, at(k), problems);
+            else if (schema.additionalProperties === false) problems.push(`${at(k)} is not allowed`);
+            else if (typeof schema.additionalProperties === 'object') checkSchema(schema.additionalProperties, v, at(k), problems);
+        }
+    }
+}
+
+// Query values arrive as strings; checkSchema reads numbers from them, booleans are converted here.
+const coerceParam = (schema, raw) => schema.type === 'boolean' && (raw === 'true' || raw === 'false') ? raw === 'true' : raw;
+
+// 400 VALIDATION listing every problem with the path, query and body. The body is read here
+// (after the content type is accepted) and kept on req.parsedBody for the route handler.
+async function validateRequest({ op, params }, req, res, url) {
+    const problems = [];
+    op.pathParams.forEach((name, i) => checkSchema(pathParamSchema(name), decodeSegment(params[i]), name, problems));
+    for (const name of op.query) {
+        const raw = url.searchParams.get(name);
+        if (raw != null && raw !== '') checkSchema(QUERY_PARAMS[name], coerceParam(QUERY_PARAMS[name], raw), name, problems);
+    }
+    if (op.body) {
+        const schema = isSchema(op.body) ? op.body : op.body[patchType(req, res)];
+        req.parsedBody = await readBody(req);
+        checkSchema(schema, req.parsedBody, '', problems);
+    }
+    if (problems.length) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+}
+
+// public/api-client.mjs: the operation table plus a small fetch wrapper. The header records
+// a hash of the table so startup can tell when the file is out of date.
+function clientOperations() {
+    return Object.fromEntries(API_OPERATIONS
+        .filter(op => !op.produces || !op.produces['text/event-stream'])
+        .map(op => [op.operationId, { method: op.method, path: op.path, query: op.query, summary: op.summary }]));
+}
+const clientHash = () => sha(JSON.stringify(clientOperations()));
+
+function clientSource() {
+    const table = Object.entries(clientOperations())
+        .map(([name, { summary, ...op }]) => `    /** ${summary.replace(/\*\//g, '*\\/')} */\n    ${name}: ${JSON.stringify(op)},`).join('\n');
+    return `// api-client.mjs — Generated from GET /api/openapi.json by \`node server.js generate-client\`. Do not edit.
+// spec: ${clientHash()}
+// Dependency-free ES module for browsers and Node 18+:
+//   import { createClient } from './public/api-client.mjs';
+//   const api = createClient({ baseUrl: 'http://localhost:8080', token: process.env.API_TOKEN });
+//   const { data, meta } = await api.listBooks({ q: 'kleppmann', limit: 10 });
+//   await api.patchBook({ id: 'b1', body: { rating: 4.9 }, etag });
+// Each method takes one object: path and query parameters by name, plus \`body\`, \`etag\`
+// (sent as If-Match) and \`headers\`. It resolves with the { ok, data, meta } envelope plus
+// \`status\`, \`etag\` and the raw \`response\`, and rejects with ApiError otherwise.
+
+export const operations = {
+${table}
+};
+
+export class ApiError extends Error {
+    constructor(response, body) {
+        const error = (body && body.error) || {};
+        super(error.message || response.statusText || 'Request failed');
+        this.name = 'ApiError';
+        this.status = response.status;
+        this.code = error.code;
+        this.details = error.details;
+        this.requestId = error.requestId || response.headers.get('X-Request-Id');
+        this.body = body;
+        this.response = response;
+    }
+}
+
+export function createClient({ baseUrl = '', token, headers: defaults = {}, fetch: fetchFn = (...args) => globalThis.fetch(...args) } = {}) {
+    // Any method and path; \`query\` is an object of parameters (empty values are left out).
+    async function request(method, path, { query = {}, body, etag, headers = {} } = {}) {
+        const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v != null && v !== '')).toString();
+        const url = baseUrl + path + (qs ? (path.includes('?') ? '&' : '?') + qs : '');
+        const h = { ...defaults, ...headers };
+        if (token) h.Authorization = 'Bearer ' + token;
+        if (etag) h['If-Match'] = etag;
+        if (body !== undefined && !h['Content-Type']) {
+            h['Content-Type'] = method !== 'PATCH' ? 'application/json'
+                : Array.isArray(body) ? 'application/json-patch+json' : 'application/merge-patch+json';
+        }
+        const response = await fetchFn(url, { method, headers: h, body: body === undefined ? undefined : JSON.stringify(body), credentials: 'same-origin' });
+        const type = response.headers.get('Content-Type') || '';
+        const payload = type.includes('json') ? await response.json().catch(() => null) : await response.text();
+        if (!response.ok || (payload && payload.ok === false)) throw new ApiError(response, payload);
+        const envelope = payload && typeof payload === 'object' && 'ok' in payload ? payload : { ok: true, data: payload };
+        return Object.assign(envelope, { status: response.status, etag: response.headers.get('ETag'), response });
+    }
+
+    const client = { request };
+    for (const [name, op] of Object.entries(operations)) {
+        client[name] = ({ body, etag, headers, ...params } = {}) => {
+            const path = op.path.replace(/\\{(\\w+)\\}/g, (_, key) => {
+                if (params[key] == null) throw new TypeError(name + ': ' + key + ' is required');
+                return encodeURIComponent(params[key]);
+            });
+            const query = Object.fromEntries(op.query.filter(key => key in params).map(key => [key, params[key]]));
+            return request(op.method, path, { query, body, etag, headers });
+        };
+    }
+    return client;
+}
+`;
+}
+
+// Whether public/api-client.mjs was generated from the current operation table.
+function clientIsCurrent() {
+    try { return fs.readFileSync(CLIENT_PATH, 'utf-8').includes(`// spec: ${clientHash()}\n`); }
+    catch { return false; }
+}
+
+module.exports = { CLIENT_PATH, OPENAPI, findOperation, validateRequest, clientOperations, clientSource, clientIsCurrent };
@@ -0,0 +1,407 @@
+const { err, DAY, intParam } = require('./helpers');
+const { AVAILABILITY, COLLECTIONS } = require('./collections');
+const { store } = require('./storage');
+const { searchIndexes, textHits, searchTerms, highlights } = require('./search');
+const { TRASHED_VIEWS } = require('./records');
+
+/* ------------------------------ Query language ---------------------------- */
+// Filter syntax for `q`, checked against the queried collection's fields:
+//   kafka                      bare word/"phrase": full-text match on indexed fields (stemmed, prefix,
+//                              fuzzy), substring of the other text fields (id/isbn/publisher/...)
+//   author:"Kleppmann"         field substring (tag: matches a whole tag)
+//   year>=2015  rating<4       comparisons on numeric/date fields
+//   rating:[4 TO 5]            inclusive range, {a TO b} exclusive, * for open end
+//   a AND b, a OR b, NOT a, -a, ( ... )   — adjacent terms are ANDed
+const QUERY_ALIASES = { tag: 'tags' };
+
+function queryError(message, tok) {
+    const details = { param: 'q', position: tok ? tok.pos : null, token: tok ? tok.text : null };
+    return { code: 400, payload: err(`Invalid query: ${message}`, 'VALIDATION', details) };
+}
+
+function tokenizeQuery(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) { i++; continue; }
+        const pos = i;
+        if ('()[]{}'.includes(c)) { tokens.push({ type: c, text: c, pos }); i++; continue; }
+        const op = /^(>=|<=|>|<|=|:)/.exec(src.slice(i));
+        if (op) { tokens.push({ type: 'op', text: op[0], pos }); i += op[0].length; continue; }
+        if (c === '"') {
+            let j = i + 1, value = '';
+            while (j < src.length && src[j] !== '"') {
+                if (src[j] === '\\' && j + 1 < src.length) j++;
+                value += src[j++];
+            }
+            if (j >= src.length) throw queryError('unterminated quoted string', { pos, text: src.slice(pos) });
+            tokens.push({ type: 'string', value, text: src.slice(pos, j + 1), pos });
+            i = j + 1; continue;
+        }
+        const prev = tokens[tokens.length - 1];
+        if (c === '-' && (!prev || prev.type !== 'op') && i + 1 < src.length && !/\s/.test(src[i + 1])) {
+            tokens.push({ type: 'not', text: '-', pos }); i++; continue;
+        }
+        let j = i;
+        while (j < src.length && !/[\s()[\]{}"<>=:]/.test(src[j])) j++;
+        const text = src.slice(i, j);
+        const kw = { AND: 'and', OR: 'or', NOT: 'not', TO: 'to' }[text];
+        tokens.push(kw ? { type: kw, text, pos } : { type: 'word', value: text, text, pos });
+        i = j;
+    }
+    tokens.push({ type: 'eof', text: '', pos: src.length });
+    return tokens;
+}
+
+function parseQuery(src, col) {
+    const tokens = tokenizeQuery(src);
+    let p = 0;
+    const peek = () => tokens[p];
+    const next = () => tokens[p++];
+    const expect = (type, what) => {
+        const t = next();
+        if (t.type !== type) throw queryError(`expected ${what}`, t);
+        return t;
+    };
+    const startsTerm = (t) => ['word', 'string', 'not', '('].includes(t.type);
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peek().type === 'or') { next(); node = { type: 'or', left: node, right: parseAnd() }; }
+        return node;
+    }
+    function parseAnd() {
+        let node = parseUnary();
+        for (;;) {
+            if (peek().type === 'and') next();
+            else if (!startsTerm(peek())) break;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+    function parseUnary() {
+        if (peek().type === 'not') { next(); return { type: 'not', expr: parseUnary() }; }
+        return parsePrimary();
+    }
+    function parseValue() {
+        const t = next();
+        if (t.type !== 'word' && t.type !== 'string') throw queryError('expected a value', t);
+        return t;
+    }
+    function parseBound(field, t) {
+        if (t.type === 'word' && t.value === '*') return null;
+        return coerceQueryValue(col, field, t);
+    }
+    function parsePrimary() {
+        const t = peek();
+        if (t.type === '(') {
+            next();
+            const node = parseOr();
+            expect(')', '")"');
+            return node;
+        }
+        if (t.type !== 'word' && t.type !== 'string') throw queryError(t.type === 'eof' ? 'unexpected end of query' : `unexpected "${t.text}"`, t);
+        next();
+        if (t.type === 'word' && peek().type === 'op') {
+            const field = QUERY_ALIASES[t.value] || t.value;
+            if (!(field in col.queryFields)) throw queryError(`unknown field "${field}"`, t);
+            const op = next();
+            if (op.text === ':' && (peek().type === '[' || peek().type === '{')) {
+                const open = next();
+                const lo = parseBound(field, parseValue());
+                expect('to', '"TO"');
+                const hi = parseBound(field, parseValue());
+                const close = next();
+                if (close.type !== ']' && close.type !== '}') throw queryError('expected "]" or "}"', close);
+                requireOrdered(col, field, t);
+                return { type: 'range', field, lo, hi, loInclusive: open.type === '[', hiInclusive: close.type === ']' };
+            }
+            const v = parseValue();
+            if (op.text !== ':' && op.text !== '=') requireOrdered(col, field, op);
+            return { type: 'field', field, op: op.text, value: coerceQueryValue(col, field, v) };
+        }
+        return { type: 'text', value: t.value };
+    }
+
+    if (peek().type === 'eof') return null;
+    const ast = parseOr();
+    if (peek().type !== 'eof') throw queryError(`unexpected "${peek().text}"`, peek());
+    return ast;
+}
+
+function requireOrdered(col, field, tok) {
+    const kind = col.queryFields[field];
+    if (kind !== 'number' && kind !== 'date') throw queryError(`field "${field}" does not support ranges or comparisons`, tok);
+}
+
+function coerceQueryValue(col, field, tok) {
+    const kind = col.queryFields[field];
+    if (kind === 'number') {
+        const n = Number(tok.value);
+        if (tok.value === '' || Number.isNaN(n)) throw queryError(`"${field}" expects a number`, tok);
+        return n;
+    }
+    if (kind === 'date') {
+        const d = Date.parse(tok.value);
+        if (Number.isNaN(d)) throw queryError(`"${field}" expects a date`, tok);
+        return new Date(d).toISOString();
+    }
+    return String(tok.value).toLowerCase();
+}
+
+function compileQuery(ast, col) {
+    if (!ast) return () => true;
+    switch (ast.type) {
+        case 'and': { const l = compileQuery(ast.left, col), r = compileQuery(ast.right, col); return b => l(b) && r(b); }
+        case 'or': { const l = compileQuery(ast.left, col), r = compileQuery(ast.right, col); return b => l(b) || r(b); }
+        case 'not': { const e = compileQuery(ast.expr, col); return b => !e(b); }
+        case 'text': {
+            const v = ast.value.toLowerCase();
+            const substring = (fields) => b => fields.some(f =>
+                (Array.isArray(b[f]) ? b[f].join(',') : String(b[f] ?? '')).toLowerCase().includes(v));
+            const index = searchIndexes[col.name];
+            const hits = index && textHits(index, ast.value);
+            if (!hits) return substring(col.text);
+            const rest = substring(col.text.filter(f => !index.fields.some(x => x.name === f)));
+            return b => hits.has(b.id) || rest(b);
+        }
+        case 'range': {
+            const { field, lo, hi, loInclusive, hiInclusive } = ast;
+            return b => {
+                const x = b[field];
+                if (x == null) return false;
+                if (lo != null && (loInclusive ? x < lo : x <= lo)) return false;
+                if (hi != null && (hiInclusive ? x > hi : x >= hi)) return false;
+                return true;
+            };
+        }
+        case 'field': {
+            const { field, op, value } = ast;
+            const kind = col.queryFields[field];
+            if (kind === 'tag') {
+                return b => (b[field] || []).some(t => String(t).toLowerCase() === value);
+            }
+            if (kind === 'string') {
+                return op === '='
+                    ? b => String(b[field] ?? '').toLowerCase() === value
+                    : b => String(b[field] ?? '').toLowerCase().includes(value);
+            }
+            const cmp = {
+                ':': x => x === value, '=': x => x === value,
+                '>': x => x > value, '>=': x => x >= value,
+                '<': x => x < value, '<=': x => x <= value
+            }[op];
+            return b => b[field] != null && cmp(b[field]);
+        }
+    }
+    throw new Error('Unknown query node ' + ast.type);
+}
+
+/* ------------------------------ Query helpers ----------------------------- */
+// Cursors are opaque base64url tokens holding the sort key of a boundary row plus
+// its id as a tiebreaker (keyOf() from filterAndSort), so paging stays stable while
+// rows are added or removed.
+function encodeCursor(key, sort, dir) {
+    return Buffer.from(JSON.stringify({ s: sort, d: dir, k: key })).toString('base64url');
+}
+function decodeCursor(token, sort, dir, param) {
+    let c;
+    try { c = JSON.parse(Buffer.from(token, 'base64url').toString('utf-8')); } catch { c = null; }
+    if (!c || !Array.isArray(c.k) || c.k.length !== 2)
+        throw { code: 400, payload: err('Invalid cursor', 'VALIDATION', { param }) };
+    if (c.s !== sort || c.d !== dir)
+        throw { code: 400, payload: err('Cursor does not match the current sort', 'VALIDATION', { param, sort: c.s, dir: c.d }) };
+    return c.k;
+}
+
+// Filter and sort without paging; shared by the list endpoint and exports. Ordering
+// comes from the storage backend's scan(), so backends with indexes skip the sort.
+// sort=relevance (best first unless dir=asc) needs bare words in `q` and a search
+// index; without them it falls back to the default sort.
+function filterAndSort(col, url) {
+    const q = url.searchParams.get('q') || '';
+    const sort = url.searchParams.get('sort') || col.defaultSort;
+    const ast = q.trim() ? parseQuery(q, col) : null;
+    const index = searchIndexes[col.name];
+    const terms = index ? searchTerms(ast) : [];
+    const relevance = sort === 'relevance' && terms.length > 0;
+    const dir = (url.searchParams.get('dir') || (relevance ? 'desc' : 'asc')).toLowerCase() === 'desc' ? -1 : 1;
+    const trashed = url.searchParams.get('trashed') || 'exclude';
+    if (!TRASHED_VIEWS.includes(trashed)) throw { code: 400, payload: err(`trashed must be one of ${TRASHED_VIEWS.join(', ')}`, 'VALIDATION', { param: 'trashed' }) };
+    const s = relevance ? 'relevance' : col.sortable.includes(sort) ? sort : col.defaultSort;
+    let out = store.scan(col.name, relevance ? 'id' : s, dir === 1 ? 'asc' : 'desc');
+    if (trashed !== 'include') out = out.filter(r => !r.deletedAt === (trashed === 'exclude'));
+    if (ast) out = out.filter(compileQuery(ast, col));
+    const availability = url.searchParams.get('availability') || '';
+    if (availability) {
+        if (col.name !== 'books' || !AVAILABILITY.includes(availability))
+            throw { code: 400, payload: err(`availability must be one of ${AVAILABILITY.join(', ')} (books only)`, 'VALIDATION', { param: 'availability' }) };
+        out = out.filter(b => b.availability === availability);
+    }
+
+    const cmpKey = ([av, aid], [bv, bid]) =>
+        av > bv ? dir : av < bv ? -dir : aid > bid ? dir : aid < bid ? -dir : 0;
+    let keyOf = b => [b[s] ?? '', b.id];
+    if (relevance) {
+        // Rounded so a score survives the cursor's JSON round trip unchanged.
+        const hits = terms.map(t => textHits(index, t)).filter(Boolean);
+        const scores = new Map(out.map(b => [b.id, Number(hits.reduce((n, h) => n + (h.get(b.id) || 0), 0).toFixed(6))]));
+        keyOf = b => [scores.get(b.id) ?? 0, b.id];
+        out.sort((a, b) => cmpKey(keyOf(a), keyOf(b)));
+    }
+    return { list: out, q, availability, trashed, terms, sort: s, dir: dir === 1 ? 'asc' : 'desc', cmpKey, keyOf };
+}
+
+function applyQuery(col, url) {
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 20), 1), 100);
+    const after = url.searchParams.get('after');
+    const before = url.searchParams.get('before');
+    if (after && before) throw { code: 400, payload: err('Use either after or before, not both', 'VALIDATION', { param: 'before' }) };
+
+    const facets = parseFacets(col, url);
+    const { list: out, q, availability, trashed, terms, sort: s, dir: dirName, cmpKey, keyOf } = filterAndSort(col, url);
+
+    const total = out.length;
+    let offset;
+    if (after) {
+        const k = decodeCursor(after, s, dirName, 'after');
+        offset = out.findIndex(b => cmpKey(keyOf(b), k) > 0);
+        if (offset === -1) offset = total;
+    } else if (before) {
+        const k = decodeCursor(before, s, dirName, 'before');
+        let end = out.findIndex(b => cmpKey(keyOf(b), k) >= 0);
+        if (end === -1) end = total;
+        offset = Math.max(end - limit, 0);
+    } else {
+        offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
+    }
+    const page = out.slice(offset, offset + limit);
+    const nextCursor = page.length && offset + page.length < total ? encodeCursor(keyOf(page[page.length - 1]), s, dirName) : null;
+    const prevCursor = page.length && offset > 0 ? encodeCursor(keyOf(page[0]), s, dirName) : null;
+    const meta = { total, limit, offset, sort: s, dir: dirName, q, nextCursor, prevCursor };
+    if (terms.length) {
+        meta.highlights = Object.fromEntries(page
+            .map(r => [r.id, highlights(searchIndexes[col.name], r, terms)])
+            .filter(([, h]) => Object.keys(h).length));
+        if (s === 'relevance') meta.scores = Object.fromEntries(page.map(r => [r.id, keyOf(r)[0]]));
+    }
+    if (facets) meta.facets = computeFacets(col, out, facets);
+    if (availability) meta.availability = availability;
+    if (trashed !== 'exclude') meta.trashed = trashed;
+    if (after) meta.after = after;
+    if (before) meta.before = before;
+    return { list: page, meta };
+}
+
+// RFC 8288 Link header. Cursor requests get cursor links; offset requests keep offset links.
+function paginationLinks(url, meta) {
+    const cursorMode = url.searchParams.has('after') || url.searchParams.has('before');
+    const link = (rel, set) => {
+        const params = new URLSearchParams(url.searchParams);
+        ['after', 'before', 'offset'].forEach(k => params.delete(k));
+        for (const [k, v] of Object.entries(set)) params.set(k, v);
+        const qs = params.toString();
+        return `<${url.pathname}${qs ? '?' + qs : ''}>; rel="${rel}"`;
+    };
+    const links = [link('first', cursorMode ? {} : { offset: 0 })];
+    if (cursorMode) {
+        if (meta.prevCursor) links.push(link('prev', { before: meta.prevCursor }));
+        if (meta.nextCursor) links.push(link('next', { after: meta.nextCursor }));
+    } else {
+        if (meta.offset > 0) links.push(link('prev', { offset: Math.max(meta.offset - meta.limit, 0) }));
+        if (meta.offset + meta.limit < meta.total) links.push(link('next', { offset: meta.offset + meta.limit }));
+    }
+    return links.join(', ');
+}
+
+/* ------------------------------ Facets & stats ----------------------------- */
+// Facets count the whole filtered result (not just the page), so they follow `q`.
+// Every value carries `filter`, a `q` clause selecting it, which the client appends
+// to the search when a facet is clicked.
+const FACET_SIZE = 10;
+
+// ?facets=tag,author,year&facetSize=10 -> { fields: [{ key, field }], size }, or null.
+function parseFacets(col, url) {
+    const raw = url.searchParams.get('facets');
+    if (!raw) return null;
+    const fields = raw.split(',').map(k => k.trim()).filter(Boolean).map(key => {
+        const field = col.byName[QUERY_ALIASES[key] || key];
+        if (!field || !['string', 'tag', 'number'].includes(col.queryFields[field.name]))
+            throw { code: 400, payload: err(`Cannot facet on "${key}"`, 'VALIDATION', { param: 'facets', facetable: col.fields.filter(f => f.facet).map(f => f.name) }) };
+        return { key, field };
+    });
+    return { fields, size: intParam(url, 'facetSize', FACET_SIZE, 1, 100) };
+}
+
+const quoteQuery = (v) => `"${String(v).replace(/["\\]/g, c => '\\' + c)}"`;
+
+// Numeric values grouped into [from, to) ranges of the field's bucket width (or exact values).
+function numericBuckets(f, values) {
+    const width = f.bucket || 0;
+    const counts = new Map();
+    for (const v of values) {
+        if (v == null) continue;
+        const from = width ? Math.floor(v / width) * width : v;
+        counts.set(from, (counts.get(from) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => a[0] - b[0]).map(([from, count]) => {
+        if (!width) return { value: String(from), count, filter: `${f.name}:${from}` };
+        const to = from + width;
+        const label = f.type === 'integer' ? `${from}–${to - 1}` : from === f.max ? String(from) : `${from}–${to}`;
+        return { value: label, from, to, count, filter: `${f.name}:[${from} TO ${to}}` };
+    });
+}
+
+function topValues(values, size) {
+    const counts = new Map();
+    for (const v of values) if (v != null && v !== '') counts.set(v, (counts.get(v) || 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))).slice(0, size);
+}
+
+function computeFacets(col, list, { fields, size }) {
+    const out = {};
+    for (const { key, field: f } of fields) {
+        const kind = col.queryFields[f.name];
+        if (kind === 'number') { out[key] = numericBuckets(f, list.map(r => r[f.name])); continue; }
+        const values = kind === 'tag' ? list.flatMap(r => r[f.name] || []) : list.map(r => r[f.name]);
+        const op = kind === 'tag' ? ':' : '=';
+        out[key] = topValues(values, size).map(([value, count]) => ({ value, count, filter: `${key}${op}${quoteQuery(value)}` }));
+    }
+    return out;
+}
+
+// Records created/updated per UTC day over the last `days` days, zero-filled for charts.
+// An update is counted on the day of a record's latest change (version > 1).
+function dailySeries(records, days, now = Date.now()) {
+    const dates = Array.from({ length: days }, (_, i) => new Date(now - (days - 1 - i) * DAY).toISOString().slice(0, 10));
+    const series = (pick) => {
+        const counts = new Map(dates.map(d => [d, 0]));
+        for (const r of records) {
+            const d = pick(r)?.slice(0, 10);
+            if (counts.has(d)) counts.set(d, counts.get(d) + 1);
+        }
+        return [...counts].map(([date, count]) => ({ date, count }));
+    };
+    return { days, created: series(r => r.createdAt), updated: series(r => r.version > 1 ? r.updatedAt : null) };
+}
+
+// GET /api/stats?top=5&days=30 — catalog-wide numbers for the books collection.
+function catalogStats(url) {
+    const top = intParam(url, 'top', 5, 1, 50);
+    const days = intParam(url, 'days', 30, 1, 365);
+    const col = COLLECTIONS.books;
+    const books = store.all('books').filter(b => !b.deletedAt);
+    const rated = books.filter(b => b.rating != null);
+    const avgRating = rated.length ? Number((rated.reduce((s, b) => s + b.rating, 0) / rated.length).toFixed(2)) : null;
+    return {
+        count: books.length,
+        avgRating,
+        topAuthors: topValues(books.map(b => b.author), top).map(([author, count]) => ({ author, count })),
+        topTags: topValues(books.flatMap(b => b.tags || []), top).map(([tag, count]) => ({ tag, count })),
+        histograms: Object.fromEntries(col.fields.filter(f => f.bucket).map(f => [f.name, numericBuckets(f, books.map(b => b[f.name]))])),
+        timeseries: dailySeries(books, days)
+    };
+}
+
+module.exports = { QUERY_ALIASES, filterAndSort, applyQuery, paginationLinks, catalogStats };
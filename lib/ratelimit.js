@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT, nowISO, intParam, atomicWrite } = require('./helpers');
+const { log, gauge } = require('./log');
+
+// Token buckets: a client may spend `limit` requests at once, refilled evenly over `window`
+// seconds, so bursts are fine but the sustained rate is capped. Policies come from
+// ratelimits.json (RATE_LIMIT_CONFIG overrides the path), merged over RATE_DEFAULTS:
+//   default          { limit, window } for requests no route matches
+//   routes           [{ name, path (regexp), methods?, limit, window }]: the first match wins,
+//                    routes with the same name share a bucket, and limit: null exempts
+//   tokens           { <API token id>: { default?, routes?: { <route name>: policy } } }
+//   trustedProxies   proxy addresses whose X-Forwarded-For is believed
+//   maxBuckets       buckets kept in memory; the least recently used are dropped first
+// A request counts against its API token if it has one, else against the client address.
+// Buckets survive restarts in ratelimits.state.json.
+const RATE_CONFIG_PATH = process.env.RATE_LIMIT_CONFIG || path.join(ROOT, 'ratelimits.json');
+const RATE_STATE_PATH = path.join(ROOT, 'ratelimits.state.json');
+const RATE_SWEEP_INTERVAL = 60 * 1000;
+const RATE_DEFAULTS = {
+    default: { limit: 300, window: 60 },
+    routes: [
+        { name: 'health', path: '^/api/health(/live|/ready)?$', limit: null },
+        { name: 'static', path: '^/(?!api/)', methods: ['GET', 'HEAD'], limit: 1200, window: 60 },
+        { name: 'events', path: '^/api/events$', limit: 20, window: 60 },
+        { name: 'login', path: '^/api/auth/login$', methods: ['POST'], limit: 10, window: 300 },
+        { name: 'bulk', path: '^/api/[^/]+/bulk$', methods: ['POST'], limit: 10, window: 300 },
+        { name: 'bulk', path: '^/api/[^/]+$', methods: ['PATCH', 'DELETE'], limit: 10, window: 300 },
+    ],
+    tokens: {},
+    trustedProxies: [],
+    maxBuckets: 10000,
+};
+
+function loadRateConfig() {
+    const file = fs.existsSync(RATE_CONFIG_PATH) ? JSON.parse(fs.readFileSync(RATE_CONFIG_PATH, 'utf-8')) : {};
+    const raw = { ...RATE_DEFAULTS, ...file };
+    const problems = [];
+    const policy = (p, where) => {
+        if (p === null) return null;
+        if (!Number.isInteger(p?.limit) || p.limit < 1 || !(Number(p.window) > 0)) {
+            problems.push(`${where} needs a positive integer limit and a window in seconds (or limit: null)`);
+            return null;
+        }
+        return { limit: p.limit, window: Number(p.window) };
+    };
+    const routes = (raw.routes || []).map((r, i) => {
+        const where = `routes[${i}]${r.name ? ` (${r.name})` : ''}`;
+        if (!r.name || !r.path) problems.push(`${where} needs a name and a path`);
+        let re = null;
+        try { re = new RegExp(r.path); } catch (e) { problems.push(`${where}: ${e.message}`); }
+        return { name: r.name, path: r.path, re, methods: r.methods ? r.methods.map(m => m.toUpperCase()) : null, policy: policy(r.limit === null ? null : r, where) };
+    });
+    const tokens = {};
+    for (const [id, t] of Object.entries(raw.tokens || {})) {
+        tokens[id] = { routes: {} };
+        if ('default' in t) tokens[id].default = policy(t.default, `tokens.${id}.default`);
+        for (const [name, p] of Object.entries(t.routes || {})) tokens[id].routes[name] = policy(p, `tokens.${id}.routes.${name}`);
+    }
+    const config = {
+        source: Object.keys(file).length ? RATE_CONFIG_PATH : 'defaults',
+        default: policy(raw.default, 'default'),
+        routes, tokens,
+        trustedProxies: new Set((raw.trustedProxies || []).map(normalizeIp)),
+        maxBuckets: Math.max(Number(raw.maxBuckets) || RATE_DEFAULTS.maxBuckets, 1),
+    };
+    if (problems.length) throw new Error(`Invalid rate limit config ${RATE_CONFIG_PATH}: ${problems.join('; ')}`);
+    return config;
+}
+
+const normalizeIp = (ip) => String(ip || '').trim().replace(/^::ffff:/, '');
+const rateConfig = loadRateConfig();
+const buckets = new Map(); // "<route>|<client>" -> { tokens, updated, policy }; oldest use first
+gauge('ratelimit_buckets', 'Rate limit buckets held in memory.', () => buckets.size);
+
+// The peer address, unless it is a trusted proxy: then X-Forwarded-For is read from the
+// nearest hop back and the first address that isn't a trusted proxy is the client.
+function clientIp(req) {
+    let ip = normalizeIp(req.socket.remoteAddress) || 'unknown';
+    if (!rateConfig.trustedProxies.has(ip)) return ip;
+    const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(normalizeIp).filter(Boolean);
+    while (hops.length) {
+        ip = hops.pop();
+        if (!rateConfig.trustedProxies.has(ip)) break;
+    }
+    return ip;
+}
+
+const refillRate = (policy) => policy.limit / (policy.window * 1000); // tokens per ms
+const bucketLevel = (b, now) => Math.min(b.policy.limit, b.tokens + (now - b.updated) * refillRate(b.policy));
+
+function takeToken(key, policy, now = Date.now()) {
+    const prev = buckets.get(key);
+    buckets.delete(key); // re-inserted below, so Map order tracks recent use
+    const b = { tokens: prev ? Math.min(policy.limit, bucketLevel(prev, now)) : policy.limit, updated: now, policy };
+    const allowed = b.tokens >= 1;
+    if (allowed) b.tokens -= 1;
+    buckets.set(key, b);
+    while (buckets.size > rateConfig.maxBuckets) buckets.delete(buckets.keys().next().value);
+    const rate = refillRate(policy);
+    return {
+        allowed,
+        remaining: Math.floor(b.tokens),
+        reset: Math.ceil((policy.limit - b.tokens) / rate / 1000),    // seconds until full again
+        retryAfter: allowed ? 0 : Math.ceil((1 - b.tokens) / rate / 1000),
+    };
+}
+
+// Charges the request to its bucket and sets the RateLimit-* headers. Returns the details
+// for a 429 when the bucket is empty, else null.
+function rateLimit(res, method, pathname, user, ip) {
+    const route = rateConfig.routes.find(r => r.re.test(pathname) && (!r.methods || r.methods.includes(method)));
+    const name = route ? route.name : 'default';
+    const own = user?.tokenId && rateConfig.tokens[user.tokenId];
+    let policy = route ? route.policy : rateConfig.default;
+    if (own && name in own.routes) policy = own.routes[name];
+    else if (own && !route && 'default' in own) policy = own.default;
+    if (!policy) return null;
+    const client = user?.tokenId ? `token:${user.tokenId}` : `ip:${ip}`;
+    const r = takeToken(`${name}|${client}`, policy);
+    res.setHeader('RateLimit-Limit', policy.limit);
+    res.setHeader('RateLimit-Remaining', r.remaining);
+    res.setHeader('RateLimit-Reset', r.reset);
+    res.setHeader('RateLimit-Policy', `${policy.limit};w=${policy.window}`);
+    if (r.allowed) return null;
+    res.setHeader('Retry-After', r.retryAfter);
+    return { route: name, limit: policy.limit, window: policy.window, retryAfter: r.retryAfter };
+}
+
+// Buckets that have refilled completely carry no information; dropping them keeps idle
+// clients from piling up.
+function sweepBuckets(now = Date.now()) {
+    for (const [key, b] of buckets) if (bucketLevel(b, now) >= b.policy.limit) buckets.delete(key);
+}
+
+function saveRateState() {
+    sweepBuckets();
+    atomicWrite({ savedAt: nowISO(), buckets: [...buckets] }, RATE_STATE_PATH);
+}
+function loadRateState() {
+    if (!fs.existsSync(RATE_STATE_PATH)) return;
+    try {
+        for (const [key, b] of JSON.parse(fs.readFileSync(RATE_STATE_PATH, 'utf-8')).buckets || []) buckets.set(key, b);
+        sweepBuckets();
+    } catch (e) { log('warn', 'Ignoring unreadable rate limit state', { error: e.message }); }
+}
+
+// GET /api/admin/ratelimits: the active policies and the emptiest buckets first.
+// ?client= narrows to one address or token id.
+function rateLimitState(url) {
+    const now = Date.now();
+    const client = url.searchParams.get('client');
+    const limit = intParam(url, 'limit', 100, 1, 1000);
+    const items = [];
+    for (const [key, b] of buckets) {
+        const [route, who] = [key.slice(0, key.indexOf('|')), key.slice(key.indexOf('|') + 1)];
+        if (client && who.slice(who.indexOf(':') + 1) !== client) continue;
+        const level = bucketLevel(b, now);
+        items.push({
+            route, client: who, limit: b.policy.limit, window: b.policy.window, remaining: Math.floor(level),
+            reset: Math.ceil((b.policy.limit - level) / refillRate(b.policy) / 1000), lastSeen: new Date(b.updated).toISOString()
+        });
+    }
+    items.sort((a, b) => a.remaining / a.limit - b.remaining / b.limit);
+    const { source, routes, tokens, trustedProxies, maxBuckets } = rateConfig;
+    return {
+        items: items.slice(0, limit),
+        meta: {
+            total: items.length, buckets: buckets.size, maxBuckets, source,
+            default: rateConfig.default,
+            routes: routes.map(({ name, path, methods, policy }) => ({ name, path, methods, ...(policy || { limit: null }) })),
+            tokens, trustedProxies: [...trustedProxies],
+        }
+    };
+}
+// DELETE /api/admin/ratelimits?client=: refills a client's buckets (all of them without ?client).
+function resetRateLimits(client) {
+    let reset = 0;
+    for (const key of [...buckets.keys()]) {
+        const who = key.slice(key.indexOf('|') + 1);
+        if (!client || who.slice(who.indexOf(':') + 1) === client) { buckets.delete(key); reset++; }
+    }
+    return { reset };
+}
+
+module.exports = { RATE_SWEEP_INTERVAL, clientIp, rateLimit, sweepBuckets, saveRateState, loadRateState, rateLimitState, resetRateLimits };
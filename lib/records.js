@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { err, nowISO, DAY, clone, etagOf, etagMatches } = require('./helpers');
+const { SYSTEM_FIELD_NAMES, COLLECTIONS, checkField } = require('./collections');
+const { store, db, journal, persist } = require('./storage');
+
+/* ------------------------------- Business logic ---------------------------- */
+// All record operations take the collection definition (COLLECTIONS[name]) first.
+// Live records only: anything in the trash (deletedAt set) reads as missing.
+function findRecord(col, id) {
+    const r = store.get(col.name, id);
+    return r && !r.deletedAt ? r : undefined;
+}
+function notFoundError(col, id) {
+    const r = store.get(col.name, id);
+    if (r?.deletedAt) return { code: 404, payload: err(`${col.noun} "${id}" is in the trash`, 'NOT_FOUND', { deletedAt: r.deletedAt }) };
+    return { code: 404, payload: err(`${col.noun} not found`, 'NOT_FOUND') };
+}
+function findOrFail(col, id) {
+    const r = findRecord(col, id);
+    if (!r) throw notFoundError(col, id);
+    return r;
+}
+// Validates the writable schema fields present in `input` (all required ones unless partial),
+// then checks that every reference points at an existing record.
+// `version` passes through untouched: it is the concurrency token, not record data.
+function validateRecord(col, input, { partial = false } = {}) {
+    const problems = [];
+    const out = {};
+    for (const name of col.writable) {
+        if (!(name in input)) {
+            if (!partial && col.byName[name].required) problems.push(`${name} is required`);
+            continue;
+        }
+        const { value, problem } = checkField(col.byName[name], input[name]);
+        if (problem) problems.push(problem); else out[name] = value;
+    }
+    for (const f of col.refs) {
+        if (out[f.name] != null && !findRecord(COLLECTIONS[f.ref], out[f.name])) problems.push(`${f.name} references unknown ${f.ref} "${out[f.name]}"`);
+    }
+    if ('version' in input) out.version = input.version;
+    return { ok: problems.length === 0, value: out, problems };
+}
+
+// Records in any collection whose reference fields point at `id` in `col`, leaving out the
+// ones their collection no longer counts as active (returned loans, closed holds); with
+// trashed: false, references from records in the trash don't count either.
+function referencesTo(col, id, { trashed = true } = {}) {
+    const refs = [];
+    for (const other of Object.values(COLLECTIONS)) {
+        const fields = other.refs.filter(f => f.ref === col.name);
+        if (!fields.length) continue;
+        for (const r of store.all(other.name)) {
+            if (!trashed && r.deletedAt) continue;
+            if (other.active && !other.active(r)) continue;
+            for (const f of fields) if (r[f.name] === id) refs.push({ collection: other.name, id: r.id, field: f.name });
+        }
+    }
+    return refs;
+}
+function referencedError(col, id, refs) {
+    const where = [...new Set(refs.map(r => r.collection))].join(', ');
+    return { code: 409, payload: err(`${col.noun} "${id}" is still referenced by ${refs.length} record(s) in ${where}`, 'CONFLICT', { references: refs.slice(0, 50) }) };
+}
+
+function createRecord(col, input, actor) {
+    const { ok: valid, value, problems } = validateRecord(col, input);
+    if (!valid) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+    const existing = value.id && store.get(col.name, value.id);
+    if (existing) throw { code: 409, payload: err(existing.deletedAt ? 'ID already exists (in the trash)' : 'ID already exists', 'CONFLICT') };
+    const id = value.id || (col.idPrefix + crypto.randomBytes(3).toString('hex'));
+    const now = nowISO();
+    const record = { id };
+    for (const f of col.fields) {
+        if (f.name !== 'id' && !SYSTEM_FIELD_NAMES.includes(f.name)) record[f.name] = value[f.name] ?? clone(f.default ?? null);
+    }
+    if (col.derive) Object.assign(record, col.derive(record));
+    Object.assign(record, {
+        createdAt: now, updatedAt: now, version: 1,
+        createdBy: actor?.username ?? null, updatedBy: actor?.username ?? null
+    });
+    journal(col.name, 'create', null, record);
+    store.put(col.name, record); persist();
+    return record;
+}
+function checkVersion(cur, version) {
+    if (version != null && Number(version) !== cur.version)
+        throw { code: 409, payload: err('Version conflict', 'VERSION_CONFLICT', { expected: cur.version, current: clone(cur) }) };
+}
+// Partial update: only the fields in `patch` change (bulk edits, reverts, circulation).
+function updateRecord(col, id, patch, actor) {
+    const cur = findRecord(col, id);
+    if (!cur) throw notFoundError(col, id);
+    checkVersion(cur, patch.version);
+    const { ok: valid, value, problems } = validateRecord(col, patch, { partial: true });
+    if (!valid) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+    delete value.version;
+    return commitUpdate(col, cur, value, actor);
+}
+// PUT: `doc` is the whole record. Writable fields it leaves out go back to their defaults
+// (or are dropped); fields the server maintains keep their values.
+function replaceRecord(col, id, doc, actor) {
+    const cur = findOrFail(col, id);
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw { code: 400, payload: err('Body must be a JSON object', 'VALIDATION') };
+    if (doc.id != null && String(doc.id) !== id) throw { code: 400, payload: err(`id "${doc.id}" does not match the URL`, 'VALIDATION') };
+    checkVersion(cur, doc.version);
+    const { ok: valid, value, problems } = validateRecord(col, doc);
+    if (!valid) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+    return commitUpdate(col, cur, replacement(col, value), actor);
+}
+// The writable fields of a whole-document write: what `value` has, defaults for the rest.
+function replacement(col, value) {
+    const changes = {};
+    for (const name of col.writable) {
+        if (name === 'id') continue;
+        const f = col.byName[name];
+        changes[name] = name in value ? value[name] : 'default' in f ? clone(f.default) : undefined;
+    }
+    return changes;
+}
+// Writes `changes` (already validated, may include readOnly fields) as the next version.
+// An undefined value removes the field.
+function commitUpdate(col, cur, changes, actor) {
+    const after = { ...clone(cur), ...changes, id: cur.id, updatedAt: nowISO(), updatedBy: actor?.username ?? null, version: cur.version + 1 };
+    for (const k of Object.keys(after)) if (after[k] === undefined) delete after[k];
+    if (col.derive) Object.assign(after, col.derive(after));
+    journal(col.name, 'update', cur, after);
+    store.put(col.name, after); persist();
+    return after;
+}
+// Permanent delete (admins, and the trash purge). Refused while anything points at the
+// record, trashed records included, so a restore can never bring back a dangling reference.
+function deleteRecord(col, id) {
+    const cur = store.get(col.name, id);
+    if (!cur) throw { code: 404, payload: err(`${col.noun} not found`, 'NOT_FOUND') };
+    const refs = referencesTo(col, id);
+    if (refs.length) throw referencedError(col, id, refs);
+    journal(col.name, 'delete', cur, null);
+    store.remove(col.name, id); persist();
+    return cur;
+}
+
+/* ------------------------------ Conditional writes -------------------------- */
+// If-Match, true PUT and PATCH (RFC 9110, 7396, 6902). Writes to one record must be
+// conditional; the ETag is the one GET /api/:collection/:id sends (etagOf the record).
+const PATCH_TYPES = ['application/merge-patch+json', 'application/json-patch+json'];
+
+// 412 when If-Match doesn't list the record's current ETag. With `required`, a write
+// without If-Match gets 428: it would overwrite changes it has never seen.
+function checkIfMatch(req, cur, { required = false } = {}) {
+    const header = req.headers['if-match'];
+    if (header == null) {
+        if (required) throw { code: 428, payload: err('This write needs an If-Match header with the record\'s ETag (or its version)', 'PRECONDITION_REQUIRED') };
+        return;
+    }
+    const etag = etagOf(cur);
+    if (!etagMatches(header, etag))
+        throw { code: 412, payload: err('Precondition failed: the record has changed', 'PRECONDITION_FAILED', { etag, current: clone(cur) }) };
+}
+
+// Plain application/json is taken as a merge patch, which is what such a body means to most clients.
+function patchType(req, res) {
+    const type = (req.headers['content-type'] || 'application/json').split(';')[0].trim().toLowerCase();
+    if (type === 'application/json') return PATCH_TYPES[0];
+    if (PATCH_TYPES.includes(type)) return type;
+    res.setHeader('Accept-Patch', PATCH_TYPES.join(', '));
+    throw { code: 415, payload: err(`Unsupported patch type ${type}`, 'UNSUPPORTED_MEDIA_TYPE', { accepted: PATCH_TYPES }) };
+}
+// The body's own precondition: `version` in a merge patch, a test of /version in a JSON Patch.
+function patchHasVersion(patch, type) {
+    if (type === PATCH_TYPES[1]) return Array.isArray(patch) && patch.some(op => op?.op === 'test' && op.path === '/version');
+    return patch?.version != null;
+}
+
+// RFC 7396: objects merge recursively, null removes a member, anything else replaces.
+function mergePatch(target, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return patch;
+    const out = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+    for (const [k, v] of Object.entries(patch)) {
+        if (v === null) delete out[k];
+        else out[k] = mergePatch(out[k], v);
+    }
+    return out;
+}
+
+// Key-order independent JSON, for the `test` operation's equality.
+const canonicalJSON = (v) => JSON.stringify(v, (k, x) =>
+    x && typeof x === 'object' && !Array.isArray(x) ? Object.fromEntries(Object.keys(x).sort().map(key => [key, x[key]])) : x);
+
+// RFC 6902 on a copy of `doc`; operations apply in order and any failure rejects the
+// whole patch. A failed `test` is a 409 (the record isn't in the expected state).
+function jsonPatch(doc, ops) {
+    if (!Array.isArray(ops)) throw { code: 400, payload: err('A JSON Patch is an array of operations', 'INVALID_PATCH') };
+    const holder = { doc: clone(doc) };   // pointers resolve below holder.doc, so "" is the whole document
+    ops.forEach((op, index) => {
+        const fail = (msg, code = 400, name = 'INVALID_PATCH') => {
+            throw { code, payload: err(`Patch operation ${index} (${op?.op} ${op?.path}): ${msg}`, name, { index, op }) };
+        };
+        const parse = (pointer) => {
+            if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) fail(`invalid pointer ${JSON.stringify(pointer)}`);
+            return ['doc', ...(pointer === '' ? [] : pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~')))];
+        };
+        // The container holding the pointer's last token, and that token (an index for arrays).
+        const locate = (tokens, { adding = false } = {}) => {
+            let parent = holder;
+            for (const t of tokens.slice(0, -1)) {
+                parent = Array.isArray(parent) ? parent[arrayIndex(parent, t)] : Object.hasOwn(parent, t) ? parent[t] : undefined;
+                if (!parent || typeof parent !== 'object') fail('path does not exist');
+            }
+            const last = tokens[tokens.length - 1];
+            if (!Array.isArray(parent)) return [parent, last];
+            return [parent, adding && last === '-' ? parent.length : arrayIndex(parent, last, adding)];
+        };
+        const arrayIndex = (arr, t, adding = false) => {
+            if (!/^(0|[1-9]\d*)$/.test(t) || Number(t) > arr.length - (adding ? 0 : 1)) fail(`no array index ${t}`);
+            return Number(t);
+        };
+        const get = (tokens) => {
+            const [parent, key] = locate(tokens);
+            if (!Array.isArray(parent) && !Object.hasOwn(parent, key)) fail('path does not exist');
+            return parent[key];
+        };
+        const add = (tokens, value) => {
+            const [parent, key] = locate(tokens, { adding: true });
+            if (Array.isArray(parent)) parent.splice(key, 0, value); else parent[key] = value;
+        };
+        const remove = (tokens) => {
+            const [parent, key] = locate(tokens);
+            if (Array.isArray(parent)) parent.splice(key, 1);
+            else if (Object.hasOwn(parent, key)) delete parent[key];
+            else fail('path does not exist');
+        };
+        const path = parse(op?.path);
+        switch (op?.op) {
+            case 'add': if (!('value' in op)) fail('value is required'); add(path, clone(op.value)); break;
+            case 'remove': remove(path); break;
+            case 'replace': if (!('value' in op)) fail('value is required'); get(path); remove(path); add(path, clone(op.value)); break;
+            case 'move': {
+                const from = parse(op.from);
+                if (op.path.startsWith(op.from + '/')) fail('cannot move a value into itself');
+                const value = get(from); remove(from); add(path, value); break;
+            }
+            case 'copy': add(path, clone(get(parse(op.from)))); break;
+            case 'test':
+                if (canonicalJSON(get(path)) !== canonicalJSON(op.value)) fail('test failed', 409, 'PATCH_TEST_FAILED');
+                break;
+            default: fail('op must be add, remove, replace, move, copy or test');
+        }
+    });
+    return holder.doc;
+}
+
+// PATCH: the patched record is then written like a PUT of the whole document.
+function patchRecord(col, id, patch, type, actor) {
+    const cur = findOrFail(col, id);
+    let doc;
+    if (type === PATCH_TYPES[1]) doc = jsonPatch(cur, patch);
+    else {
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw { code: 400, payload: err('A merge patch is a JSON object', 'INVALID_PATCH') };
+        checkVersion(cur, patch.version);
+        doc = mergePatch(cur, patch);
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw { code: 400, payload: err('The patched record must be an object', 'INVALID_PATCH') };
+    return replaceRecord(col, id, { ...doc, version: cur.version }, actor);
+}
+
+/* ------------------------------ Revision history --------------------------- */
+function recordRevisions(col, id) {
+    const list = db.revisions[col.name]?.[id];
+    if (!list || !list.length) throw { code: 404, payload: err(`${col.noun} not found`, 'NOT_FOUND') };
+    return list;
+}
+function getRevision(col, id, version) {
+    const rev = recordRevisions(col, id).filter(r => r.version === Number(version)).pop();
+    if (!rev) throw { code: 404, payload: err(`Revision ${version} not found`, 'NOT_FOUND') };
+    return rev;
+}
+// Field-level diff: [{ field, from, to }] for every tracked field that differs.
+function diffRecords(col, a, b) {
+    return col.revisionFields
+        .filter(f => JSON.stringify(a?.[f] ?? null) !== JSON.stringify(b?.[f] ?? null))
+        .map(f => ({ field: f, from: a?.[f] ?? null, to: b?.[f] ?? null }));
+}
+// Writes an old revision's fields as a new version (subject to the usual version check).
+function revertRecord(col, id, toVersion, expectedVersion, actor) {
+    const rev = getRevision(col, id, toVersion);
+    const patch = {};
+    for (const f of col.revisionFields) patch[f] = rev[f];
+    patch.version = expectedVersion ?? findRecord(col, id)?.version;
+    return updateRecord(col, id, patch, actor);
+}
+
+/* ----------------------------------- Trash --------------------------------- */
+// DELETE moves a record to the trash by stamping deletedAt (journaled as an update, so
+// it is part of the record's history). Trashed records drop out of lists, exports,
+// stats, lookups and reference checks until restored, and are purged for good once
+// they have been in the trash for TRASH_RETENTION_DAYS.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const PURGE_INTERVAL = 60 * 60 * 1000;
+const TRASHED_VIEWS = ['exclude', 'include', 'only'];
+
+function trashRecord(col, id, actor) {
+    const cur = findRecord(col, id);
+    if (!cur) throw notFoundError(col, id);
+    const refs = referencesTo(col, id, { trashed: false });
+    if (refs.length) throw referencedError(col, id, refs);
+    return commitUpdate(col, cur, { deletedAt: nowISO() }, actor);
+}
+
+function restoreRecord(col, id, actor) {
+    const cur = store.get(col.name, id);
+    if (!cur) throw { code: 404, payload: err(`${col.noun} not found`, 'NOT_FOUND') };
+    if (!cur.deletedAt) throw { code: 409, payload: err(`${col.noun} "${id}" is not in the trash`, 'CONFLICT') };
+    const broken = col.refs
+        .filter(f => cur[f.name] != null && !findRecord(COLLECTIONS[f.ref], cur[f.name]))
+        .map(f => ({ collection: f.ref, id: cur[f.name], field: f.name }));
+    if (broken.length) throw { code: 409, payload: err('Restore the records this one references first', 'CONFLICT', { references: broken }) };
+    return commitUpdate(col, cur, { deletedAt: null }, actor);
+}
+
+// Hard-deletes records trashed more than `olderThanDays` ago. Records something still
+// points at are kept (and reported) until that goes too.
+function purgeTrash({ olderThanDays = TRASH_RETENTION_DAYS } = {}, now = Date.now()) {
+    const days = Number(olderThanDays);
+    if (!Number.isFinite(days) || days < 0) throw { code: 400, payload: err('olderThanDays must be a number >= 0', 'VALIDATION', { field: 'olderThanDays' }) };
+    const cutoff = new Date(now - days * DAY).toISOString();
+    const purged = [], kept = [];
+    for (const col of Object.values(COLLECTIONS)) {
+        for (const r of store.all(col.name)) {
+            if (!r.deletedAt || r.deletedAt > cutoff) continue;
+            const refs = referencesTo(col, r.id);
+            if (refs.length) { kept.push({ collection: col.name, id: r.id, references: refs.length }); continue; }
+            journal(col.name, 'delete', r, null);
+            store.remove(col.name, r.id);
+            purged.push({ collection: col.name, id: r.id });
+        }
+    }
+    if (purged.length) persist();
+    return { olderThanDays: days, purged, kept };
+}
+
+module.exports = {
+    findRecord, notFoundError, findOrFail, validateRecord, referencesTo, createRecord, checkVersion, updateRecord, replaceRecord, replacement, commitUpdate, deleteRecord,
+    PATCH_TYPES, checkIfMatch, patchType, patchHasVersion, patchRecord, recordRevisions, getRevision, diffRecords, revertRecord,
+    PURGE_INTERVAL, TRASHED_VIEWS, trashRecord, restoreRecord, purgeTrash
+};
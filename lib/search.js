@@ -0,0 +1,197 @@
+const { COLLECTIONS } = require('./collections');
+const { store, onChange, entryCollection } = require('./storage');
+
+// One in-memory inverted index per collection with `search` fields, built at startup and
+// then kept current by journal(), which every create, update, delete and restore goes
+// through. Bare words in `q` are looked up here: a query word matches indexed terms equal
+// to its stem, terms it is a prefix of, and (from 4 letters) terms within edit distance
+// 1, or 2 from 8 letters. sort=relevance ranks by BM25 with the fields' weights, exact
+// matches counting more than prefix and fuzzy ones.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+const MAX_EXPANSIONS = 50;
+
+const fold = (w) => w.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+// Words with their offsets in the original string (offsets are what highlights report).
+function tokenize(text) {
+    return [...String(text ?? '').matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ word: fold(m[0]), start: m.index, end: m.index + m[0].length }));
+}
+// A light English suffix stripper (plurals, -ing, -ed): enough for "patterns" to find
+// "pattern" and "designing" to find "design" without a dictionary.
+function stem(w) {
+    if (w.length <= 3) return w;
+    if (w.endsWith('sses')) return w.slice(0, -2);
+    if (w.endsWith('ies')) return w.slice(0, -3) + 'y';
+    if (!/(ss|us|is)$/.test(w) && w.endsWith('s')) w = w.slice(0, -1);
+    for (const suffix of ['ing', 'ed']) {
+        const base = w.slice(0, -suffix.length);
+        if (w.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) return base;
+    }
+    return w;
+}
+// Optimal string alignment distance (Levenshtein plus swapping two adjacent letters, the
+// commonest typo), giving up (max + 1) as soon as it must exceed `max`.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let before = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], before[j - 2] + 1);
+            best = Math.min(best, cur[j]);
+        }
+        if (best > max) return max + 1;
+        before = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+function fieldValues(record, f) {
+    return f.type === 'array' ? (record[f.name] || []) : record[f.name] == null ? [] : [record[f.name]];
+}
+
+function createSearchIndex(col) {
+    const fields = col.fields.filter(f => f.search);
+    const postings = new Map();   // term -> Map(id -> weighted term frequency)
+    const docs = new Map();       // id -> { len, terms }
+    let totalLen = 0;
+    let vocab = null;             // sorted terms for prefix scans; rebuilt after the vocabulary changes
+
+    const remove = (id) => {
+        const doc = docs.get(id);
+        if (!doc) return;
+        for (const t of doc.terms) {
+            const p = postings.get(t);
+            p.delete(id);
+            if (!p.size) { postings.delete(t); vocab = null; }
+        }
+        totalLen -= doc.len;
+        docs.delete(id);
+    };
+    const sortedTerms = () => vocab || (vocab = [...postings.keys()].sort());
+
+    // Indexed terms a query word matches, with the weight of the kind of match.
+    function expand(word) {
+        const w = fold(word), s = stem(w);
+        const found = new Map();
+        const add = (t, weight) => { if (found.size < MAX_EXPANSIONS && !found.has(t)) found.set(t, weight); };
+        if (postings.has(s)) add(s, MATCH_WEIGHTS.exact);
+        if (postings.has(w)) add(w, MATCH_WEIGHTS.exact);
+        const terms = sortedTerms();
+        if (w.length >= 2) {
+            let lo = 0, hi = terms.length;
+            while (lo < hi) { const mid = (lo + hi) >> 1; if (terms[mid] < w) lo = mid + 1; else hi = mid; }
+            for (let i = lo; i < terms.length && terms[i].startsWith(w); i++) add(terms[i], MATCH_WEIGHTS.prefix);
+        }
+        if (w.length >= 4) {
+            const max = w.length >= 8 ? 2 : 1;
+            // The word as typed too: stemming a typo ("desing" -> "des") can take it further away.
+            for (const t of terms) if (editDistance(s, t, max) <= max || editDistance(w, t, max) <= max) add(t, MATCH_WEIGHTS.fuzzy);
+        }
+        return found;
+    }
+
+    return {
+        fields,
+        add(record) {
+            remove(record.id);
+            const tf = new Map();
+            let len = 0;
+            for (const f of fields) {
+                for (const v of fieldValues(record, f)) {
+                    for (const { word } of tokenize(v)) {
+                        const t = stem(word);
+                        tf.set(t, (tf.get(t) || 0) + f.search);
+                        len += f.search;
+                    }
+                }
+            }
+            for (const [t, n] of tf) {
+                if (!postings.has(t)) { postings.set(t, new Map()); vocab = null; }
+                postings.get(t).set(record.id, n);
+            }
+            docs.set(record.id, { len, terms: [...tf.keys()] });
+            totalLen += len;
+        },
+        remove,
+        clear() { postings.clear(); docs.clear(); totalLen = 0; vocab = null; },
+        expand,
+        // id -> BM25 score of one query word (its best-scoring expansion per record).
+        lookup(word) {
+            const n = docs.size, avgLen = totalLen / (n || 1);
+            const scores = new Map();
+            for (const [t, weight] of expand(word)) {
+                const p = postings.get(t);
+                const idf = Math.log(1 + (n - p.size + 0.5) / (p.size + 0.5));
+                for (const [id, tf] of p) {
+                    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * docs.get(id).len / (avgLen || 1));
+                    const score = weight * idf * tf * (BM25_K1 + 1) / norm;
+                    if (score > (scores.get(id) || 0)) scores.set(id, score);
+                }
+            }
+            return scores;
+        }
+    };
+}
+
+const searchIndexes = Object.fromEntries(Object.values(COLLECTIONS)
+    .filter(col => col.fields.some(f => f.search))
+    .map(col => [col.name, createSearchIndex(col)]));
+
+function buildSearchIndexes() {
+    for (const [c, index] of Object.entries(searchIndexes)) {
+        index.clear();
+        store.all(c).forEach(index.add);
+    }
+}
+function indexEntry(e) {
+    const index = searchIndexes[entryCollection(e)];
+    if (!index) return;
+    if (e.after) index.add(e.after); else index.remove(e.id);
+}
+onChange(indexEntry);
+
+// id -> score for a bare word or "phrase" from `q`: every word in it has to match.
+// Returns null when it has no indexable words (e.g. "C++" punctuation), so callers can
+// fall back to substring matching.
+function textHits(index, value) {
+    const words = tokenize(value).map(t => t.word);
+    if (!words.length) return null;
+    let hits = null;
+    for (const w of words) {
+        const scores = index.lookup(w);
+        if (!hits) { hits = scores; continue; }
+        for (const [id, score] of hits) {
+            if (scores.has(id)) hits.set(id, score + scores.get(id)); else hits.delete(id);
+        }
+    }
+    return hits;
+}
+// Bare words and phrases of a parsed query that count toward relevance (not under NOT).
+function searchTerms(ast) {
+    if (!ast || ast.type === 'not') return [];
+    if (ast.type === 'text') return [ast.value];
+    if (ast.type === 'and' || ast.type === 'or') return [...searchTerms(ast.left), ...searchTerms(ast.right)];
+    return [];
+}
+// Character ranges of matched words per search field: [[start, end], ...] for strings,
+// one such list per element for arrays. Only fields with a match are included.
+function highlights(index, record, terms) {
+    const matched = new Set();
+    for (const term of terms) for (const { word } of tokenize(term)) for (const t of index.expand(word).keys()) matched.add(t);
+    const out = {};
+    for (const f of index.fields) {
+        const ranges = fieldValues(record, f).map(v => tokenize(v)
+            .filter(({ word }) => matched.has(stem(word)) || matched.has(word))
+            .map(({ start, end }) => [start, end]));
+        if (ranges.some(r => r.length)) out[f.name] = f.type === 'array' ? ranges : ranges[0];
+    }
+    return out;
+}
+
+module.exports = { fold, editDistance, searchIndexes, buildSearchIndexes, textHits, searchTerms, highlights };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const { ROOT, etagMatches } = require('./helpers');
+const { log } = require('./log');
+
+// public/ is served with:
+// - containment: no escaping PUBLIC_DIR, no dotfiles;
+// - streamed reads;
+// - gzip/brotli for text types, picked from Accept-Encoding;
+// - validators: strong ETags (size + mtime, one per encoding) and Last-Modified;
+// - single byte ranges.
+// Fingerprinted names (app.3f9c2a1b.js) are cached for a year as immutable. Everything
+// else is revalidated on each use (no-cache), so a deploy shows up on the next load.
+// Missing files are real 404s. Only HTML navigations to extensionless paths get index.html.
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const STATIC_COMPRESS_MIN = 1024;   // bytes; smaller files aren't worth compressing
+const FINGERPRINTED = /\.[0-9a-f]{8,}\.[a-z0-9]+$/i;
+const COMPRESSIBLE = /^(text\/|application\/(javascript|json|manifest\+json)|image\/svg\+xml)/;
+// The client is same-origin only. Attribute styles are allowed because app.js renders
+// bar heights as style="height:…".
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': [
+        "default-src 'self'", "script-src 'self'", "style-src 'self'", "style-src-attr 'unsafe-inline'",
+        "img-src 'self' data:", "connect-src 'self'", "worker-src 'self'", "object-src 'none'",
+        "base-uri 'self'", "form-action 'self'", "frame-ancestors 'none'"
+    ].join('; '),
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'same-origin'
+};
+
+function contentType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ({
+        '.html': 'text/html; charset=utf-8',
+        '.css' : 'text/css; charset=utf-8',
+        '.js'  : 'application/javascript; charset=utf-8',
+        '.mjs' : 'application/javascript; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.ico' : 'image/x-icon',
+        '.svg' : 'image/svg+xml',
+        '.png' : 'image/png',
+        '.webmanifest': 'application/manifest+json',
+    })[ext] || 'application/octet-stream';
+}
+
+function addVary(res, field) {
+    const cur = res.getHeader('Vary');
+    res.setHeader('Vary', cur ? `${cur}, ${field}` : field);
+}
+
+// The file under PUBLIC_DIR a URL path names, or null when it would leave the directory,
+// names a dotfile or can't be decoded.
+function resolvePublic(pathname) {
+    let decoded;
+    try { decoded = decodeURIComponent(pathname); } catch { return null; }
+    if (decoded.includes('\0') || decoded.split(/[\\/]/).some(seg => seg.startsWith('.') && seg !== '')) return null;
+    const file = path.resolve(PUBLIC_DIR, '.' + path.posix.normalize('/' + decoded));
+    return file.startsWith(PUBLIC_DIR + path.sep) ? file : null;
+}
+
+// br, then gzip, whichever the client accepts (q > 0); null for identity.
+function negotiateEncoding(header = '') {
+    const q = {};
+    for (const part of header.split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        if (!name) continue;
+        const qp = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        q[name] = qp ? Number(qp.slice(2)) || 0 : 1;
+    }
+    return ['br', 'gzip'].find(enc => (q[enc] ?? q['*'] ?? 0) > 0) || null;
+}
+
+// One byte range from a Range header: { start, end } (inclusive), 'unsatisfiable', or
+// null to send the whole file (no header, other units, several ranges, malformed).
+function parseRange(header, size) {
+    const m = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!m || (m[1] === '' && m[2] === '')) return null;
+    let start, end;
+    if (m[1] === '') {                      // last N bytes
+        const n = Number(m[2]);
+        if (n === 0) return 'unsatisfiable';
+        start = Math.max(size - n, 0); end = size - 1;
+    } else {
+        start = Number(m[1]); end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+        if (start > end) return start >= size ? 'unsatisfiable' : null;
+    }
+    return { start, end };
+}
+
+// If-Range with a strong ETag or the exact Last-Modified date keeps the Range; otherwise
+// the file changed and the whole of it is sent.
+function rangeStillValid(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    return ifRange.startsWith('"') ? ifRange === etag : ifRange === lastModified;
+}
+
+function notFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end('Not found');
+}
+
+async function sendFile(req, res, filePath) {
+    let stat;
+    try { stat = await fs.promises.stat(filePath); } catch { return notFound(res); }
+    if (!stat.isFile()) return notFound(res);
+
+    const type = contentType(filePath);
+    const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000).toUTCString();
+    const encoding = COMPRESSIBLE.test(type) && stat.size >= STATIC_COMPRESS_MIN ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const base = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+    const etag = `"${base}${encoding ? '-' + encoding : ''}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified);
+    res.setHeader('Cache-Control', FINGERPRINTED.test(filePath) ? 'public, max-age=31536000, immutable' : 'no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (COMPRESSIBLE.test(type)) addVary(res, 'Accept-Encoding');
+
+    // If-None-Match wins over If-Modified-Since (RFC 9110 13.2.2).
+    const inm = req.headers['if-none-match'];
+    const ims = Date.parse(req.headers['if-modified-since'] || '');
+    if (inm ? etagMatches(inm, etag, { weak: true }) : ims >= Date.parse(lastModified)) {
+        res.writeHead(304);
+        return res.end();
+    }
+
+    // Ranges are served from the identity encoding.
+    const range = req.headers.range && rangeStillValid(req, etag, lastModified) ? parseRange(req.headers.range, stat.size) : null;
+    if (range === 'unsatisfiable') {
+        res.writeHead(416, { 'Content-Range': `bytes */${stat.size}`, 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end('Range not satisfiable');
+    }
+    const headers = { 'Content-Type': type };
+    let status = 200;
+    let opts = {};
+    if (range) {
+        status = 206;
+        opts = range;
+        res.setHeader('ETag', `"${base}"`);
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+    } else if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    } else {
+        headers['Content-Length'] = stat.size;
+    }
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') return res.end();
+
+    const source = fs.createReadStream(filePath, opts);
+    const streams = [source];
+    if (encoding && !range) streams.push(encoding === 'br' ? zlib.createBrotliCompress() : zlib.createGzip());
+    stream.pipeline(...streams, res, (e) => {
+        if (e && e.code !== 'ERR_STREAM_PREMATURE_CLOSE') log('error', 'Static file stream failed', { requestId: res.requestId, file: path.relative(PUBLIC_DIR, filePath), error: e.message });
+    });
+}
+
+// GET/HEAD for anything outside /api: an existing file, index.html for HTML navigations
+// to extensionless paths, or 404.
+async function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end('Method not allowed');
+    }
+    if (url.pathname === '/') return sendFile(req, res, path.join(PUBLIC_DIR, 'index.html'));
+    const file = resolvePublic(url.pathname);
+    if (!file) return notFound(res);
+    const navigation = !path.extname(file) && (req.headers.accept || '').includes('text/html');
+    if (navigation && !(await fs.promises.stat(file).catch(() => null))) return sendFile(req, res, path.join(PUBLIC_DIR, 'index.html'));
+    return sendFile(req, res, file);
+}
+
+module.exports = { PUBLIC_DIR, SECURITY_HEADERS, serveStatic };
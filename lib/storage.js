@@ -0,0 +1,469 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT, err, nowISO, clone, atomicWrite } = require('./helpers');
+const { COLLECTIONS, COLLECTION_NAMES } = require('./collections');
+const { log, timed, gauge } = require('./log');
+
+/* ------------------------------- Persistence ------------------------------- */
+// Records live in a storage backend (see below); the journal records every change first,
+// so after a crash the backend's last checkpoint plus the journal entries past `db.seq`
+// give the current state. `db` holds the backend-independent metadata.
+const DATA_PATH = path.join(ROOT, 'data.json');
+const JOURNAL_PATH = path.join(ROOT, 'data.journal.jsonl');
+const SNAPSHOT_DIR = path.join(ROOT, 'snapshots');
+const SNAPSHOT_EVERY = 100; // journal entries between snapshots
+const SNAPSHOT_KEEP = 10;   // older snapshots (and the journal before them) are compacted away
+const REVISIONS_KEEP = 50;  // per-record revision history cap
+const STORAGE = process.env.STORAGE || 'json';
+
+// Initial data per collection; migrateDb fills in the remaining schema defaults.
+function seedData() {
+    const stamp = { createdAt: nowISO(), updatedAt: nowISO(), version: 1 };
+    return {
+        books: [
+            { id: 'b1', title: 'Clean Architecture', author: 'Robert C. Martin', year: 2017, rating: 4.6, tags: ['architecture'], authorId: 'a1', ...stamp },
+            { id: 'b2', title: 'Designing Data-Intensive Applications', author: 'Martin Kleppmann', year: 2017, rating: 4.8, tags: ['data','systems'], authorId: 'a2', ...stamp },
+            { id: 'b3', title: "You Don't Know JS Yet", author: 'Kyle Simpson', year: 2020, rating: 4.5, tags: ['javascript'], authorId: 'a3', ...stamp }
+        ],
+        authors: [
+            { id: 'a1', name: 'Robert C. Martin', ...stamp },
+            { id: 'a2', name: 'Martin Kleppmann', ...stamp },
+            { id: 'a3', name: 'Kyle Simpson', ...stamp }
+        ]
+    };
+}
+
+let backend = null;   // active storage backend, once ensureDataFile() has opened it
+let journalFd;
+let snapshotSeq = -1;
+const changeListeners = [];
+
+// Other modules hold on to `store` and `db`: the first forwards to the open backend and
+// the second is filled in place when it opens.
+const db = { seq: 0, revisions: {} };  // { seq, revisions: { collection: { id: [revisions] } } }
+const store = {
+    get kind() { return backend.kind; },
+    get: (c, id) => backend.get(c, id),
+    all: (c) => backend.all(c),
+    count: (c) => backend.count(c),
+    put: (c, record) => backend.put(c, record),
+    remove: (c, id) => backend.remove(c, id),
+    scan: (c, sort, dir) => backend.scan(c, sort, dir),
+    dump: () => backend.dump(),
+};
+const isOpen = () => backend !== null;
+// fn(entry) runs after each journaled change (search indexing, the change feed).
+const onChange = (fn) => changeListeners.push(fn);
+
+// Loads the backend's checkpoint and replays the journal past it.
+function openStore(kind) {
+    const s = createStore(kind);
+    const meta = s.load();
+    if (!Number.isInteger(meta.seq)) meta.seq = 0;
+    if (!meta.revisions) meta.revisions = {};
+    // Before collections, revisions were keyed by book id alone.
+    if (Object.values(meta.revisions).some(Array.isArray)) meta.revisions = { books: meta.revisions };
+    const entries = readJournal();
+    if (entries.torn) writeJournal(entries);
+    const pending = entries.filter(e => e.seq > meta.seq);
+    for (const e of pending) { applyEntry(s, e); recordRevision(meta, e); }
+    if (pending.length) {
+        meta.seq = pending[pending.length - 1].seq;
+        log('info', `Recovered ${pending.length} journal entr${pending.length === 1 ? 'y' : 'ies'}`, { seq: meta.seq });
+    }
+    return { store: s, meta };
+}
+
+function ensureDataFile() {
+    const opened = openStore(STORAGE);
+    backend = opened.store;
+    Object.assign(db, opened.meta);
+    journalFd = fs.openSync(JOURNAL_PATH, 'a');
+    migrateDb(db);
+    snapshot();
+}
+
+function migrateDb(dbObj) {
+    let changed = false;
+    for (const col of Object.values(COLLECTIONS)) {
+        const revisions = dbObj.revisions[col.name] || (dbObj.revisions[col.name] = {});
+        for (const cur of store.all(col.name)) {
+            const r = clone(cur);
+            let fixed = false;
+            for (const f of col.fields) {
+                if (!('default' in f)) continue;
+                if (r[f.name] === undefined || (f.type === 'array' && !Array.isArray(r[f.name]))) { r[f.name] = clone(f.default); fixed = true; }
+            }
+            if (col.derive) {
+                for (const [k, v] of Object.entries(col.derive(r))) if (r[k] !== v) { r[k] = v; fixed = true; }
+            }
+            if (!r.createdAt) { r.createdAt = nowISO(); fixed = true; }
+            if (!r.updatedAt) { r.updatedAt = r.createdAt; fixed = true; }
+            if (!Number.isInteger(r.version)) { r.version = 1; fixed = true; }
+            if (fixed) { store.put(col.name, r); changed = true; }
+            if (!revisions[r.id]) { revisions[r.id] = [clone(r)]; changed = true; }
+        }
+    }
+    return changed;
+}
+
+// Reads journal entries in order. Unreadable lines (a torn write from a crash
+// mid-append) are skipped and flagged with `entries.torn` so startup can rewrite the file.
+function readJournal() {
+    const entries = [];
+    if (!fs.existsSync(JOURNAL_PATH)) return entries;
+    const lines = fs.readFileSync(JOURNAL_PATH, 'utf-8').split('\n').filter(Boolean);
+    for (let i = 0; i < lines.length; i++) {
+        try { entries.push(JSON.parse(lines[i])); }
+        catch {
+            entries.torn = true;
+            log('warn', 'Journal: skipping unreadable entry', { line: i + 1, torn: i === lines.length - 1 });
+        }
+    }
+    return entries;
+}
+
+function writeJournal(entries) {
+    const tmp = JOURNAL_PATH + '.tmp';
+    fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, JOURNAL_PATH);
+}
+
+// Entries written before collections existed carry no `collection`: they are books.
+const entryCollection = (e) => e.collection || 'books';
+
+// Redo a journal entry against a backend, or against plain { collection: [records] } data.
+function applyEntry(target, e) {
+    const c = entryCollection(e);
+    if (typeof target.put === 'function') {
+        if (e.op === 'delete') target.remove(c, e.id);
+        else target.put(c, clone(e.after));
+        return;
+    }
+    const list = target[c] || (target[c] = []);
+    const i = list.findIndex(r => r.id === e.id);
+    if (e.op === 'delete') { if (i !== -1) list.splice(i, 1); }
+    else if (i === -1) list.push(clone(e.after));
+    else list[i] = clone(e.after);
+}
+
+// Appends one change to the journal and fsyncs it before the caller acknowledges.
+function journal(collection, op, before, after) {
+    const entry = { seq: db.seq + 1, ts: nowISO(), collection, op, id: (after || before).id, before: before || null, after: after || null };
+    timed('journal', () => {
+        fs.writeSync(journalFd, JSON.stringify(entry) + '\n');
+        fs.fsyncSync(journalFd);
+    });
+    db.seq = entry.seq;
+    recordRevision(db, entry);
+    for (const fn of changeListeners) fn(entry);
+    return entry;
+}
+
+// Every journaled create/update is also a revision of that record; history outlives deletes.
+function recordRevision(dbObj, e) {
+    if (!e.after) return;
+    const c = entryCollection(e);
+    const revisions = dbObj.revisions[c] || (dbObj.revisions[c] = {});
+    const list = revisions[e.id] || (revisions[e.id] = []);
+    list.push(clone(e.after));
+    if (list.length > REVISIONS_KEEP) list.splice(0, list.length - REVISIONS_KEEP);
+}
+
+function snapshotFile(seq) {
+    return path.join(SNAPSHOT_DIR, `snapshot-${String(seq).padStart(10, '0')}.json`);
+}
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+    return fs.readdirSync(SNAPSHOT_DIR)
+        .map(f => /^snapshot-(\d+)\.json$/.exec(f))
+        .filter(Boolean)
+        .map(m => ({ seq: Number(m[1]), file: path.join(SNAPSHOT_DIR, m[0]) }))
+        .sort((a, b) => a.seq - b.seq);
+}
+
+// Checkpoints the backend and keeps a retained copy for point-in-time restore, then
+// drops snapshots beyond SNAPSHOT_KEEP and the journal entries only they needed.
+function snapshot() {
+    if (snapshotSeq === db.seq) return;
+    timed('snapshot', () => snapshotNow());
+}
+function snapshotNow() {
+    backend.checkpoint(db);
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    atomicWrite({ ...db, ...backend.dump() }, snapshotFile(db.seq));
+    snapshotSeq = db.seq;
+
+    const snaps = listSnapshots();
+    const dropped = snaps.slice(0, Math.max(snaps.length - SNAPSHOT_KEEP, 0));
+    if (!dropped.length) return;
+    dropped.forEach(s => fs.unlinkSync(s.file));
+    const oldest = snaps[dropped.length].seq;
+    fs.closeSync(journalFd);
+    writeJournal(readJournal().filter(e => e.seq > oldest));
+    journalFd = fs.openSync(JOURNAL_PATH, 'a');
+}
+
+function persist() {
+    if (db.seq - snapshotSeq >= SNAPSHOT_EVERY) snapshot();
+}
+
+gauge('library_books', 'Books in the catalog, live and in the trash.', () => {
+    if (!backend) return null;
+    const books = store.all('books');
+    const trashed = books.filter(b => b.deletedAt).length;
+    return [[['live'], books.length - trashed], [['trashed'], trashed]];
+}, ['state']);
+gauge('library_journal_seq', 'Sequence number of the last journal entry.', () => (backend ? db.seq : null));
+
+// Liveness only says the process answers; readiness also needs the catalog loaded and
+// its files writable, since every write appends to the journal and checkpoints rewrite
+// the data file.
+function canWrite(file) {
+    try { fs.accessSync(fs.existsSync(file) ? file : path.dirname(file), fs.constants.W_OK); return true; }
+    catch { return false; }
+}
+function readiness() {
+    const dataFile = backend?.kind === 'log' ? LOG_PATH : DATA_PATH;
+    const checks = {
+        db: isOpen(),
+        dataWritable: canWrite(dataFile),
+        journalWritable: canWrite(JOURNAL_PATH),
+    };
+    return { status: Object.values(checks).every(Boolean) ? 'ok' : 'unavailable', checks, time: nowISO() };
+}
+
+/* ----------------------------- Storage backends ---------------------------- */
+// Every backend holds all collections and implements the same interface, where `c` is
+// a collection name:
+//   load()              -> checkpointed metadata { seq, revisions }; seeds data if empty
+//   get(c, id), all(c), count(c)
+//   put(c, record)      -> insert or replace; remove(c, id) -> removed record
+//   clear()             -> drop everything; dump() -> { c: [records] } for every collection
+//   scan(c, sort, dir)  -> all records of `c` ordered by (sort field, id)
+//   checkpoint(meta)    -> persist metadata (and whatever the backend needs) durably
+// Stored objects are treated as immutable: callers put() a new object instead of mutating.
+const LOG_PATH = path.join(ROOT, 'data.log');
+const LOG_META_PATH = path.join(ROOT, 'data.log.meta.json');
+
+function sortKeyCompare(s) {
+    return (a, b) => {
+        const av = a[s] ?? '', bv = b[s] ?? '';
+        return av > bv ? 1 : av < bv ? -1 : a.id > b.id ? 1 : a.id < b.id ? -1 : 0;
+    };
+}
+
+// The original store: one array per collection in memory, written out whole as data.json
+// ({ seq, revisions, books: [...], authors: [...], ... }) at checkpoints.
+function createJsonStore() {
+    let data = {};
+    const list = (c) => data[c] || (data[c] = []);
+    const dump = () => Object.fromEntries(COLLECTION_NAMES.map(c => [c, list(c).slice()]));
+    return {
+        kind: 'json',
+        load() {
+            if (!fs.existsSync(DATA_PATH)) {
+                if (fs.existsSync(LOG_PATH)) throw new Error('data.json not found but data.log exists; run `node server.js migrate --from log --to json` or start with STORAGE=log');
+                data = seedData();
+                return { seq: 0, revisions: {} };
+            }
+            const snap = JSON.parse(fs.readFileSync(DATA_PATH, 'utf-8'));
+            data = Object.fromEntries(COLLECTION_NAMES.map(c => [c, snap[c] || []]));
+            return { seq: snap.seq, revisions: snap.revisions };
+        },
+        get: (c, id) => list(c).find(r => r.id === id),
+        all: (c) => list(c).slice(),
+        count: (c) => list(c).length,
+        put(c, record) {
+            const l = list(c);
+            const i = l.findIndex(r => r.id === record.id);
+            if (i === -1) l.push(record); else l[i] = record;
+        },
+        remove(c, id) {
+            const l = list(c);
+            const i = l.findIndex(r => r.id === id);
+            return i === -1 ? undefined : l.splice(i, 1)[0];
+        },
+        clear() { data = {}; },
+        dump,
+        scan(c, sort, dir) {
+            const cmp = sortKeyCompare(sort);
+            return list(c).slice().sort(dir === 'desc' ? (a, b) => cmp(b, a) : cmp);
+        },
+        checkpoint(meta) { atomicWrite({ ...meta, ...dump() }, DATA_PATH); }
+    };
+}
+
+// Log-structured store: every put/remove is one appended line in data.log, so a write
+// costs O(record) instead of rewriting the catalog. Reads go through a Map plus one
+// sorted index per sortable field of each collection, so ordered scans never re-sort.
+// The log is compacted at checkpoints once dead records outnumber live ones.
+function createLogStore() {
+    const tables = Object.fromEntries(Object.values(COLLECTIONS).map(col => [col.name, {
+        byId: new Map(),
+        indexes: Object.fromEntries(col.sortable.map(s => [s, { cmp: sortKeyCompare(s), list: [] }]))
+    }]));
+    let fd = null;
+    let dead = 0;
+
+    const position = (idx, record) => {
+        let lo = 0, hi = idx.list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (idx.cmp(idx.list[mid], record) < 0) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    };
+    const unindex = (t, record) => {
+        for (const idx of Object.values(t.indexes)) idx.list.splice(position(idx, record), 1);
+    };
+    const index = (t, record) => {
+        for (const idx of Object.values(t.indexes)) idx.list.splice(position(idx, record), 0, record);
+    };
+    const setRecord = (c, record) => {
+        const t = tables[c];
+        const old = t.byId.get(record.id);
+        if (old) { unindex(t, old); dead++; }
+        t.byId.set(record.id, record);
+        index(t, record);
+    };
+    const deleteRecord = (c, id) => {
+        const t = tables[c];
+        const old = t.byId.get(id);
+        if (!old) return undefined;
+        unindex(t, old);
+        t.byId.delete(id);
+        dead += 2; // the old put and the tombstone
+        return old;
+    };
+    const live = () => Object.values(tables).reduce((n, t) => n + t.byId.size, 0);
+    const append = (rec) => {
+        fs.writeSync(fd, JSON.stringify(rec) + '\n');
+        fs.fsyncSync(fd);
+    };
+    const compact = () => {
+        const tmp = LOG_PATH + '.tmp';
+        const lines = Object.entries(tables).flatMap(([c, t]) => [...t.byId.values()].map(r => JSON.stringify({ op: 'put', collection: c, record: r }) + '\n'));
+        fs.writeFileSync(tmp, lines.join(''));
+        if (fd !== null) fs.closeSync(fd);
+        fs.renameSync(tmp, LOG_PATH);
+        fd = fs.openSync(LOG_PATH, 'a');
+        dead = 0;
+    };
+
+    return {
+        kind: 'log',
+        load() {
+            if (!fs.existsSync(LOG_PATH)) {
+                if (fs.existsSync(DATA_PATH)) throw new Error('data.log not found but data.json exists; run `node server.js migrate --from json --to log` first');
+                for (const [c, records] of Object.entries(seedData())) records.forEach(r => setRecord(c, r));
+                compact();
+                return { seq: 0, revisions: {} };
+            }
+            const lines = fs.readFileSync(LOG_PATH, 'utf-8').split('\n');
+            lines.forEach((line, i) => {
+                if (!line) return;
+                let rec;
+                try { rec = JSON.parse(line); }
+                catch { log('warn', 'Log store: skipping unreadable record', { line: i + 1 }); return; }
+                // Records from before collections are books stored under `book`.
+                const c = rec.collection || 'books';
+                if (!tables[c]) return;
+                if (rec.op === 'put') setRecord(c, rec.record || rec.book); else deleteRecord(c, rec.id);
+            });
+            compact(); // also drops a torn tail before new appends
+            return fs.existsSync(LOG_META_PATH) ? JSON.parse(fs.readFileSync(LOG_META_PATH, 'utf-8')) : { seq: 0, revisions: {} };
+        },
+        get: (c, id) => tables[c].byId.get(id),
+        all: (c) => [...tables[c].byId.values()],
+        count: (c) => tables[c].byId.size,
+        put(c, record) { setRecord(c, record); append({ op: 'put', collection: c, record }); },
+        remove(c, id) {
+            const old = deleteRecord(c, id);
+            if (old) append({ op: 'del', collection: c, id });
+            return old;
+        },
+        clear() {
+            for (const t of Object.values(tables)) {
+                t.byId.clear();
+                for (const idx of Object.values(t.indexes)) idx.list = [];
+            }
+            compact();
+        },
+        dump: () => Object.fromEntries(Object.entries(tables).map(([c, t]) => [c, [...t.byId.values()]])),
+        scan(c, sort, dir) {
+            const list = tables[c].indexes[sort].list.slice();
+            return dir === 'desc' ? list.reverse() : list;
+        },
+        checkpoint(meta) {
+            atomicWrite(meta, LOG_META_PATH);
+            if (dead > live()) compact();
+        }
+    };
+}
+
+const STORES = { json: createJsonStore, log: createLogStore };
+function createStore(kind) {
+    if (!STORES[kind]) throw new Error(`Unknown storage backend "${kind}" (expected ${Object.keys(STORES).join(' or ')})`);
+    return STORES[kind]();
+}
+
+// `node server.js migrate --from json --to log` copies every collection (journal replayed)
+// and its metadata into the other backend. Point STORAGE at the target afterwards.
+function migrateStorage(from, to) {
+    if (from === to) throw new Error('Source and target backends are the same');
+    const { store: src, meta } = openStore(from);
+    const dst = createStore(to);
+    dst.clear();
+    for (const [c, records] of Object.entries(src.dump())) records.forEach(r => dst.put(c, r));
+    dst.checkpoint(meta);
+    return { from, to, records: COLLECTION_NAMES.reduce((n, c) => n + dst.count(c), 0), seq: meta.seq };
+}
+
+// Rebuilds every collection as of a journal sequence number (or the last entry at/before a
+// timestamp) from the nearest retained snapshot. The restore is itself journaled, and what
+// it writes back is a new version of each record (after its current one, or the last in its
+// history for one that was deleted), so versions, ETags and revisions never repeat.
+function restoreTo({ seq, at }) {
+    const entries = readJournal();
+    let target;
+    if (seq != null) {
+        target = Number(seq);
+        if (!Number.isInteger(target) || target < 0 || target > db.seq)
+            throw { code: 400, payload: err(`seq must be an integer 0..${db.seq}`, 'VALIDATION') };
+    } else if (at != null) {
+        const t = Date.parse(at);
+        if (Number.isNaN(t)) throw { code: 400, payload: err('at must be an ISO timestamp', 'VALIDATION') };
+        const last = entries.filter(e => Date.parse(e.ts) <= t).pop();
+        target = last ? last.seq : 0;
+    } else {
+        throw { code: 400, payload: err('Provide seq or at', 'VALIDATION') };
+    }
+    const base = listSnapshots().filter(s => s.seq <= target).pop();
+    if (!base) throw { code: 400, payload: err('Requested point is older than the retained history', 'VALIDATION', { oldest: listSnapshots()[0]?.seq ?? null }) };
+    const snap = JSON.parse(fs.readFileSync(base.file, 'utf-8'));
+    const data = Object.fromEntries(COLLECTION_NAMES.map(c => [c, snap[c] || []]));
+    for (const e of entries) if (e.seq > base.seq && e.seq <= target) applyEntry(data, e);
+
+    const content = ({ version, updatedAt, ...rest }) => JSON.stringify(rest);
+    const counts = { created: 0, updated: 0, deleted: 0 };
+    for (const c of COLLECTION_NAMES) {
+        const wanted = new Map(data[c].map(r => [r.id, r]));
+        for (const cur of store.all(c)) {
+            const r = wanted.get(cur.id);
+            if (!r) { journal(c, 'delete', cur, null); store.remove(c, cur.id); counts.deleted++; continue; }
+            if (content(r) === content(cur)) continue;
+            const next = { ...r, version: cur.version + 1, updatedAt: nowISO() };
+            journal(c, 'update', cur, next); store.put(c, next); counts.updated++;
+        }
+        for (const r of data[c]) {
+            if (store.get(c, r.id)) continue;
+            const next = { ...r, version: (db.revisions[c]?.[r.id]?.at(-1)?.version ?? 0) + 1, updatedAt: nowISO() };
+            journal(c, 'create', null, next); store.put(c, next); counts.created++;
+        }
+    }
+    snapshot();
+    return { restoredTo: target, seq: db.seq, ...counts };
+}
+
+module.exports = { store, db, isOpen, onChange, ensureDataFile, journal, persist, snapshot, readJournal, listSnapshots, entryCollection, readiness, migrateStorage, restoreTo };
@@ -0,0 +1,254 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const crypto = require('crypto');
+const { ROOT, err, nowISO, intParam, atomicWrite } = require('./helpers');
+const { COLLECTIONS } = require('./collections');
+const { log, elapsed, gauge } = require('./log');
+
+// Subscriptions get the change feed's events as signed POSTs. Each event becomes one
+// delivery per matching subscription. A delivery is retried with exponential backoff
+// until it gets a 2xx, and becomes a dead letter after WEBHOOK_MAX_ATTEMPTS; an admin can
+// send it again. Subscriptions, pending deliveries and the recent log are kept in
+// webhooks.json, so retries survive a restart. Delivery is at least once and unordered;
+// receivers should dedupe on the delivery id and order by `seq`.
+//
+// Signature: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// with the subscription's secret (shown once, when created or rotated).
+const WEBHOOKS_PATH = path.join(ROOT, 'webhooks.json');
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted', 'bulk'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE = Number(process.env.WEBHOOK_RETRY_BASE_MS || 10 * 1000); // doubles per attempt
+const WEBHOOK_RETRY_MAX = 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const WEBHOOK_CONCURRENCY = 4;
+const WEBHOOK_TICK = 1000;
+const WEBHOOK_LOG_MAX = 200;        // finished deliveries kept per subscription
+const WEBHOOK_DEAD_MAX = 1000;      // dead letters kept per subscription (oldest dropped)
+
+function loadWebhooks() {
+    if (!fs.existsSync(WEBHOOKS_PATH)) return { hooks: [], deliveries: [] };
+    const state = JSON.parse(fs.readFileSync(WEBHOOKS_PATH, 'utf-8'));
+    // An attempt cut short by a restart is simply made again.
+    for (const d of state.deliveries) if (d.status === 'sending') d.status = 'pending';
+    return state;
+}
+const webhookStore = loadWebhooks();
+const inFlight = new Set();        // delivery ids being sent
+let webhookSaveQueued = false;
+gauge('webhook_deliveries', 'Webhook deliveries held, by status (pending includes retries).', () => {
+    const byStatus = { pending: 0, sending: 0, delivered: 0, failed: 0, dead: 0 };
+    for (const d of webhookStore.deliveries) byStatus[d.status]++;
+    return Object.entries(byStatus).map(([status, n]) => [[status], n]);
+}, ['status']);
+
+// Bulk writes publish many events in one tick; they are saved together.
+function saveWebhooks({ now = false } = {}) {
+    if (now) { webhookSaveQueued = false; return atomicWrite(webhookStore, WEBHOOKS_PATH); }
+    if (webhookSaveQueued) return;
+    webhookSaveQueued = true;
+    setImmediate(() => { if (webhookSaveQueued) saveWebhooks({ now: true }); });
+}
+// On shutdown: a save still waiting for its tick is written now.
+function flushWebhooks() {
+    if (webhookSaveQueued) saveWebhooks({ now: true });
+}
+
+const findHook = (id) => webhookStore.hooks.find(h => h.id === id);
+function hookOrFail(id) {
+    const hook = findHook(id);
+    if (!hook) throw { code: 404, payload: err('Webhook not found', 'NOT_FOUND') };
+    return hook;
+}
+const hookDeliveries = (hook) => webhookStore.deliveries.filter(d => d.webhook === hook.id);
+
+// The secret is never listed; the counts say how the subscription is doing.
+function publicHook(hook) {
+    const { secret, ...rest } = hook;
+    const counts = { pending: 0, delivered: 0, failed: 0, dead: 0 };
+    let last = null;
+    for (const d of hookDeliveries(hook)) {
+        counts[d.status === 'sending' ? 'pending' : d.status]++;
+        if (d.lastAttemptAt && (!last || d.lastAttemptAt > last.lastAttemptAt)) last = d;
+    }
+    return { ...rest, counts, lastDelivery: last && { id: last.id, event: last.event, status: last.status, at: last.lastAttemptAt, responseStatus: last.responseStatus } };
+}
+
+function validateWebhook(input, { partial = false } = {}) {
+    const problems = [];
+    if (!partial || 'url' in input) {
+        let url = null;
+        try { url = new URL(String(input.url)); } catch { /* reported below */ }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) problems.push('url must be an http(s) URL');
+    }
+    if ('events' in input && (!Array.isArray(input.events) || !input.events.length || input.events.some(e => !WEBHOOK_EVENTS.includes(e))))
+        problems.push(`events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+    if ('collections' in input && (!Array.isArray(input.collections) || input.collections.some(c => !COLLECTIONS[c])))
+        problems.push(`collections must list collections (${Object.keys(COLLECTIONS).join(', ')}); empty means all`);
+    if ('active' in input && typeof input.active !== 'boolean') problems.push('active must be a boolean');
+    if ('description' in input && input.description != null && String(input.description).length > 200) problems.push('description must be at most 200 characters');
+    if (problems.length) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
+}
+const newSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+function createWebhook(input, actor) {
+    validateWebhook(input);
+    const hook = {
+        id: 'wh_' + crypto.randomBytes(6).toString('hex'),
+        url: String(input.url),
+        events: input.events || [...WEBHOOK_EVENTS],
+        collections: input.collections || [],
+        active: input.active ?? true,
+        description: input.description ?? null,
+        secret: newSecret(),
+        createdAt: nowISO(), createdBy: actor.username, updatedAt: nowISO()
+    };
+    webhookStore.hooks.push(hook);
+    saveWebhooks({ now: true });
+    return { ...publicHook(hook), secret: hook.secret };
+}
+
+// { rotateSecret: true } issues a new secret, returned in this response only.
+function updateWebhook(id, patch) {
+    const hook = hookOrFail(id);
+    validateWebhook(patch, { partial: true });
+    for (const k of ['url', 'events', 'collections', 'active', 'description']) if (k in patch) hook[k] = patch[k];
+    if (patch.rotateSecret === true) hook.secret = newSecret();
+    hook.updatedAt = nowISO();
+    saveWebhooks({ now: true });
+    return patch.rotateSecret === true ? { ...publicHook(hook), secret: hook.secret } : publicHook(hook);
+}
+
+// Pending deliveries and the log go with it.
+function deleteWebhook(id) {
+    const hook = hookOrFail(id);
+    webhookStore.hooks = webhookStore.hooks.filter(h => h !== hook);
+    webhookStore.deliveries = webhookStore.deliveries.filter(d => d.webhook !== id);
+    saveWebhooks({ now: true });
+    return publicHook(hook);
+}
+
+function newDelivery(hook, event, data, { maxAttempts = WEBHOOK_MAX_ATTEMPTS } = {}) {
+    const d = {
+        id: 'whd_' + crypto.randomBytes(8).toString('hex'), webhook: hook.id, event,
+        payload: { event, time: nowISO(), data },
+        status: 'pending', attempts: 0, maxAttempts, nextAttemptAt: nowISO(),
+        createdAt: nowISO(), lastAttemptAt: null, responseStatus: null, error: null, durationMs: null
+    };
+    webhookStore.deliveries.push(d);
+    return d;
+}
+
+// Called from publish(): one delivery per active subscription that wants the event.
+function queueWebhooks(event, data) {
+    if (!WEBHOOK_EVENTS.includes(event)) return;
+    let queued = 0;
+    for (const hook of webhookStore.hooks) {
+        if (!hook.active || !hook.events.includes(event)) continue;
+        if (hook.collections.length && !hook.collections.includes(data.collection)) continue;
+        newDelivery(hook, event, data);
+        queued++;
+    }
+    if (queued) { saveWebhooks(); setImmediate(dispatchWebhooks); }
+}
+
+const signWebhook = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// One POST. Resolves with { status, error }; never rejects.
+function postWebhook(hook, d) {
+    const body = JSON.stringify({ id: d.id, webhook: hook.id, attempt: d.attempts + 1, ...d.payload });
+    const t = Math.floor(Date.now() / 1000);
+    const url = new URL(hook.url);
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'ClientServerPro-Webhooks/1',
+        'X-Webhook-Id': d.id,
+        'X-Webhook-Event': d.event,
+        'X-Webhook-Signature': `t=${t},v1=${signWebhook(hook.secret, t, body)}`
+    };
+    return new Promise((resolve) => {
+        const req = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers, timeout: WEBHOOK_TIMEOUT }, (res) => {
+            res.resume();
+            res.on('end', () => resolve({ status: res.statusCode, error: res.statusCode < 300 ? null : `HTTP ${res.statusCode}` }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT / 1000}s`)));
+        req.on('error', (e) => resolve({ status: null, error: e.message }));
+        req.end(body);
+    });
+}
+
+// Full jitter keeps a recovering receiver from getting every retry at once.
+const retryDelay = (attempts) => Math.round(Math.min(WEBHOOK_RETRY_BASE * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX) * (0.5 + Math.random() / 2));
+
+async function attemptDelivery(d) {
+    const hook = findHook(d.webhook);
+    if (!hook) return d;
+    inFlight.add(d.id);
+    d.status = 'sending';
+    const start = process.hrtime.bigint();
+    const { status, error } = await postWebhook(hook, d);
+    inFlight.delete(d.id);
+    Object.assign(d, { attempts: d.attempts + 1, lastAttemptAt: nowISO(), responseStatus: status, error, durationMs: Math.round(elapsed(start) * 1000) });
+    if (!error) d.status = 'delivered';
+    else if (d.attempts >= d.maxAttempts) d.status = d.maxAttempts > 1 ? 'dead' : 'failed';
+    else { d.status = 'pending'; d.nextAttemptAt = new Date(Date.now() + retryDelay(d.attempts)).toISOString(); }
+    if (d.status === 'dead') log('warn', 'Webhook delivery dead-lettered', { webhook: hook.id, delivery: d.id, attempts: d.attempts, error });
+    pruneDeliveries(hook);
+    saveWebhooks();
+    return d;
+}
+
+// Keeps the newest WEBHOOK_LOG_MAX finished deliveries and WEBHOOK_DEAD_MAX dead letters.
+function pruneDeliveries(hook) {
+    const mine = hookDeliveries(hook);
+    const drop = new Set([
+        ...mine.filter(d => d.status === 'delivered' || d.status === 'failed').slice(0, -WEBHOOK_LOG_MAX),
+        ...mine.filter(d => d.status === 'dead').slice(0, -WEBHOOK_DEAD_MAX)
+    ]);
+    if (drop.size) webhookStore.deliveries = webhookStore.deliveries.filter(d => !drop.has(d));
+}
+
+// Sends due deliveries, a few at a time; runs on a timer and whenever something is queued.
+function dispatchWebhooks() {
+    const now = nowISO();
+    for (const d of webhookStore.deliveries) {
+        if (inFlight.size >= WEBHOOK_CONCURRENCY) break;
+        if (d.status !== 'pending' || d.nextAttemptAt > now) continue;
+        const hook = findHook(d.webhook);
+        if (hook?.active) attemptDelivery(d).then(() => setImmediate(dispatchWebhooks));
+    }
+}
+
+// POST /api/webhooks/:id/ping: one attempt, answered with its outcome.
+function pingWebhook(id) {
+    const hook = hookOrFail(id);
+    const d = newDelivery(hook, 'ping', { webhook: hook.id, url: hook.url }, { maxAttempts: 1 });
+    return attemptDelivery(d);
+}
+
+// Sends a dead letter (or a failed ping) again with a fresh set of attempts.
+function redeliver(id, deliveryId) {
+    const hook = hookOrFail(id);
+    const d = hookDeliveries(hook).find(x => x.id === deliveryId);
+    if (!d) throw { code: 404, payload: err('Delivery not found', 'NOT_FOUND') };
+    if (d.status !== 'dead' && d.status !== 'failed')
+        throw { code: 409, payload: err(`Delivery is ${d.status}; only dead or failed deliveries can be retried`, 'CONFLICT') };
+    Object.assign(d, { status: 'pending', attempts: 0, nextAttemptAt: nowISO() });
+    saveWebhooks({ now: true });
+    setImmediate(dispatchWebhooks);
+    return d;
+}
+
+// GET /api/webhooks/:id/deliveries: newest first; ?status= narrows, ?limit= (1..200).
+function listDeliveries(id, url) {
+    const hook = hookOrFail(id);
+    const status = url.searchParams.get('status');
+    const limit = intParam(url, 'limit', 50, 1, WEBHOOK_LOG_MAX);
+    const all = hookDeliveries(hook).filter(d => !status || d.status === status).reverse();
+    return { items: all.slice(0, limit), meta: { total: all.length, limit, status: status || undefined } };
+}
+
+module.exports = { WEBHOOK_EVENTS, WEBHOOK_TICK, webhookStore, flushWebhooks, hookOrFail, publicHook, createWebhook, updateWebhook, deleteWebhook, queueWebhooks, dispatchWebhooks, pingWebhook, redeliver, listDeliveries };
@@ -0,0 +1,255 @@
+// api-client.mjs — Generated from GET /api/openapi.json by `node server.js generate-client`. Do not edit.
+// spec: 8c1c63b4096bd6b62efcd35925f235b2b2f25b2f
+// Dependency-free ES module for browsers and Node 18+:
+//   import { createClient } from './public/api-client.mjs';
+//   const api = createClient({ baseUrl: 'http://localhost:8080', token: process.env.API_TOKEN });
+//   const { data, meta } = await api.listBooks({ q: 'kleppmann', limit: 10 });
+//   await api.patchBook({ id: 'b1', body: { rating: 4.9 }, etag });
+// Each method takes one object: path and query parameters by name, plus `body`, `etag`
+// (sent as If-Match) and `headers`. It resolves with the { ok, data, meta } envelope plus
+// `status`, `etag` and the raw `response`, and rejects with ApiError otherwise.
+
+export const operations = {
+    /** Readiness (same as /api/health/ready) */
+    getHealth: {"method":"GET","path":"/api/health","query":[]},
+    /** Liveness: the process answers */
+    getLiveness: {"method":"GET","path":"/api/health/live","query":[]},
+    /** Readiness: catalog loaded and data files writable (503 otherwise) */
+    getReadiness: {"method":"GET","path":"/api/health/ready","query":[]},
+    /** Prometheus metrics (bearer METRICS_TOKEN when configured) */
+    getMetrics: {"method":"GET","path":"/metrics","query":[]},
+    /** This document */
+    getOpenApi: {"method":"GET","path":"/api/openapi.json","query":[]},
+    /** Start a session (sets the sid cookie) */
+    login: {"method":"POST","path":"/api/auth/login","query":[]},
+    /** End the session */
+    logout: {"method":"POST","path":"/api/auth/logout","query":[]},
+    /** The signed-in user */
+    getMe: {"method":"GET","path":"/api/auth/me","query":[]},
+    /** The caller's API tokens */
+    listTokens: {"method":"GET","path":"/api/auth/tokens","query":[]},
+    /** Create an API token (the secret is returned once) */
+    createToken: {"method":"POST","path":"/api/auth/tokens","query":[]},
+    /** Revoke an API token */
+    revokeToken: {"method":"DELETE","path":"/api/auth/tokens/{id}","query":[]},
+    /** All users */
+    listUsers: {"method":"GET","path":"/api/users","query":[]},
+    /** Create a user */
+    createUser: {"method":"POST","path":"/api/users","query":[]},
+    /** Change a user's role or password (a new password ends their other sessions and revokes their tokens) */
+    updateUser: {"method":"PUT","path":"/api/users/{username}","query":[]},
+    /** Delete a user and end their sessions */
+    deleteUser: {"method":"DELETE","path":"/api/users/{username}","query":[]},
+    /** Every collection definition */
+    listSchemas: {"method":"GET","path":"/api/schema","query":[]},
+    /** One collection definition */
+    getSchema: {"method":"GET","path":"/api/schema/{collection}","query":[]},
+    /** Catalog counts, top authors/tags, histograms and a daily series */
+    getStats: {"method":"GET","path":"/api/stats","query":["top","days"]},
+    /** Journal entries after a sequence number */
+    getJournal: {"method":"GET","path":"/api/admin/journal","query":["since","limit"]},
+    /** Permanently delete records trashed longer than olderThanDays */
+    purgeTrash: {"method":"POST","path":"/api/admin/purge","query":[]},
+    /** Rate limit policies and the emptiest buckets */
+    getRateLimits: {"method":"GET","path":"/api/admin/ratelimits","query":["client","limit"]},
+    /** Refill a client's buckets (all without client) */
+    resetRateLimits: {"method":"DELETE","path":"/api/admin/ratelimits","query":["client"]},
+    /** Restore the catalog to a journal position or time */
+    restoreJournal: {"method":"POST","path":"/api/admin/restore","query":[]},
+    /** Webhook subscriptions with delivery counts */
+    listWebhooks: {"method":"GET","path":"/api/webhooks","query":[]},
+    /** Subscribe a URL to change events (the signing secret is returned once) */
+    createWebhook: {"method":"POST","path":"/api/webhooks","query":[]},
+    /** One subscription */
+    getWebhook: {"method":"GET","path":"/api/webhooks/{id}","query":[]},
+    /** Change a subscription or rotate its secret */
+    updateWebhook: {"method":"PATCH","path":"/api/webhooks/{id}","query":[]},
+    /** Remove a subscription with its queue and log */
+    deleteWebhook: {"method":"DELETE","path":"/api/webhooks/{id}","query":[]},
+    /** Send a ping event now and report the outcome */
+    pingWebhook: {"method":"POST","path":"/api/webhooks/{id}/ping","query":[]},
+    /** Delivery log, newest first (pending, delivered, failed and dead letters) */
+    listWebhookDeliveries: {"method":"GET","path":"/api/webhooks/{id}/deliveries","query":["status","limit"]},
+    /** Send a dead letter again */
+    retryWebhookDelivery: {"method":"POST","path":"/api/webhooks/{id}/deliveries/{deliveryId}/retry","query":[]},
+    /** Groups of books that are likely the same work (ISBN, title and author similarity) */
+    listBookDuplicates: {"method":"GET","path":"/api/books/duplicates","query":["threshold","limit"]},
+    /** Fold books into a target: chosen fields, tag union, loan/hold history moved, sources trashed */
+    mergeBooks: {"method":"POST","path":"/api/books/merge","query":[]},
+    /** Lend a book (borrower defaults to the caller) */
+    checkoutBook: {"method":"POST","path":"/api/books/{id}/checkout","query":[]},
+    /** Close the book's active loan */
+    returnBook: {"method":"POST","path":"/api/books/{id}/return","query":[]},
+    /** The book's open holds in queue order */
+    listBookHolds: {"method":"GET","path":"/api/books/{id}/holds","query":[]},
+    /** Join the hold queue (patron defaults to the caller) */
+    placeHold: {"method":"POST","path":"/api/books/{id}/holds","query":[]},
+    /** Cancel a hold */
+    cancelHold: {"method":"POST","path":"/api/holds/{id}/cancel","query":[]},
+    /** Open loans past their due date */
+    listOverdueLoans: {"method":"GET","path":"/api/loans/overdue","query":[]},
+    /** Extend a loan (limited renewals, not while others wait) */
+    renewLoan: {"method":"POST","path":"/api/loans/{id}/renew","query":[]},
+    /** List books (filter, sort, cursor or offset pagination, facets) */
+    listBooks: {"method":"GET","path":"/api/books","query":["q","sort","dir","trashed","availability","limit","offset","after","before","facets","facetSize"]},
+    /** Download every matching book */
+    exportBooks: {"method":"GET","path":"/api/books/export","query":["format","q","sort","dir","trashed","availability"]},
+    /** Get one book (ETag for If-None-Match / If-Match) */
+    getBook: {"method":"GET","path":"/api/books/{id}","query":[]},
+    /** Stored versions, oldest first, with what each changed */
+    listBookRevisions: {"method":"GET","path":"/api/books/{id}/revisions","query":[]},
+    /** One stored version */
+    getBookRevision: {"method":"GET","path":"/api/books/{id}/revisions/{version}","query":[]},
+    /** Field changes between two versions (to defaults to the latest) */
+    diffBook: {"method":"GET","path":"/api/books/{id}/diff","query":["from","to"]},
+    /** Create a book (meta.warnings lists likely duplicates) */
+    createBook: {"method":"POST","path":"/api/books","query":[]},
+    /** Apply set/add/remove ops to many books (by ids or query) */
+    bulkPatchBooks: {"method":"PATCH","path":"/api/books","query":[]},
+    /** Move many books to the trash (permanent: admins) */
+    bulkDeleteBooks: {"method":"DELETE","path":"/api/books","query":[]},
+    /** Bulk import: items, or data in a format; append, upsert or replace (admins); dry runs report only */
+    importBooks: {"method":"POST","path":"/api/books/bulk","query":[]},
+    /** Replace a book; fields left out return to their defaults */
+    replaceBook: {"method":"PUT","path":"/api/books/{id}","query":[]},
+    /** Change a book with a JSON merge patch or a JSON Patch */
+    patchBook: {"method":"PATCH","path":"/api/books/{id}","query":[]},
+    /** Move a book to the trash (permanent: admins) */
+    deleteBook: {"method":"DELETE","path":"/api/books/{id}","query":["permanent"]},
+    /** Bring a record back from the trash */
+    restoreBook: {"method":"POST","path":"/api/books/{id}/restore","query":[]},
+    /** Write an old version as the newest one */
+    revertBook: {"method":"POST","path":"/api/books/{id}/revert","query":[]},
+    /** List authors (filter, sort, cursor or offset pagination, facets) */
+    listAuthors: {"method":"GET","path":"/api/authors","query":["q","sort","dir","trashed","limit","offset","after","before","facets","facetSize"]},
+    /** Download every matching author */
+    exportAuthors: {"method":"GET","path":"/api/authors/export","query":["format","q","sort","dir","trashed"]},
+    /** Get one author (ETag for If-None-Match / If-Match) */
+    getAuthor: {"method":"GET","path":"/api/authors/{id}","query":[]},
+    /** Stored versions, oldest first, with what each changed */
+    listAuthorRevisions: {"method":"GET","path":"/api/authors/{id}/revisions","query":[]},
+    /** One stored version */
+    getAuthorRevision: {"method":"GET","path":"/api/authors/{id}/revisions/{version}","query":[]},
+    /** Field changes between two versions (to defaults to the latest) */
+    diffAuthor: {"method":"GET","path":"/api/authors/{id}/diff","query":["from","to"]},
+    /** Create a author */
+    createAuthor: {"method":"POST","path":"/api/authors","query":[]},
+    /** Apply set/add/remove ops to many authors (by ids or query) */
+    bulkPatchAuthors: {"method":"PATCH","path":"/api/authors","query":[]},
+    /** Move many authors to the trash (permanent: admins) */
+    bulkDeleteAuthors: {"method":"DELETE","path":"/api/authors","query":[]},
+    /** Bulk import: items, or data in a format; append, upsert or replace (admins); dry runs report only */
+    importAuthors: {"method":"POST","path":"/api/authors/bulk","query":[]},
+    /** Replace a author; fields left out return to their defaults */
+    replaceAuthor: {"method":"PUT","path":"/api/authors/{id}","query":[]},
+    /** Change a author with a JSON merge patch or a JSON Patch */
+    patchAuthor: {"method":"PATCH","path":"/api/authors/{id}","query":[]},
+    /** Move a author to the trash (permanent: admins) */
+    deleteAuthor: {"method":"DELETE","path":"/api/authors/{id}","query":["permanent"]},
+    /** Bring a record back from the trash */
+    restoreAuthor: {"method":"POST","path":"/api/authors/{id}/restore","query":[]},
+    /** Write an old version as the newest one */
+    revertAuthor: {"method":"POST","path":"/api/authors/{id}/revert","query":[]},
+    /** List publishers (filter, sort, cursor or offset pagination, facets) */
+    listPublishers: {"method":"GET","path":"/api/publishers","query":["q","sort","dir","trashed","limit","offset","after","before","facets","facetSize"]},
+    /** Download every matching publisher */
+    exportPublishers: {"method":"GET","path":"/api/publishers/export","query":["format","q","sort","dir","trashed"]},
+    /** Get one publisher (ETag for If-None-Match / If-Match) */
+    getPublisher: {"method":"GET","path":"/api/publishers/{id}","query":[]},
+    /** Stored versions, oldest first, with what each changed */
+    listPublisherRevisions: {"method":"GET","path":"/api/publishers/{id}/revisions","query":[]},
+    /** One stored version */
+    getPublisherRevision: {"method":"GET","path":"/api/publishers/{id}/revisions/{version}","query":[]},
+    /** Field changes between two versions (to defaults to the latest) */
+    diffPublisher: {"method":"GET","path":"/api/publishers/{id}/diff","query":["from","to"]},
+    /** Create a publisher */
+    createPublisher: {"method":"POST","path":"/api/publishers","query":[]},
+    /** Apply set/add/remove ops to many publishers (by ids or query) */
+    bulkPatchPublishers: {"method":"PATCH","path":"/api/publishers","query":[]},
+    /** Move many publishers to the trash (permanent: admins) */
+    bulkDeletePublishers: {"method":"DELETE","path":"/api/publishers","query":[]},
+    /** Bulk import: items, or data in a format; append, upsert or replace (admins); dry runs report only */
+    importPublishers: {"method":"POST","path":"/api/publishers/bulk","query":[]},
+    /** Replace a publisher; fields left out return to their defaults */
+    replacePublisher: {"method":"PUT","path":"/api/publishers/{id}","query":[]},
+    /** Change a publisher with a JSON merge patch or a JSON Patch */
+    patchPublisher: {"method":"PATCH","path":"/api/publishers/{id}","query":[]},
+    /** Move a publisher to the trash (permanent: admins) */
+    deletePublisher: {"method":"DELETE","path":"/api/publishers/{id}","query":["permanent"]},
+    /** Bring a record back from the trash */
+    restorePublisher: {"method":"POST","path":"/api/publishers/{id}/restore","query":[]},
+    /** Write an old version as the newest one */
+    revertPublisher: {"method":"POST","path":"/api/publishers/{id}/revert","query":[]},
+    /** List loans (filter, sort, cursor or offset pagination, facets) */
+    listLoans: {"method":"GET","path":"/api/loans","query":["q","sort","dir","trashed","limit","offset","after","before","facets","facetSize"]},
+    /** Download every matching loan */
+    exportLoans: {"method":"GET","path":"/api/loans/export","query":["format","q","sort","dir","trashed"]},
+    /** Get one loan (ETag for If-None-Match / If-Match) */
+    getLoan: {"method":"GET","path":"/api/loans/{id}","query":[]},
+    /** Stored versions, oldest first, with what each changed */
+    listLoanRevisions: {"method":"GET","path":"/api/loans/{id}/revisions","query":[]},
+    /** One stored version */
+    getLoanRevision: {"method":"GET","path":"/api/loans/{id}/revisions/{version}","query":[]},
+    /** Field changes between two versions (to defaults to the latest) */
+    diffLoan: {"method":"GET","path":"/api/loans/{id}/diff","query":["from","to"]},
+    /** List holds (filter, sort, cursor or offset pagination, facets) */
+    listHolds: {"method":"GET","path":"/api/holds","query":["q","sort","dir","trashed","limit","offset","after","before","facets","facetSize"]},
+    /** Download every matching hold */
+    exportHolds: {"method":"GET","path":"/api/holds/export","query":["format","q","sort","dir","trashed"]},
+    /** Get one hold (ETag for If-None-Match / If-Match) */
+    getHold: {"method":"GET","path":"/api/holds/{id}","query":[]},
+    /** Stored versions, oldest first, with what each changed */
+    listHoldRevisions: {"method":"GET","path":"/api/holds/{id}/revisions","query":[]},
+    /** One stored version */
+    getHoldRevision: {"method":"GET","path":"/api/holds/{id}/revisions/{version}","query":[]},
+    /** Field changes between two versions (to defaults to the latest) */
+    diffHold: {"method":"GET","path":"/api/holds/{id}/diff","query":["from","to"]},
+};
+
+export class ApiError extends Error {
+    constructor(response, body) {
+        const error = (body && body.error) || {};
+        super(error.message || response.statusText || 'Request failed');
+        this.name = 'ApiError';
+        this.status = response.status;
+        this.code = error.code;
+        this.details = error.details;
+        this.requestId = error.requestId || response.headers.get('X-Request-Id');
+        this.body = body;
+        this.response = response;
+    }
+}
+
+export function createClient({ baseUrl = '', token, headers: defaults = {}, fetch: fetchFn = (...args) => globalThis.fetch(...args) } = {}) {
+    // Any method and path; `query` is an object of parameters (empty values are left out).
+    async function request(method, path, { query = {}, body, etag, headers = {} } = {}) {
+        const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v != null && v !== '')).toString();
+        const url = baseUrl + path + (qs ? (path.includes('?') ? '&' : '?') + qs : '');
+        const h = { ...defaults, ...headers };
+        if (token) h.Authorization = 'Bearer ' + token;
+        if (etag) h['If-Match'] = etag;
+        if (body !== undefined && !h['Content-Type']) {
+            h['Content-Type'] = method !== 'PATCH' ? 'application/json'
+                : Array.isArray(body) ? 'application/json-patch+json' : 'application/merge-patch+json';
+        }
+        const response = await fetchFn(url, { method, headers: h, body: body === undefined ? undefined : JSON.stringify(body), credentials: 'same-origin' });
+        const type = response.headers.get('Content-Type') || '';
+        const payload = type.includes('json') ? await response.json().catch(() => null) : await response.text();
+        if (!response.ok || (payload && payload.ok === false)) throw new ApiError(response, payload);
+        const envelope = payload && typeof payload === 'object' && 'ok' in payload ? payload : { ok: true, data: payload };
+        return Object.assign(envelope, { status: response.status, etag: response.headers.get('ETag'), response });
+    }
+
+    const client = { request };
+    for (const [name, op] of Object.entries(operations)) {
+        client[name] = ({ body, etag, headers, ...params } = {}) => {
+            const path = op.path.replace(/\{(\w+)\}/g, (_, key) => {
+                if (params[key] == null) throw new TypeError(name + ': ' + key + ' is required');
+                return encodeURIComponent(params[key]);
+            });
+            const query = Object.fromEntries(op.query.filter(key => key in params).map(key => [key, params[key]]));
+            return request(op.method, path, { query, body, etag, headers });
+        };
+    }
+    return client;
+}
@@ -1,104 +1,246 @@
-// app.js — Client UI: search/sort/pagination, toasts, theme toggle, stats, import/export.
-// Uses fetch() to talk to the server. Pure browser JS, no frameworks.
+// app.js — Client UI: schema-driven form and table, search/sort/pagination, lending, toasts, theme toggle, stats, import/export, offline outbox.
+// Talks to the server through the generated api-client.mjs. Pure browser JS, no frameworks.
+import { createClient, ApiError } from './api-client.mjs';
 
-const API = '/api/books';
+const client = createClient();
+
+const API_ROOT = '/api';
 const API_STATS = '/api/stats';
-const API_HEALTH = '/api/health';
+const API_AUTH = '/api/auth';
+const API_EVENTS = '/api/events';
+const API_SCHEMA = '/api/schema';
 
 const els = {
     // form
+    main: document.getElementById('main'),
+    formCard: document.getElementById('form-card'),
     form: document.getElementById('book-form'),
     id: document.getElementById('id'),
-    title: document.getElementById('title'),
-    author: document.getElementById('author'),
-    year: document.getElementById('year'),
-    rating: document.getElementById('rating'),
-    tags: document.getElementById('tags'),
+    formFields: document.getElementById('form-fields'),
+    formTitle: document.getElementById('form-title'),
     version: document.getElementById('version'),
     formMsg: document.getElementById('form-msg'),
+    history: document.getElementById('history'),
+    historyList: document.getElementById('history-list'),
     createBtn: document.getElementById('create-btn'),
     updateBtn: document.getElementById('update-btn'),
 
+    // merge
+    mergeDialog: document.getElementById('merge-dialog'),
+    mergeBody: document.getElementById('merge-body'),
+    mergeMsg: document.getElementById('merge-msg'),
+
     // list
+    collections: document.getElementById('collections'),
+    listTitle: document.getElementById('list-title'),
     table: document.getElementById('books-table'),
+    thead: document.querySelector('#books-table thead'),
     tbody: document.querySelector('#books-table tbody'),
     search: document.getElementById('search'),
+    searchError: document.getElementById('search-error'),
     refreshBtn: document.getElementById('refresh-btn'),
     pageSize: document.getElementById('page-size'),
     prevPage: document.getElementById('prev-page'),
     nextPage: document.getElementById('next-page'),
     pageInfo: document.getElementById('page-info'),
+    availability: document.getElementById('availability'),
+    trashBtn: document.getElementById('trash-btn'),
+
+    // bulk edit
+    bulkBar: document.getElementById('bulk-bar'),
+    bulkCount: document.getElementById('bulk-count'),
+    bulkAll: document.getElementById('bulk-all'),
+    bulkOp: document.getElementById('bulk-op'),
+    bulkField: document.getElementById('bulk-field'),
+    bulkValue: document.getElementById('bulk-value'),
+    bulkApply: document.getElementById('bulk-apply'),
+    bulkDelete: document.getElementById('bulk-delete'),
+    bulkClear: document.getElementById('bulk-clear'),
+
+    // circulation
+    overdueBtn: document.getElementById('overdue-btn'),
+    overdueDialog: document.getElementById('overdue-dialog'),
+    overdueSummary: document.getElementById('overdue-summary'),
+    overdueBody: document.getElementById('overdue-body'),
 
     // stats & health
     stats: document.getElementById('stats'),
+    statsSummary: document.getElementById('stats-summary'),
+    facets: document.getElementById('facets'),
+    charts: document.getElementById('charts'),
     health: document.getElementById('health'),
 
     // theme & io
     themeToggle: document.getElementById('theme-toggle'),
     exportBtn: document.getElementById('export-btn'),
+    exportFormat: document.getElementById('export-format'),
     importInput: document.getElementById('import-input'),
+    importDialog: document.getElementById('import-dialog'),
+    importMode: document.getElementById('import-mode'),
+    importAtomic: document.getElementById('import-atomic'),
+    importColumns: document.getElementById('import-columns'),
+    importSummary: document.getElementById('import-summary'),
+    importReport: document.getElementById('import-report'),
+    importCommit: document.getElementById('import-commit'),
+
+    // auth
+    login: document.getElementById('login'),
+    loginForm: document.getElementById('login-form'),
+    loginUsername: document.getElementById('login-username'),
+    loginPassword: document.getElementById('login-password'),
+    loginMsg: document.getElementById('login-msg'),
+    userInfo: document.getElementById('user-info'),
+    logoutBtn: document.getElementById('logout-btn'),
 
     // toast
     toast: document.getElementById('toast')
 };
 
 const state = {
+    collection: localStorage.getItem('collection') || 'books',
     q: '',
+    availability: '',   // books only: available | on-loan | on-hold
+    trash: false,       // browsing the trash (deleted records) instead of the live list
+    selected: new Map(), // id -> version of rows ticked for a bulk action
+    selectAll: false,   // bulk action targets every record matching the current filters
     sort: 'title',
     dir: 'asc',
     limit: Number(els.pageSize.value),
-    offset: 0,
+    cursor: null,       // { after } or { before }; null = first page
+    offset: 0,          // position of the current page, reported by the server
     total: 0,
+    nextCursor: null,
+    prevCursor: null,
+    highlights: {},     // id -> field -> matched ranges, from the last list response
+    user: null,         // { username, role } once signed in
+    saving: null,       // id of the record this tab is currently writing
+    etag: null,         // { id, value }: ETag of the record loaded into the form, for If-Match
+    schemas: [],        // one schema per collection, from GET /api/schema
+    health: 'unknown',  // status from the last GET /api/health
+    offline: false,     // the server is unreachable (or answers come from the service worker's cache)
+    syncing: false,     // the outbox is being replayed
 };
 
-function showToast(msg, type = 'info') {
+// Base URL of the collection being browsed; api() defaults to it.
+const apiBase = () => `${API_ROOT}/${state.collection}`;
+
+// `action` ({ label, run }) adds a button, e.g. Undo, and keeps the toast up longer.
+let toastTimer;
+function showToast(msg, type = 'info', action) {
     els.toast.textContent = msg;
-    els.toast.className = 'toast ' + type;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => { els.toast.style.opacity = 0; btn.remove(); action.run(); });
+        els.toast.append(' ', btn);
+    }
+    els.toast.className = 'toast ' + type + (action ? ' has-action' : '');
     els.toast.style.opacity = 1;
-    setTimeout(() => els.toast.style.opacity = 0, 2500);
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        els.toast.style.opacity = 0;
+        els.toast.classList.remove('has-action');
+    }, action ? 6000 : 2500);
 }
 
-async function api(method, path = '', body) {
-    const res = await fetch(API + path, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: body ? JSON.stringify(body) : undefined
-    });
-    const json = await res.json().catch(() => ({}));
-    if (!res.ok || json.ok === false) {
-        const m = json?.error?.message || res.statusText;
-        throw new Error(m);
+// `etag` makes the request conditional (If-Match); the response's ETag comes back as
+// `etag`. PATCH bodies are sent as JSON merge patches.
+// Offline, a create/update/delete on a collection goes into the outbox (see Offline) and
+// resolves with { queued: true }; other requests fail with code OFFLINE. `queue: false`
+// is for the outbox replay itself.
+async function api(method, path = '', body, base = apiBase(), { queue = true, etag } = {}) {
+    try {
+        const result = await client.request(method, base + path, { body: body ?? undefined, etag });
+        setOffline(result.response.headers.has('X-Offline-Cache'));
+        return result;
+    } catch (e) {
+        // Anything but an ApiError means the request never got an answer.
+        if (!(e instanceof ApiError)) {
+            setOffline(true);
+            if (queue && queueable(method, path, base)) return enqueue(method, path, body, base, etag);
+            throw Object.assign(new Error('You are offline'), { code: 'OFFLINE' });
+        }
+        setOffline(e.response.headers.has('X-Offline-Cache') || e.code === 'OFFLINE');
+        if (e.status === 401 && base !== API_AUTH) showLogin();
+        // Server faults carry the request id, so they can be matched with the server log.
+        if (e.status >= 500 && e.requestId) e.message += ` (request ${e.requestId})`;
+        throw e;
     }
-    return json;
 }
 
-function renderStats({ count, avgRating, topAuthors, topTags }) {
-    els.stats.innerHTML = `
+// Tiny bar chart: one bar per { label, count }, scaled to the largest count.
+function barChart(title, points) {
+    const max = Math.max(1, ...points.map(p => p.count));
+    return `
+    <figure class="chart">
+      <figcaption class="stat-label">${escapeHtml(title)}</figcaption>
+      <div class="bars">${points.map(p =>
+        `<span style="height:${Math.round(p.count / max * 100)}%" title="${escapeHtml(p.label)}: ${p.count}"></span>`).join('')}</div>
+    </figure>`;
+}
+
+function renderStats({ count, avgRating, histograms, timeseries }) {
+    els.statsSummary.innerHTML = `
     <div class="stats-grid">
       <div><div class="stat-label">Total Books</div><div class="stat-value">${count}</div></div>
       <div><div class="stat-label">Avg Rating</div><div class="stat-value">${(avgRating ?? '—')}</div></div>
-      <div><div class="stat-label">Top Authors</div><div class="stat-list">${topAuthors.map(a=>`${a.author} (${a.count})`).join(', ') || '—'}</div></div>
-      <div><div class="stat-label">Top Tags</div><div class="stat-list">${topTags.map(t=>`${t.tag} (${t.count})`).join(', ') || '—'}</div></div>
+      <div><div class="stat-label">Added (${timeseries.days}d)</div><div class="stat-value">${timeseries.created.reduce((n, d) => n + d.count, 0)}</div></div>
+      <div><div class="stat-label">Updated (${timeseries.days}d)</div><div class="stat-value">${timeseries.updated.reduce((n, d) => n + d.count, 0)}</div></div>
     </div>
   `;
+    const perDay = (series) => series.map(d => ({ label: d.date, count: d.count }));
+    els.charts.innerHTML = [
+        ...Object.entries(histograms).map(([name, buckets]) => barChart(`Books by ${name}`, buckets.map(b => ({ label: b.value, count: b.count })))),
+        barChart('Added per day', perDay(timeseries.created)),
+        barChart('Updated per day', perDay(timeseries.updated))
+    ].join('');
+}
+
+// Facet counts follow the current search; clicking one adds its clause to the query
+// (or removes it again if it is already there).
+const facetFields = () => schema().fields.filter(f => f.facet);
+
+function renderFacets(facets = {}) {
+    els.facets.innerHTML = facetFields().filter(f => facets[f.name]?.length).map(f => `
+      <div class="facet">
+        <span class="stat-label">${escapeHtml(f.label)}</span>
+        ${facets[f.name].map(v => `<button type="button" class="chip" data-filter="${escapeHtml(v.filter)}"
+            aria-pressed="${state.q.includes(v.filter)}">${escapeHtml(v.value)} <span class="muted">${v.count}</span></button>`).join('')}
+      </div>
+    `).join('');
+}
+
+els.facets.addEventListener('click', (e) => {
+    const chip = e.target.closest('button[data-filter]');
+    if (!chip) return;
+    const clause = chip.dataset.filter;
+    const q = state.q.includes(clause) ? state.q.replace(clause, '') : `${state.q} ${clause}`;
+    state.q = els.search.value = q.replace(/\s+/g, ' ').trim();
+    state.cursor = null;
+    refresh();
+});
+
+// Loans and holds are managed: their rows only offer circulation actions.
+function rowActions(r) {
+    const act = (action, label) => `<button data-action="${action}" data-requires="editor">${label}</button>`;
+    if (state.trash) return act('restore', 'Restore') + '<button data-action="purge" class="danger" data-requires="admin">Delete forever</button>';
+    if (state.collection === 'loans') return r.returnedAt ? '' : act('renew', 'Renew') + act('return', 'Return');
+    if (state.collection === 'holds') return ['waiting', 'ready'].includes(r.status) ? act('cancel', 'Cancel') : '';
+    const circulation = state.collection !== 'books' ? ''
+        : r.availability === 'on-loan' ? act('return', 'Return') + act('hold', 'Hold')
+        : r.availability === 'on-hold' ? act('checkout', 'Check out') + act('hold', 'Hold')
+        : act('checkout', 'Check out');
+    return `<button data-action="edit">Edit</button>${circulation}
+        <button data-action="delete" class="danger" data-requires="editor">Delete</button>`;
 }
 
 function rowTemplate(b) {
-    const tagStr = (b.tags || []).join(', ');
-    const updated = new Date(b.updatedAt).toLocaleString();
+    const ticked = state.selectAll || state.selected.has(b.id);
+    const select = bulkEnabled() ? `<td class="select-cell" data-requires="editor"><input type="checkbox" data-select${ticked ? ' checked' : ''} aria-label="Select" /></td>` : '';
     return `
-    <tr data-id="${b.id}" data-version="${b.version || 1}">
-      <td>${b.id}</td>
-      <td>${escapeHtml(b.title)}</td>
-      <td>${escapeHtml(b.author || '')}</td>
-      <td>${b.year ?? ''}</td>
-      <td>${b.rating ?? ''}</td>
-      <td>${escapeHtml(tagStr)}</td>
-      <td>${updated}</td>
-      <td class="actions-cell">
-        <button data-action="edit">Edit</button>
-        <button data-action="delete" class="danger">Delete</button>
-      </td>
+    <tr data-id="${escapeHtml(b.id)}" data-version="${b.version || 1}"${b.bookId ? ` data-book="${escapeHtml(b.bookId)}"` : ''}>
+      ${select}${tableColumns().map(f => `<td>${formatCell(f, b[f.name], state.highlights[b.id]?.[f.name])}</td>`).join('')}
+      <td class="actions-cell">${rowActions(b)}</td>
     </tr>
   `;
 }
@@ -109,60 +251,245 @@ function escapeHtml(s) {
 
 function renderTable(list) {
     els.tbody.innerHTML = list.map(rowTemplate).join('');
-    const start = state.offset + 1;
-    const end = Math.min(state.offset + state.limit, state.total);
+    const start = list.length ? state.offset + 1 : 0;
+    const end = state.offset + list.length;
     const page = Math.floor(state.offset / state.limit) + 1;
     const pages = Math.max(1, Math.ceil(state.total / state.limit));
     els.pageInfo.textContent = `Page ${page} of ${pages} • Showing ${start}-${end} of ${state.total}`;
+    els.prevPage.disabled = !state.prevCursor;
+    els.nextPage.disabled = !state.nextCursor;
+    renderBulkBar();
 }
 
 async function refresh() {
     const params = new URLSearchParams({
-        q: state.q, sort: state.sort, dir: state.dir, limit: state.limit, offset: state.offset
+        q: state.q, sort: state.sort, dir: state.dir, limit: state.limit, ...state.cursor
     });
+    if (state.availability) params.set('availability', state.availability);
+    if (facetFields().length) params.set('facets', facetFields().map(f => f.name).join(','));
+    if (state.trash) params.set('trashed', 'only');
     try {
         const { data, meta } = await api('GET', '?' + params.toString());
         state.total = meta.total;
+        state.offset = meta.offset;
+        state.nextCursor = meta.nextCursor;
+        state.prevCursor = meta.prevCursor;
+        state.highlights = meta.highlights || {};
+        renderSearchError(null);
         renderTable(data);
+        renderFacets(meta.facets);
     } catch (e) {
+        if (e.details?.param === 'q') return renderSearchError(e);
         showToast('Load failed: ' + e.message, 'error');
     }
 }
 
+// Inline parse error for the filter query, with a caret under the offending token.
+function renderSearchError(e) {
+    els.search.classList.toggle('invalid', !!e);
+    if (!e) { els.searchError.hidden = true; els.searchError.innerHTML = ''; return; }
+    const { position } = e.details;
+    const caret = position == null ? '' : `<pre>${escapeHtml(state.q)}\n${' '.repeat(position)}^</pre>`;
+    els.searchError.innerHTML = `${escapeHtml(e.message)}${caret}`;
+    els.searchError.hidden = false;
+}
+
 async function refreshStats() {
     try {
-        const res = await fetch(API_STATS);
-        const { data } = await res.json();
+        const { data } = await api('GET', '', undefined, API_STATS);
         renderStats(data);
     } catch { /* ignore */ }
 }
 
 async function refreshHealth() {
     try {
-        const res = await (await fetch(API_HEALTH)).json();
-        els.health.textContent = `Health: ${res?.data?.status || 'unknown'}`;
-        els.health.classList.toggle('ok', res?.data?.status === 'ok');
-    } catch {
-        els.health.textContent = 'Health: down';
-        els.health.classList.remove('ok');
+        state.health = (await client.getHealth()).data.status;
+        setOffline(false);
+        syncOutbox();
+    } catch (e) {
+        // A 503 still answers with the readiness report; anything else means the server is gone.
+        const reachable = e instanceof ApiError && e.code !== 'OFFLINE';
+        state.health = reachable ? e.body?.data?.status || 'unknown' : 'down';
+        setOffline(!reachable);
+        if (reachable) syncOutbox();
+    }
+    renderHealth();
+}
+
+// "Health: ok", or the offline/sync state, plus how many offline changes are waiting.
+async function renderHealth() {
+    const pending = await outbox.count().catch(() => 0);
+    const note = pending ? ` · ${pending} change${pending === 1 ? '' : 's'} pending` : '';
+    els.health.textContent = state.syncing ? `Syncing${note}…`
+        : state.offline ? `Offline — showing saved data${note}`
+        : `Health: ${state.health}${note}`;
+    els.health.classList.toggle('ok', !state.offline && !state.syncing && state.health === 'ok');
+    els.health.classList.toggle('offline', state.offline);
+}
+
+/* --------------------------------- Schema --------------------------------- */
+// Collection tabs, form inputs, table columns and sort headers are rendered from the
+// server's schemas. Reference fields get a datalist of the target collection's records.
+const schema = () => state.schemas.find(c => c.name === state.collection);
+const formFields = () => schema().fields.filter(f => !f.readOnly && f.name !== 'id');
+const tableColumns = () => schema().fields.filter(f => f.column);
+const recordName = (r) => r[schema().display] ?? r.id;
+
+// Wraps the server-reported [start, end] ranges of a search match in <mark>.
+function markRanges(text, ranges = []) {
+    const s = String(text);
+    let out = '', at = 0;
+    for (const [start, end] of ranges) {
+        out += escapeHtml(s.slice(at, start)) + `<mark>${escapeHtml(s.slice(start, end))}</mark>`;
+        at = end;
     }
+    return out + escapeHtml(s.slice(at));
 }
 
+function formatCell(f, v, ranges) {
+    if (v == null) return '';
+    if (f.name === 'availability') return `<span class="badge ${escapeHtml(v)}">${escapeHtml(v)}</span>`;
+    if (f.type === 'array') return v.map((x, i) => markRanges(x, ranges?.[i])).join(', ');
+    if (ranges) return markRanges(v, ranges);
+    if (f.type === 'datetime') return new Date(v).toLocaleString();
+    return escapeHtml(v);
+}
+
+// <input type="datetime-local"> wants local time without a zone.
+function toLocalInput(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function inputTemplate(f) {
+    const attrs = [`id="field-${f.name}"`, `name="${f.name}"`];
+    if (f.placeholder) attrs.push(`placeholder="${escapeHtml(f.placeholder)}"`);
+    if (f.required) attrs.push('required');
+    if (f.enum) {
+        const options = ['', ...f.enum].map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v || '—')}</option>`).join('');
+        return `<select ${attrs.join(' ')}>${options}</select>`;
+    }
+    if (f.ref) {
+        attrs.push(`list="ref-${f.ref}"`);
+        if (!f.placeholder) attrs.push(`placeholder="ID in ${f.ref}"`);
+    } else if (f.type === 'integer' || f.type === 'number') {
+        attrs.push('type="number"', `step="${f.step ?? (f.type === 'integer' ? 1 : 'any')}"`);
+        if (f.min != null) attrs.push(`min="${f.min}"`);
+        if (f.max != null) attrs.push(`max="${f.max}"`);
+    } else if (f.type === 'datetime') {
+        attrs.push('type="datetime-local"');
+    } else if (f.type === 'string' && f.maxLength != null) {
+        attrs.push(`maxlength="${f.maxLength}"`);
+    }
+    return `<input ${attrs.join(' ')} />`;
+}
+
+async function loadRefOptions(ref) {
+    const target = state.schemas.find(c => c.name === ref);
+    const list = document.getElementById(`ref-${ref}`);
+    if (!target || !list) return;
+    try {
+        const params = new URLSearchParams({ sort: target.display, limit: 100 });
+        const { data } = await api('GET', '?' + params.toString(), undefined, `${API_ROOT}/${ref}`);
+        list.innerHTML = data.map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r[target.display] ?? '')}</option>`).join('');
+    } catch { /* suggestions are optional */ }
+}
+
+function renderSchema() {
+    const { label, noun, managed } = schema();
+    els.collections.innerHTML = state.schemas.map(c =>
+        `<button type="button" role="tab" class="secondary" data-collection="${c.name}" aria-selected="${c.name === state.collection}">${escapeHtml(c.label)}</button>`
+    ).join('');
+    els.formTitle.textContent = `Add / Update ${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+    els.listTitle.textContent = state.trash ? `${label} — Trash` : label;
+    els.formCard.hidden = managed || state.trash;
+    els.main.classList.toggle('wide', managed || state.trash);
+    els.trashBtn.hidden = managed;
+    els.trashBtn.setAttribute('aria-pressed', state.trash);
+    els.availability.hidden = state.collection !== 'books';
+    els.overdueBtn.hidden = state.collection !== 'loans';
+    const refs = [...new Set(formFields().filter(f => f.ref).map(f => f.ref))];
+    els.formFields.innerHTML = formFields().map(f => `
+      <div class="row">
+        <label for="field-${f.name}">${escapeHtml(f.label)}${f.required ? '*' : ''}</label>
+        ${inputTemplate(f)}
+      </div>
+    `).join('') + refs.map(ref => `<datalist id="ref-${ref}"></datalist>`).join('');
+    refs.forEach(loadRefOptions);
+    const th = (f) => `<th${f.sortable ? ` data-sort="${f.name}"` : ''}>${escapeHtml(f.label)}</th>`;
+    const select = bulkEnabled() ? '<th class="select-cell" data-requires="editor"><input type="checkbox" id="select-page" title="Select this page" /></th>' : '';
+    els.thead.innerHTML = `<tr>${select}${tableColumns().map(th).join('')}<th>Actions</th></tr>`;
+    const arrays = formFields().filter(f => f.type === 'array');
+    els.bulkOp.querySelectorAll('option[value="add"], option[value="remove"]').forEach(o => { o.disabled = !arrays.length; });
+    if (!arrays.length) els.bulkOp.value = 'set';
+    els.bulkField.innerHTML = formFields().map(f => `<option value="${f.name}">${escapeHtml(f.label)}</option>`).join('');
+    renderBulkBar();
+    els.exportFormat.querySelector('option[value="bibtex"]').disabled = state.collection !== 'books';
+    if (els.exportFormat.selectedOptions[0].disabled) els.exportFormat.value = 'json';
+    updateSortIndicators();
+}
+
+async function loadSchema() {
+    if (state.schemas.length) return;
+    const { data } = await api('GET', '', undefined, API_SCHEMA);
+    state.schemas = data;
+    if (!schema()) state.collection = 'books';
+    state.sort = schema().defaultSort;
+    renderSchema();
+}
+
+function switchCollection(name) {
+    if (name === state.collection) return;
+    state.collection = name;
+    localStorage.setItem('collection', name);
+    Object.assign(state, { sort: schema().defaultSort, dir: 'asc', cursor: null, q: '', availability: '', trash: false });
+    clearSelection();
+    els.search.value = '';
+    els.availability.value = '';
+    els.form.reset(); els.version.value = '';
+    els.formMsg.textContent = '';
+    renderSearchError(null);
+    renderSchema();
+    refresh();
+}
+
+els.collections.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-collection]');
+    if (btn) switchCollection(btn.dataset.collection);
+});
+
 /* ------------------------------- Handlers -------------------------------- */
-els.refreshBtn.addEventListener('click', () => { state.offset = 0; refresh(); });
+els.refreshBtn.addEventListener('click', () => { state.cursor = null; refresh(); });
 els.pageSize.addEventListener('change', () => {
     state.limit = Number(els.pageSize.value);
-    state.offset = 0;
+    state.cursor = null;
     refresh();
 });
 
 els.prevPage.addEventListener('click', () => {
-    state.offset = Math.max(0, state.offset - state.limit);
+    if (!state.prevCursor) return;
+    state.cursor = { before: state.prevCursor };
     refresh();
 });
 els.nextPage.addEventListener('click', () => {
-    const next = state.offset + state.limit;
-    if (next < state.total) { state.offset = next; refresh(); }
+    if (!state.nextCursor) return;
+    state.cursor = { after: state.nextCursor };
+    refresh();
+});
+
+els.trashBtn.addEventListener('click', () => {
+    state.trash = !state.trash;
+    state.cursor = null;
+    clearSelection();
+    renderSchema();
+    refresh();
+});
+
+els.availability.addEventListener('change', () => {
+    state.availability = els.availability.value;
+    state.cursor = null;
+    refresh();
 });
 
 let searchTimer;
@@ -170,21 +497,27 @@ els.search.addEventListener('input', () => {
     clearTimeout(searchTimer);
     searchTimer = setTimeout(() => {
         state.q = els.search.value.trim();
-        state.offset = 0;
+        state.cursor = null;
+        // Searching ranks by relevance until a column header is clicked; the server falls
+        // back to the default sort when the query has no bare words.
+        const searchable = schema().fields.some(f => f.search);
+        if (state.q && searchable && state.sort === schema().defaultSort) Object.assign(state, { sort: 'relevance', dir: 'desc' });
+        if (!state.q && state.sort === 'relevance') Object.assign(state, { sort: schema().defaultSort, dir: 'asc' });
+        updateSortIndicators();
         refresh();
     }, 250);
 });
 
 // Sort by clicking header
-document.querySelectorAll('#books-table thead th[data-sort]').forEach(th => {
-    th.addEventListener('click', () => {
-        const key = th.getAttribute('data-sort');
-        if (state.sort === key) state.dir = state.dir === 'asc' ? 'desc' : 'asc';
-        else { state.sort = key; state.dir = 'asc'; }
-        state.offset = 0;
-        refresh();
-        updateSortIndicators();
-    });
+els.thead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.getAttribute('data-sort');
+    if (state.sort === key) state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+    else { state.sort = key; state.dir = 'asc'; }
+    state.cursor = null;
+    refresh();
+    updateSortIndicators();
 });
 function updateSortIndicators() {
     document.querySelectorAll('#books-table thead th[data-sort]').forEach(th => {
@@ -194,6 +527,15 @@ function updateSortIndicators() {
     });
 }
 
+function fillForm(data) {
+    els.id.value = data.id;
+    for (const f of formFields()) {
+        const v = data[f.name];
+        els.form.elements[f.name].value = f.type === 'datetime' ? toLocalInput(v) : Array.isArray(v) ? v.join(',') : v ?? '';
+    }
+    els.version.value = data.version || 1;
+}
+
 // Table actions
 els.tbody.addEventListener('click', async (e) => {
     const btn = e.target.closest('button');
@@ -204,42 +546,73 @@ els.tbody.addEventListener('click', async (e) => {
 
     if (action === 'edit') {
         try {
-            const { data } = await api('GET', '/' + encodeURIComponent(id));
-            els.id.value = data.id;
-            els.title.value = data.title || '';
-            els.author.value = data.author || '';
-            els.year.value = data.year ?? '';
-            els.rating.value = data.rating ?? '';
-            els.tags.value = (data.tags || []).join(',');
-            els.version.value = data.version || 1;
+            const { data, etag } = await api('GET', '/' + encodeURIComponent(id));
+            fillForm(data);
+            state.etag = { id: data.id, value: etag };
             els.id.focus();
-            els.formMsg.textContent = `Loaded "${data.title}" (version ${data.version})`;
+            els.formMsg.textContent = `Loaded "${recordName(data)}" (version ${data.version})`;
+            loadHistory(data.id);
         } catch (err) {
             showToast('Load failed: ' + err.message, 'error');
         }
     }
 
+    if (['checkout', 'return', 'hold', 'renew', 'cancel'].includes(action)) {
+        return circulate(action, { id, version: Number(tr.dataset.version), bookId: tr.dataset.book });
+    }
+
+    // Delete moves to the trash, so it needs no confirmation: the toast offers Undo.
     if (action === 'delete') {
-        if (!confirm(`Delete book ${id}?`)) return;
+        const base = apiBase();   // Undo may come after switching collections
         try {
-            await api('DELETE', '/' + encodeURIComponent(id));
-            showToast('Deleted.', 'success');
+            const { queued } = await api('DELETE', '/' + encodeURIComponent(id));
+            if (queued) {
+                tr.remove();
+                return showToast(`Offline: ${schema().noun.toLowerCase()} ${id} will be moved to the trash once the server is back.`, 'success');
+            }
+            showToast(`Moved ${schema().noun.toLowerCase()} ${id} to the trash.`, 'success', { label: 'Undo', run: () => restore(id, base) });
             refresh(); refreshStats();
         } catch (err) {
             showToast('Delete failed: ' + err.message, 'error');
         }
     }
+
+    if (action === 'restore') restore(id);
+
+    if (action === 'purge') {
+        if (!confirm(`Permanently delete ${schema().noun.toLowerCase()} ${id}? This cannot be undone.`)) return;
+        try {
+            await api('DELETE', `/${encodeURIComponent(id)}?permanent=true`);
+            showToast('Deleted permanently.', 'success');
+            refresh();
+        } catch (err) {
+            showToast('Delete failed: ' + err.message, 'error');
+        }
+    }
 });
 
+async function restore(id, base = apiBase()) {
+    try {
+        await api('POST', `/${encodeURIComponent(id)}/restore`, undefined, base);
+        showToast('Restored.', 'success');
+        refresh(); refreshStats();
+    } catch (err) {
+        showToast('Restore failed: ' + err.message, 'error');
+    }
+}
+
 // Create
 els.form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const payload = collectPayload();
     try {
-        const { data } = await api('POST', '', payload);
-        showToast(`Created "${data.title}"`, 'success');
+        const { data, meta, queued } = await api('POST', '', payload);
+        // Saved regardless; the server only warns about likely duplicates.
+        const warning = meta?.warnings?.[0];
+        showToast(queued ? `Offline: "${recordName(data)}" will be created once the server is back.`
+            : warning ? `Created "${recordName(data)}". ${warning.message}.` : `Created "${recordName(data)}"`, warning ? 'error' : 'success');
         els.form.reset(); els.version.value = '';
-        refresh(); refreshStats();
+        if (!queued) { refresh(); refreshStats(); }
     } catch (err) {
         showToast('Create failed: ' + err.message, 'error');
     }
@@ -250,32 +623,336 @@ els.updateBtn.addEventListener('click', async () => {
     const id = els.id.value.trim();
     if (!id) return (els.formMsg.textContent = 'Provide an ID (or click a row’s Edit).');
     const patch = collectPayload({ partial: true });
-    patch.version = Number(els.version.value || 0);
+    const version = Number(els.version.value || 0);
+    // Conditional on the form's version, and on the ETag from Edit as well when there is one.
+    const etag = state.etag?.id === id ? state.etag.value : null;
+    state.saving = id;
     try {
-        const { data } = await api('PUT', '/' + encodeURIComponent(id), patch);
+        const { data, queued, etag: next } = await api('PATCH', '/' + encodeURIComponent(id), { ...patch, version }, apiBase(), { etag });
+        if (queued) {
+            // Assume the queued update lands as the next version, so a further offline edit
+            // of the same record doesn't conflict with it on replay.
+            els.version.value = version + 1;
+            state.etag = null;
+            return showToast('Offline: the update will be sent once the server is back.', 'success');
+        }
         els.version.value = data.version;
+        state.etag = { id, value: next };
         showToast(`Updated to version ${data.version}`, 'success');
-        refresh(); refreshStats();
+        refresh(); refreshStats(); loadHistory(id);
     } catch (err) {
+        if (['VERSION_CONFLICT', 'PRECONDITION_FAILED'].includes(err.code) && err.details?.current) {
+            // The merged result is written against the record the server just reported.
+            state.etag = { id, value: err.details.etag ?? null };
+            return resolveConflict(id, { ...patch, version }, err.details.current);
+        }
         showToast('Update failed: ' + err.message, 'error');
+    } finally {
+        state.saving = null;
+    }
+});
+
+/* --------------------------------- Bulk edit ------------------------------- */
+// Rows are ticked one by one (remembering the version each was shown at, so a bulk edit
+// can't silently overwrite someone else's change), or "select all matching" switches
+// the target to the current filters, however many pages that spans.
+const bulkEnabled = () => !schema().managed && !state.trash;
+
+function clearSelection() {
+    state.selected.clear();
+    state.selectAll = false;
+}
+
+function renderBulkBar() {
+    const n = state.selectAll ? state.total : state.selected.size;
+    els.bulkBar.hidden = !bulkEnabled() || !n;
+    els.bulkCount.textContent = state.selectAll ? `All ${n} matching selected` : `${n} selected`;
+    els.bulkAll.hidden = state.selectAll || n >= state.total;
+    els.bulkAll.textContent = `Select all ${state.total} matching`;
+    els.bulkField.hidden = els.bulkOp.value !== 'set';
+    els.bulkValue.placeholder = els.bulkOp.value === 'set' ? 'Value (empty clears)' : 'Tag';
+    const page = document.getElementById('select-page');
+    const boxes = [...els.tbody.querySelectorAll('input[data-select]')];
+    if (page) page.checked = boxes.length > 0 && boxes.every(b => b.checked);
+}
+
+function bulkTarget() {
+    if (!state.selectAll) return { ids: [...state.selected.keys()], versions: Object.fromEntries(state.selected) };
+    const query = { q: state.q };
+    if (state.availability) query.availability = state.availability;
+    return { query };
+}
+
+// Typed like the form would send it: numbers as numbers, arrays from comma lists.
+function bulkOps() {
+    const op = els.bulkOp.value;
+    const raw = els.bulkValue.value.trim();
+    if (op !== 'set') return [{ op, field: formFields().find(f => f.type === 'array').name, value: raw.split(',').map(s => s.trim()).filter(Boolean) }];
+    const f = formFields().find(x => x.name === els.bulkField.value);
+    const value = raw === '' ? null
+        : f.type === 'array' ? raw.split(',').map(s => s.trim()).filter(Boolean)
+        : f.type === 'integer' || f.type === 'number' ? Number(raw)
+        : f.type === 'datetime' ? new Date(raw).toISOString()
+        : raw;
+    return [{ op: 'set', field: f.name, value }];
+}
+
+function bulkSummary({ meta, data }) {
+    const { counts } = meta;
+    const done = counts.updated || counts.deleted;
+    const failed = data.find(r => r.status === 'failed');
+    return `${done} ${counts.deleted ? 'moved to the trash' : 'updated'}` +
+        (counts.skipped ? `, ${counts.skipped} unchanged` : '') +
+        (failed ? `, ${counts.failed} failed (${failed.id}: ${failed.error.message})` : '');
+}
+
+els.tbody.addEventListener('change', (e) => {
+    const box = e.target.closest('input[data-select]');
+    if (!box) return;
+    const tr = box.closest('tr');
+    if (state.selectAll) {
+        // Unticking one row turns "all matching" back into an explicit selection of this page.
+        state.selectAll = false;
+        els.tbody.querySelectorAll('tr').forEach(r => state.selected.set(r.dataset.id, Number(r.dataset.version)));
+    }
+    if (box.checked) state.selected.set(tr.dataset.id, Number(tr.dataset.version));
+    else state.selected.delete(tr.dataset.id);
+    renderBulkBar();
+});
+
+els.thead.addEventListener('change', (e) => {
+    if (e.target.id !== 'select-page') return;
+    state.selectAll = false;
+    els.tbody.querySelectorAll('tr').forEach(tr => {
+        if (e.target.checked) state.selected.set(tr.dataset.id, Number(tr.dataset.version));
+        else state.selected.delete(tr.dataset.id);
+        tr.querySelector('input[data-select]').checked = e.target.checked;
+    });
+    renderBulkBar();
+});
+
+els.bulkAll.addEventListener('click', () => { state.selectAll = true; refresh(); });
+els.bulkClear.addEventListener('click', () => { clearSelection(); refresh(); });
+els.bulkOp.addEventListener('change', renderBulkBar);
+
+els.bulkApply.addEventListener('click', async () => {
+    if (els.bulkOp.value !== 'set' && !els.bulkValue.value.trim()) return showToast('Enter a tag first.', 'error');
+    try {
+        const result = await api('PATCH', '', { ...bulkTarget(), ops: bulkOps() });
+        showToast(bulkSummary(result), result.meta.counts.failed ? 'error' : 'success');
+        els.bulkValue.value = '';
+        clearSelection();
+        refresh(); refreshStats();
+    } catch (err) {
+        showToast('Bulk edit failed: ' + err.message, 'error');
+    }
+});
+
+els.bulkDelete.addEventListener('click', async () => {
+    const n = state.selectAll ? state.total : state.selected.size;
+    if (!confirm(`Move ${n} ${schema().label.toLowerCase()} to the trash?`)) return;
+    const base = apiBase();
+    try {
+        const result = await api('DELETE', '', bulkTarget());
+        const ids = result.data.filter(r => r.status === 'deleted').map(r => r.id);
+        const undo = { label: 'Undo', run: () => Promise.all(ids.map(id => api('POST', `/${encodeURIComponent(id)}/restore`, undefined, base)))
+            .then(() => { showToast(`Restored ${ids.length}.`, 'success'); refresh(); refreshStats(); })
+            .catch(err => showToast('Restore failed: ' + err.message, 'error')) };
+        showToast(bulkSummary(result), result.meta.counts.failed ? 'error' : 'success', ids.length ? undo : undefined);
+        clearSelection();
+        refresh(); refreshStats();
+    } catch (err) {
+        showToast('Bulk delete failed: ' + err.message, 'error');
+    }
+});
+
+/* -------------------------------- Circulation ------------------------------ */
+// Checkout sends the book version this row was rendered with, so two librarians lending the
+// same copy can't both succeed: the loser gets VERSION_CONFLICT and a fresh list.
+async function circulate(action, { id, version, bookId }) {
+    const path = encodeURIComponent(id);
+    try {
+        if (action === 'checkout') {
+            const borrower = prompt('Borrower', state.user?.username || '');
+            if (!borrower) return;
+            const { data } = await api('POST', `/${path}/checkout`, { borrower, version }, `${API_ROOT}/books`);
+            showToast(`Checked out to ${data.loan.borrower}, due ${new Date(data.loan.dueAt).toLocaleDateString()}`, 'success');
+        }
+        if (action === 'return') {
+            const book = state.collection === 'loans' ? bookId : id;
+            const { data } = await api('POST', `/${encodeURIComponent(book)}/return`, {}, `${API_ROOT}/books`);
+            showToast(data.hold ? `Returned; now held for ${data.hold.patron}` : 'Returned.', 'success');
+        }
+        if (action === 'hold') {
+            const patron = prompt('Patron', state.user?.username || '');
+            if (!patron) return;
+            const { meta } = await api('POST', `/${path}/holds`, { patron }, `${API_ROOT}/books`);
+            showToast(`Hold placed (position ${meta.position})`, 'success');
+        }
+        if (action === 'renew') {
+            const { data } = await api('POST', `/${path}/renew`, { version }, `${API_ROOT}/loans`);
+            showToast(`Renewed until ${new Date(data.dueAt).toLocaleDateString()}`, 'success');
+        }
+        if (action === 'cancel') {
+            await api('POST', `/${path}/cancel`, {}, `${API_ROOT}/holds`);
+            showToast('Hold cancelled.', 'success');
+        }
+    } catch (err) {
+        showToast(err.code === 'VERSION_CONFLICT' ? 'Someone else changed this first; list refreshed.' : err.message, 'error');
+    }
+    refresh(); refreshStats();
+}
+
+async function showOverdue() {
+    try {
+        const { data } = await api('GET', '/overdue', undefined, `${API_ROOT}/loans`);
+        els.overdueSummary.textContent = data.length ? `${data.length} loan(s) past due.` : 'Nothing is overdue.';
+        els.overdueBody.innerHTML = data.map(l => `
+          <tr class="overdue">
+            <td>${escapeHtml(l.title ?? l.bookId)}</td>
+            <td>${escapeHtml(l.borrower)}</td>
+            <td>${new Date(l.dueAt).toLocaleDateString()}</td>
+            <td>${l.daysOverdue}</td>
+          </tr>`).join('');
+        els.overdueDialog.showModal();
+    } catch (err) {
+        showToast('Overdue report failed: ' + err.message, 'error');
+    }
+}
+els.overdueBtn.addEventListener('click', showOverdue);
+
+/* ------------------------------ Merge conflicts ---------------------------- */
+const mergeFields = () => formFields().map(f => f.name);
+
+// Empty string, null, missing and [] all mean "no value" for comparison purposes.
+function normValue(v) {
+    if (v == null || v === '' || (Array.isArray(v) && !v.length)) return null;
+    return JSON.stringify(v);
+}
+
+// Three-way merge of one record: fields changed on only one side merge automatically,
+// fields both sides changed differently are returned as conflicts.
+function threeWayMerge(base, mine, theirs) {
+    const merged = {}, conflicts = [];
+    for (const f of mergeFields()) {
+        const b = normValue(base[f]), m = normValue(mine[f]), t = normValue(theirs[f]);
+        if (m === b || m === t) merged[f] = theirs[f];
+        else if (t === b) merged[f] = mine[f];
+        else conflicts.push(f);
+    }
+    return { merged, conflicts };
+}
+
+async function resolveConflict(id, patch, current) {
+    // The base is the revision the user loaded. Without it every differing field is a conflict.
+    let base = {};
+    try { ({ data: base } = await api('GET', `/${encodeURIComponent(id)}/revisions/${patch.version}`)); }
+    catch { /* no base available */ }
+    const mine = { ...base, ...patch };
+    const { merged, conflicts } = threeWayMerge(base, mine, current);
+
+    els.mergeMsg.textContent = conflicts.length
+        ? `Version ${current.version} was saved while you were editing version ${patch.version}. Pick a value for each highlighted field.`
+        : `Version ${current.version} was saved while you were editing. Your changes merge cleanly.`;
+    els.mergeBody.innerHTML = mergeFields().map(f => {
+        if (!conflicts.includes(f)) {
+            const cell = (v) => `<td class="${normValue(v) === normValue(merged[f]) ? 'picked' : ''}">${formatValue(v)}</td>`;
+            return `<tr><td>${f}</td>${cell(base[f])}${cell(mine[f])}${cell(current[f])}</tr>`;
+        }
+        return `
+        <tr class="conflict">
+          <td>${f}</td>
+          <td>${formatValue(base[f])}</td>
+          <td><label><input type="radio" name="pick-${f}" value="mine" checked />${formatValue(mine[f])}</label></td>
+          <td><label><input type="radio" name="pick-${f}" value="theirs" />${formatValue(current[f])}</label></td>
+        </tr>
+      `;
+    }).join('');
+
+    els.mergeDialog.returnValue = '';
+    els.mergeDialog.showModal();
+    els.mergeDialog.addEventListener('close', async () => {
+        if (els.mergeDialog.returnValue !== 'apply') {
+            els.formMsg.textContent = `Merge cancelled; server is at version ${current.version}.`;
+            return;
+        }
+        for (const f of conflicts) {
+            const pick = els.mergeBody.querySelector(`input[name="pick-${f}"]:checked`).value;
+            merged[f] = pick === 'mine' ? mine[f] : current[f];
+        }
+        fillForm({ ...current, ...merged });
+        els.updateBtn.click();
+    }, { once: true });
+}
+
+/* ------------------------------ Revision history --------------------------- */
+function formatValue(v) {
+    if (v == null || v === '') return '∅';
+    return escapeHtml(Array.isArray(v) ? v.join(', ') : v);
+}
+
+function historyItemTemplate(rev, current) {
+    const diff = rev.changes.map(c =>
+        `<li><strong>${c.field}</strong>: <del>${formatValue(c.from)}</del> → <ins>${formatValue(c.to)}</ins></li>`
+    ).join('') || '<li class="muted">No field changes</li>';
+    const revert = rev.version === current ? '' : `<button type="button" data-revert="${rev.version}" data-requires="editor">Revert to this</button>`;
+    return `
+    <li value="${rev.version}">
+      <div class="rev-head"><strong>v${rev.version}</strong><span class="muted">${new Date(rev.updatedAt).toLocaleString()}</span>${revert}</div>
+      <ul class="diff">${diff}</ul>
+    </li>
+  `;
+}
+
+async function loadHistory(id) {
+    try {
+        const { data } = await api('GET', `/${encodeURIComponent(id)}/revisions`);
+        const current = data[data.length - 1]?.version;
+        els.historyList.innerHTML = data.slice().reverse().map(r => historyItemTemplate(r, current)).join('');
+        els.history.dataset.id = id;
+        els.history.hidden = false;
+    } catch {
+        els.history.hidden = true;
+    }
+}
+
+els.historyList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-revert]');
+    if (!btn) return;
+    const id = els.history.dataset.id;
+    const toVersion = Number(btn.dataset.revert);
+    if (!confirm(`Revert ${id} to version ${toVersion}? This creates a new version.`)) return;
+    try {
+        const { data } = await api('POST', `/${encodeURIComponent(id)}/revert`, { toVersion, version: Number(els.version.value || 0) });
+        fillForm(data);
+        showToast(`Reverted to v${toVersion} as version ${data.version}`, 'success');
+        refresh(); refreshStats(); loadHistory(id);
+    } catch (err) {
+        showToast('Revert failed: ' + err.message, 'error');
     }
 });
 
+els.form.addEventListener('reset', () => { els.history.hidden = true; });
+
 function collectPayload({ partial = false } = {}) {
-    const tags = (els.tags.value || '')
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
-    const payload = {
-        id: els.id.value.trim() || undefined,
-        title: els.title.value.trim(),
-        author: els.author.value.trim() || undefined,
-        year: els.year.value ? Number(els.year.value) : undefined,
-        rating: els.rating.value ? Number(els.rating.value) : undefined,
-        tags: tags.length ? tags : undefined
-    };
+    const payload = { id: els.id.value.trim() || undefined };
+    for (const f of formFields()) {
+        const raw = els.form.elements[f.name].value.trim();
+        if (f.type === 'array') {
+            const items = raw.split(',').map(s => s.trim()).filter(Boolean);
+            payload[f.name] = items.length ? items : undefined;
+        } else if (f.type === 'integer' || f.type === 'number') {
+            payload[f.name] = raw ? Number(raw) : undefined;
+        } else if (f.type === 'datetime') {
+            payload[f.name] = raw ? new Date(raw).toISOString() : undefined;
+        } else {
+            payload[f.name] = raw || undefined;
+        }
+    }
+    // As a merge patch: emptied fields are sent as null, which clears them.
     if (partial) {
-        Object.keys(payload).forEach(k => (payload[k] === undefined || k === 'id') && delete payload[k]);
+        delete payload.id;
+        Object.keys(payload).forEach(k => payload[k] === undefined && (payload[k] = null));
     }
     return payload;
 }
@@ -293,43 +970,39 @@ els.themeToggle.addEventListener('click', () => {
 });
 
 /* ------------------------------- Export/Import ----------------------------- */
-els.exportBtn.addEventListener('click', async () => {
+// Exports stream from the server, so the current filter applies with no page cap.
+els.exportBtn.addEventListener('click', () => {
     const params = new URLSearchParams({
-        q: state.q, sort: state.sort, dir: state.dir, limit: 1000, offset: 0
+        q: state.q, sort: state.sort, dir: state.dir, format: els.exportFormat.value
     });
-    try {
-        const { data } = await api('GET', '?' + params.toString());
-        const blob = new Blob([JSON.stringify({ items: data }, null, 2)], { type: 'application/json' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'books-export.json';
-        document.body.appendChild(a);
-        a.click();
-        URL.revokeObjectURL(a.href);
-        a.remove();
-    } catch (e) {
-        showToast('Export failed: ' + e.message, 'error');
-    }
+    if (state.availability) params.set('availability', state.availability);
+    const a = document.createElement('a');
+    a.href = `${apiBase()}/export?${params.toString()}`;
+    a.download = '';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
 });
 
+const IMPORT_FORMATS = { json: 'json', csv: 'csv', ndjson: 'ndjson', jsonl: 'ndjson', bib: 'bibtex' };
+const importFields = () => [...schema().fields.filter(f => !f.readOnly).map(f => f.name), 'version'];
+
+// Import runs as a dry run first; the per-item report is shown as a preview and the
+// same request is resent without dryRun when the user commits.
+const importState = { format: null, data: null, columns: {} };
+
 els.importInput.addEventListener('change', async () => {
     const file = els.importInput.files[0];
     if (!file) return;
     try {
-        const text = await file.text();
-        const parsed = JSON.parse(text);
-        const items = Array.isArray(parsed) ? parsed : parsed.items;
-        if (!Array.isArray(items)) throw new Error('Invalid format: expected { items: [...] }');
-        const mode = confirm('Import will REPLACE all books? Click OK to replace, Cancel to append.')
-            ? 'replace' : 'append';
-        const res = await fetch('/api/books/bulk', {
-            method: 'POST', headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ items, mode })
-        });
-        const json = await res.json();
-        if (!res.ok || json.ok === false) throw new Error(json?.error?.message || 'Import failed');
-        showToast(`Imported ${json.data.length} item(s) (${mode}).`, 'success');
-        refresh(); refreshStats();
+        const format = IMPORT_FORMATS[file.name.split('.').pop().toLowerCase()];
+        if (!format) throw new Error('Unsupported file type; use .json, .csv, .ndjson or .bib');
+        Object.assign(importState, { format, data: await file.text(), columns: {} });
+        els.importMode.value = 'append';
+        els.importMode.querySelector('option[value="replace"]').disabled = state.user?.role !== 'admin';
+        els.importDialog.returnValue = '';
+        els.importDialog.showModal();
+        await previewImport();
     } catch (e) {
         showToast('Import error: ' + e.message, 'error');
     } finally {
@@ -337,10 +1010,306 @@ els.importInput.addEventListener('change', async () => {
     }
 });
 
+function importRequest(dryRun) {
+    const { format, data, columns } = importState;
+    return { format, data, columns, mode: els.importMode.value, atomic: els.importAtomic.checked, dryRun };
+}
+
+// CSV only: one select per header so spreadsheet columns can be mapped onto fields.
+function renderColumnMapping(columns) {
+    els.importColumns.hidden = !columns;
+    if (!columns) return;
+    const options = (selected) => ['', ...importFields()].map(f =>
+        `<option value="${f}" ${f === (selected || '') ? 'selected' : ''}>${f || '(ignore)'}</option>`).join('');
+    els.importColumns.innerHTML = Object.entries(columns).map(([header, field]) => `
+      <div class="row">
+        <label>${escapeHtml(header)}</label>
+        <select data-column="${escapeHtml(header)}">${options(field)}</select>
+      </div>
+    `).join('');
+}
+
+els.importColumns.addEventListener('change', (e) => {
+    const sel = e.target.closest('select[data-column]');
+    if (!sel) return;
+    importState.columns[sel.dataset.column] = sel.value || null;
+    previewImport();
+});
+
+function renderImportReport(report, meta) {
+    const c = meta.counts;
+    els.importSummary.textContent = `${c.created} to create, ${c.updated} to update, ${c.skipped} unchanged, ${c.failed} failing`
+        + (c.deleted ? `, ${c.deleted} existing book(s) moved to the trash` : '')
+        + (meta.possibleDuplicates ? `, ${meta.possibleDuplicates} possible duplicate(s)` : '') + '.';
+    const rows = report.filter(r => (r.status !== 'created' && r.status !== 'skipped') || r.warnings);
+    els.importReport.innerHTML = rows.map(r => {
+        const detail = r.status === 'failed'
+            ? `${escapeHtml(r.error.message)}${Array.isArray(r.error.details) ? ': ' + escapeHtml(r.error.details.join('; ')) : ''}`
+            : [r.changes && `changes ${escapeHtml(r.changes.join(', '))}`, ...(r.warnings || []).map(w => escapeHtml(w.message))].filter(Boolean).join(' · ');
+        return `<tr class="${r.status}${r.warnings ? ' duplicate' : ''}"><td>#${r.index + 1}</td><td>${escapeHtml(r.id ?? '—')}</td><td>${r.status}</td><td>${detail}</td></tr>`;
+    }).join('') || '<tr><td colspan="4" class="muted">Nothing to flag.</td></tr>';
+    els.importCommit.disabled = (meta.atomic && c.failed > 0) || c.failed === report.length;
+}
+
+async function previewImport() {
+    els.importSummary.textContent = 'Checking…';
+    els.importReport.innerHTML = '';
+    els.importCommit.disabled = true;
+    try {
+        const { data, meta } = await api('POST', '/bulk', importRequest(true));
+        renderColumnMapping(meta.columns);
+        renderImportReport(data, meta);
+    } catch (e) {
+        els.importSummary.textContent = 'Preview failed: ' + e.message;
+    }
+}
+
+els.importMode.addEventListener('change', previewImport);
+els.importAtomic.addEventListener('change', previewImport);
+
+els.importDialog.addEventListener('close', async () => {
+    if (els.importDialog.returnValue !== 'commit') return;
+    try {
+        const { meta } = await api('POST', '/bulk', importRequest(false));
+        const c = meta.counts;
+        showToast(`Imported: ${c.created} created, ${c.updated} updated, ${c.skipped} skipped, ${c.failed} failed (${meta.mode}).`, c.failed ? 'error' : 'success');
+        refresh(); refreshStats();
+    } catch (e) {
+        showToast('Import error: ' + e.message, 'error');
+    } finally {
+        Object.assign(importState, { format: null, data: null, columns: {} });
+    }
+});
+
+/* --------------------------------- Offline -------------------------------- */
+// sw.js keeps the shell and the last-seen pages readable while the server is down.
+// Creates, updates and deletes made meanwhile wait in an IndexedDB outbox and are
+// replayed in order once it answers again. A replayed update that meets a newer
+// version opens the merge dialog, as it would have online.
+
+const outbox = (() => {
+    let db;
+    const open = () => db || (db = new Promise((resolve, reject) => {
+        const req = indexedDB.open('library', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }));
+    const run = async (mode, fn) => {
+        const tx = (await open()).transaction('outbox', mode);
+        const req = fn(tx.objectStore('outbox'));
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+    return {
+        add: (entry) => run('readwrite', s => s.add(entry)),
+        all: () => run('readonly', s => s.getAll()),       // in seq (= queued) order
+        count: () => run('readonly', s => s.count()),
+        remove: (seq) => run('readwrite', s => s.delete(seq)),
+        clear: () => run('readwrite', s => s.clear()),
+    };
+})();
+
+// Creates (POST /api/:collection), updates and deletes (PATCH/DELETE /api/:collection/:id)
+// on collections the user edits directly. Lending actions need the server's answer.
+function queueable(method, path, base) {
+    const col = state.schemas.find(c => base === `${API_ROOT}/${c.name}`);
+    if (!col || col.managed) return false;
+    return method === 'POST' ? path === '' : ['PATCH', 'DELETE'].includes(method) && /^\/[^/?]+$/.test(path);
+}
+
+async function enqueue(method, path, body, base, etag) {
+    await outbox.add({ method, path, body: body ?? null, base, etag: etag ?? null, queuedAt: new Date().toISOString() });
+    renderHealth();
+    return { ok: true, queued: true, data: { ...body } };
+}
+
+function setOffline(offline) {
+    if (state.offline === offline) return;
+    state.offline = offline;
+    renderHealth();
+    if (!offline) syncOutbox();
+}
+
+let syncing = null;
+function syncOutbox() {
+    return syncing || (syncing = replayOutbox().finally(() => { syncing = null; state.syncing = false; renderHealth(); }));
+}
+
+async function replayOutbox() {
+    const entries = await outbox.all().catch(() => []);
+    if (!entries.length) return;
+    state.syncing = true;
+    renderHealth();
+    let sent = 0, failed = 0, merging = false;
+    for (const entry of entries) {
+        try {
+            await api(entry.method, entry.path, entry.body ?? undefined, entry.base, { queue: false, etag: entry.etag });
+            sent++;
+        } catch (err) {
+            // Still unreachable, or signed out: keep this entry and everything after it.
+            if (err.code === 'OFFLINE' || err.status === 401) break;
+            failed++;
+            const id = entry.body?.id || decodeURIComponent(entry.path.slice(1));
+            const conflict = ['VERSION_CONFLICT', 'PRECONDITION_FAILED'].includes(err.code) && err.details?.current;
+            if (conflict && entry.method === 'PATCH' && entry.base === apiBase() && !merging) {
+                merging = true;   // one dialog at a time; later conflicts are reported below
+                state.etag = { id, value: err.details.etag ?? null };
+                resolveConflict(id, entry.body, err.details.current);
+            } else {
+                showToast(`Offline change to "${id}" was not applied: ${err.message}`, 'error');
+            }
+        }
+        await outbox.remove(entry.seq);
+        renderHealth();
+    }
+    if (sent) {
+        if (!failed) showToast(`Synced ${sent} offline change${sent === 1 ? '' : 's'}.`, 'success');
+        refresh(); refreshStats();
+    }
+}
+
+window.addEventListener('online', refreshHealth);
+window.addEventListener('offline', () => setOffline(true));
+
+/* ------------------------------- Live updates ------------------------------ */
+// Patches visible rows from the server's change feed. Creates and bulk imports can move
+// rows between pages, so those re-query the current page instead. Changes to other
+// collections only refresh the stats.
+let feed;
+let feedTimer;
+function scheduleRefresh({ list = true } = {}) {
+    clearTimeout(feedTimer);
+    feedTimer = setTimeout(() => { if (list) refresh(); refreshStats(); }, 300);
+}
+
+function patchRow(record) {
+    const tr = els.tbody.querySelector(`tr[data-id="${CSS.escape(record.id)}"]`);
+    if (!tr) return false;
+    delete state.highlights[record.id];   // offsets were for the old text
+    const tpl = document.createElement('template');
+    tpl.innerHTML = rowTemplate(record).trim();
+    const row = tpl.content.firstElementChild;
+    row.classList.add('flash');
+    tr.replaceWith(row);
+    return true;
+}
+
+function removeRow(id) {
+    els.tbody.querySelector(`tr[data-id="${CSS.escape(id)}"]`)?.remove();
+}
+
+// Warns when the record open in the form changes underneath the user.
+function warnIfEditing(type, { id, record, by }) {
+    if (els.id.value.trim() !== id || state.saving === id) return;
+    if (type === 'updated' && record.version <= Number(els.version.value || 0)) return;
+    const who = by ? ` by ${by}` : '';
+    const msg = type === 'deleted'
+        ? `"${id}" was deleted${who} while you were editing it.`
+        : `"${id}" was changed${who} (now version ${record.version}). Updating will open the merge view.`;
+    els.formMsg.textContent = '⚠️ ' + msg;
+    showToast(msg, 'error');
+}
+
+function connectFeed() {
+    if (feed) feed.close();
+    feed = new EventSource(API_EVENTS);
+    const visible = (data) => data.collection === state.collection;
+    // The feed reconnects on its own; use it to notice the server going away and coming back.
+    feed.addEventListener('open', () => { if (state.offline) refreshHealth(); });
+    feed.addEventListener('error', () => { if (!state.offline) refreshHealth(); });
+    feed.addEventListener('created', (e) => scheduleRefresh({ list: visible(JSON.parse(e.data)) }));
+    feed.addEventListener('updated', (e) => {
+        const data = JSON.parse(e.data);
+        if (!visible(data)) return scheduleRefresh({ list: false });
+        // Trashing or restoring moves the record between the live list and the trash.
+        if (!!data.record.deletedAt !== state.trash) {
+            if (data.record.deletedAt) warnIfEditing('deleted', data);
+            removeRow(data.id);
+            return scheduleRefresh();
+        }
+        warnIfEditing('updated', data);
+        scheduleRefresh({ list: !patchRow(data.record) });
+    });
+    feed.addEventListener('deleted', (e) => {
+        const data = JSON.parse(e.data);
+        if (!visible(data)) return scheduleRefresh({ list: false });
+        warnIfEditing('deleted', data);
+        removeRow(data.id);
+        scheduleRefresh();
+    });
+    feed.addEventListener('bulk', (e) => scheduleRefresh({ list: visible(JSON.parse(e.data)) }));
+    feed.addEventListener('reset', () => scheduleRefresh());
+}
+
+/* ---------------------------------- Auth ----------------------------------- */
+// Role-gated controls carry data-requires="editor|admin"; CSS hides them based on body[data-role].
+function setUser(user) {
+    state.user = user;
+    if (user) document.body.dataset.role = user.role;
+    else delete document.body.dataset.role;
+    els.userInfo.textContent = user ? `${user.username} (${user.role})` : '';
+    // Remembered so the app can open offline, when /api/auth/me can't be asked.
+    if (user) localStorage.setItem('user', JSON.stringify(user));
+    els.login.hidden = !!user;
+    if (user) connectFeed();
+    else if (feed) { feed.close(); feed = null; }
+}
+
+function showLogin() {
+    setUser(null);
+    els.loginPassword.value = '';
+    els.loginUsername.focus();
+}
+
+els.loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const { data } = await api('POST', '/login', {
+            username: els.loginUsername.value.trim(),
+            password: els.loginPassword.value
+        }, API_AUTH);
+        els.loginMsg.textContent = '';
+        setUser(data);
+        loadApp();
+    } catch (err) {
+        els.loginMsg.textContent = err.message;
+    }
+});
+
+// Signing out drops this user's offline data: cached pages and any unsent changes.
+els.logoutBtn.addEventListener('click', async () => {
+    const pending = await outbox.count().catch(() => 0);
+    if (pending && !confirm(`${pending} offline change${pending === 1 ? ' has' : 's have'} not been sent yet. Sign out and discard ${pending === 1 ? 'it' : 'them'}?`)) return;
+    await api('POST', '/logout', undefined, API_AUTH).catch(() => {});
+    await outbox.clear().catch(() => {});
+    if (window.caches) await caches.delete('api-v1');
+    localStorage.removeItem('user');
+    showLogin();
+    renderHealth();
+});
+
 /* --------------------------------- Init ----------------------------------- */
 function initSortUI() { updateSortIndicators(); }
+async function loadApp() {
+    try { await loadSchema(); }
+    catch (e) { return showToast('Schema load failed: ' + e.message, 'error'); }
+    await Promise.all([refresh(), refreshStats(), refreshHealth()]);
+}
 async function init() {
     initSortUI();
-    await Promise.all([refresh(), refreshStats(), refreshHealth()]);
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {});
+    try {
+        const { data } = await api('GET', '/me', undefined, API_AUTH);
+        setUser(data);
+        await loadApp();
+    } catch (err) {
+        const saved = JSON.parse(localStorage.getItem('user') || 'null');
+        if (err.code !== 'OFFLINE' || !saved) return showLogin();
+        setUser(saved);
+        await loadApp();
+    }
 }
 init();
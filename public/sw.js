@@ -0,0 +1,60 @@
+// sw.js — Service worker: keeps the app usable offline.
+// The app shell and the last-seen API pages are served network-first, falling back to
+// the cache when the server can't be reached. Writes are not handled here: app.js
+// queues them in its IndexedDB outbox and replays them once the server is back.
+
+const SHELL_CACHE = 'shell-v2';
+const API_CACHE = 'api-v1';
+const SHELL = ['/', '/index.html', '/app.js', '/api-client.mjs', '/styles.css'];
+const API_CACHE_MAX = 100;      // cached API responses kept (oldest dropped first)
+// Never cached: the change feed, sessions, exports (downloads) and admin endpoints.
+const UNCACHED = /^\/api\/(events|auth|admin|health)\b|\/export$/;
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => {
+    const keep = [SHELL_CACHE, API_CACHE];
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+async function trim(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - API_CACHE_MAX, 0)).map(k => cache.delete(k)));
+}
+
+// Network first; a cached copy is marked with X-Offline-Cache so the page can say it is
+// showing stale data.
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(request);
+        if (res.ok) {
+            await cache.put(request, res.clone());
+            if (cacheName === API_CACHE) trim(cache);
+        }
+        return res;
+    } catch {
+        const hit = await cache.match(request) || (request.mode === 'navigate' && await cache.match('/index.html'));
+        if (!hit) {
+            return new Response(JSON.stringify({ ok: false, error: { code: 'OFFLINE', message: 'Offline, and this page has not been loaded before' } }),
+                { status: 503, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+        }
+        const headers = new Headers(hit.headers);
+        headers.set('X-Offline-Cache', '1');
+        return new Response(hit.body, { status: hit.status, headers });
+    }
+}
+
+self.addEventListener('fetch', (e) => {
+    const url = new URL(e.request.url);
+    if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/')) {
+        if (!UNCACHED.test(url.pathname)) e.respondWith(networkFirst(e.request, API_CACHE));
+        return;
+    }
+    e.respondWith(networkFirst(e.request, SHELL_CACHE));
+});
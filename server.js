@@ -1,342 +1,535 @@
 /**
  * server.js — Professional Client–Server demo (no external deps).
- * Features: REST API, search/sort/pagination, ETag/304, optimistic concurrency,
- * bulk import, stats, atomic persistence, basic rate limiting, access logs, CORS.
+ * The HTTP routes, the request pipeline (request ids, CORS, auth, rate limits, request
+ * validation) and the CLI. Everything else is in lib/:
+ *   helpers, collections  response envelopes and errors; the collection schemas
+ *   log                   JSON logs and Prometheus metrics
+ *   storage               journal, snapshots, point-in-time restore, json and log backends
+ *   records               CRUD, conditional writes and patches, revisions, the trash
+ *   search, query         full-text index; filter language, sorting, pagination, facets
+ *   circulation           loans and holds
+ *   bulk, duplicates      bulk import, edit and delete; duplicate detection and merge
+ *   formats               CSV, NDJSON and BibTeX
+ *   auth, ratelimit       users, sessions and API tokens; token buckets
+ *   feed, webhooks        SSE change feed; signed webhook deliveries
+ *   openapi, static       OpenAPI document and generated client; the public/ file server
  *
- * Run:
- *   node server.js
- * Visit:
- *   http://localhost:8080
+ * Run:  node server.js                               (STORAGE=json|log picks the backend)
+ *       node server.js migrate --from json --to log  (copy the catalog between backends)
+ *       node server.js generate-client               (rewrite public/api-client.mjs)
+ * Test: npm test
+ * The first start creates user "admin" (password in admin-password.txt, or ADMIN_PASSWORD).
  */
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 const crypto = require('crypto');
+const { ok, err, nowISO, decodeSegment, sendJSON, etagOf, maybe304, readBody } = require('./lib/helpers');
+const { COLLECTIONS, getCollection, publicSchema } = require('./lib/collections');
+const { log, metrics, METRICS_TOKEN, STARTED, observe, elapsed, routeLabel, renderMetrics } = require('./lib/log');
+const { store, db, isOpen, ensureDataFile, journal, snapshot, readJournal, listSnapshots, readiness, migrateStorage, restoreTo } = require('./lib/storage');
+const { buildSearchIndexes, highlights } = require('./lib/search');
+const { WEBHOOK_TICK, webhookStore, flushWebhooks, hookOrFail, publicHook, createWebhook, updateWebhook, deleteWebhook, dispatchWebhooks, pingWebhook, redeliver, listDeliveries } = require('./lib/webhooks');
+const { publish, openEventStream } = require('./lib/feed');
+const { RATE_SWEEP_INTERVAL, clientIp, rateLimit, sweepBuckets, saveRateState, loadRateState, rateLimitState, resetRateLimits } = require('./lib/ratelimit');
+const { SESSION_SWEEP_INTERVAL, loadUsers, listUsers, authenticate, sweepSessions, requireRole, login, logout, createUser, updateUser, deleteUser, createToken, listTokens, revokeToken } = require('./lib/auth');
+const { findRecord, notFoundError, findOrFail, createRecord, replaceRecord, deleteRecord, PATCH_TYPES, checkIfMatch, patchType, patchHasVersion, patchRecord, recordRevisions, getRevision, diffRecords, revertRecord, PURGE_INTERVAL, trashRecord, restoreRecord, purgeTrash } = require('./lib/records');
+const { applyQuery, paginationLinks, catalogStats } = require('./lib/query');
+const { holdQueue, checkout, returnBook, renewLoan, placeHold, cancelHold, requireUnmanaged, overdueLoans } = require('./lib/circulation');
+const { liveBooks, duplicateIndex, duplicateCandidates, duplicateWarning, duplicateReport, mergeBooks } = require('./lib/duplicates');
+const { bulkImport, bulkPatch, bulkDelete } = require('./lib/bulk');
+const { parseImport, streamExport } = require('./lib/formats');
+const { SECURITY_HEADERS, serveStatic } = require('./lib/static');
+const { CLIENT_PATH, OPENAPI, findOperation, validateRequest, clientOperations, clientSource, clientIsCurrent } = require('./lib/openapi');
 
-/* --------------------------------- Helpers -------------------------------- */
-const ok = (data, meta) => ({ ok: true, data, meta });
-const err = (message, code = 'BAD_REQUEST', details) => ({ ok: false, error: { code, message, details }});
-const nowISO = () => new Date().toISOString();
-const sha = (s) => crypto.createHash('sha1').update(s).digest('hex');
-
-function sendJSON(res, status, payload, etag) {
-    const body = JSON.stringify(payload, null, 2);
-    const headers = {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Cache-Control': 'no-store'
-    };
-    if (etag) headers['ETag'] = etag;
-    res.writeHead(status, headers);
-    res.end(body);
-}
-
-function maybe304(req, res, compute) {
-    const { body, etag } = compute();
-    if (req.headers['if-none-match'] && req.headers['if-none-match'] === etag) {
-        res.writeHead(304, { 'ETag': etag, 'Cache-Control': 'no-store' });
-        res.end();
-        return true;
-    }
-    sendJSON(res, 200, body, etag);
-    return true;
-}
-
-function contentType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    return ({
-        '.html': 'text/html; charset=utf-8',
-        '.css' : 'text/css; charset=utf-8',
-        '.js'  : 'application/javascript; charset=utf-8',
-        '.json': 'application/json; charset=utf-8',
-        '.ico' : 'image/x-icon',
-        '.svg' : 'image/svg+xml',
-    })[ext] || 'application/octet-stream';
-}
+/* --------------------------------- Server --------------------------------- */
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+const PUBLIC_ROUTES = new Set(['/api/health', '/api/health/live', '/api/health/ready', '/api/auth/login', '/api/auth/logout', '/api/openapi.json']);
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
 
-function sendFile(res, filePath) {
-    try {
-        const data = fs.readFileSync(filePath);
-        res.writeHead(200, { 'Content-Type': contentType(filePath), 'Cache-Control': 'no-store' });
-        res.end(data);
-    } catch {
-        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-        res.end('Not found');
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const method = req.method.toUpperCase();
+    const ip = clientIp(req);
+    const start = process.hrtime.bigint();
+
+    // Tracing: a well-formed incoming X-Request-Id is kept, otherwise one is made up. It is
+    // echoed in the response, in error payloads and in the log line.
+    const requestId = REQUEST_ID.test(req.headers['x-request-id'] || '') ? req.headers['x-request-id'] : crypto.randomUUID();
+    res.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    for (const [name, value] of Object.entries(SECURITY_HEADERS)) res.setHeader(name, value);
+
+    // CORS: only origins listed in CORS_ORIGINS (comma-separated) may call the API cross-site.
+    const origin = req.headers.origin;
+    if (origin && CORS_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, If-None-Match, Authorization, X-Request-Id');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag, Link, Accept-Patch, X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy');
     }
-}
+    if (method === 'OPTIONS') return res.end();
 
-function readBody(req) {
-    return new Promise((resolve, reject) => {
-        const lim = 1e6; // ~1MB
-        let size = 0;
-        const chunks = [];
-        req.on('data', c => {
-            size += c.length;
-            if (size > lim) { req.destroy(); reject(new Error('Payload too large')); }
-            chunks.push(c);
-        });
-        req.on('end', () => {
-            const raw = Buffer.concat(chunks).toString('utf-8');
-            if (!raw) return resolve({});
-            try { resolve(JSON.parse(raw)); }
-            catch (e) { reject(new Error('Invalid JSON body')); }
+    // Rate limit (per API token when there is one, so the caller is resolved first)
+    const user = authenticate(req);
+
+    // Access log and metrics, once the response is done (or the client went away).
+    let bytes = 0;
+    const { write, end } = res;
+    res.write = function (chunk, ...rest) { if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk); return write.call(this, chunk, ...rest); };
+    res.end = function (chunk, ...rest) { if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk); return end.call(this, chunk, ...rest); };
+    res.once('close', () => {
+        const seconds = elapsed(start);
+        const route = routeLabel(url.pathname);
+        const key = JSON.stringify([method, route, res.statusCode]);
+        metrics.requests.set(key, (metrics.requests.get(key) || 0) + 1);
+        observe(metrics.latency, [method, route], seconds);
+        log(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+            requestId, method, path: url.pathname, query: url.search || undefined, route, status: res.statusCode,
+            ms: Math.round(seconds * 1e4) / 10, bytes, user: user?.username ?? null, ip,
+            ...(res.writableFinished ? {} : { aborted: true })
         });
-        req.on('error', reject);
     });
-}
 
-/* ------------------------------- Persistence ------------------------------- */
-const DATA_PATH = path.join(__dirname, 'data.json');
-const PUBLIC_DIR = path.join(__dirname, 'public');
-
-function ensureDataFile() {
-    if (!fs.existsSync(DATA_PATH)) {
-        const seed = {
-            books: [
-                { id: 'b1', title: 'Clean Architecture', author: 'Robert C. Martin', year: 2017, rating: 4.6, tags: ['architecture'], createdAt: nowISO(), updatedAt: nowISO(), version: 1 },
-                { id: 'b2', title: 'Designing Data-Intensive Applications', author: 'Martin Kleppmann', year: 2017, rating: 4.8, tags: ['data','systems'], createdAt: nowISO(), updatedAt: nowISO(), version: 1 },
-                { id: 'b3', title: "You Don't Know JS Yet", author: 'Kyle Simpson', year: 2020, rating: 4.5, tags: ['javascript'], createdAt: nowISO(), updatedAt: nowISO(), version: 1 }
-            ]
-        };
-        fs.writeFileSync(DATA_PATH, JSON.stringify(seed, null, 2));
-        return seed;
-    }
-    return JSON.parse(fs.readFileSync(DATA_PATH, 'utf-8'));
-}
-let db = ensureDataFile();
-migrateDb(db);
-persist();
-
-function migrateDb(dbObj) {
-    let changed = false;
-    for (const b of dbObj.books) {
-        if (!Array.isArray(b.tags)) { b.tags = []; changed = true; }
-        if (!b.createdAt) { b.createdAt = nowISO(); changed = true; }
-        if (!b.updatedAt) { b.updatedAt = b.createdAt; changed = true; }
-        if (!Number.isInteger(b.version)) { b.version = 1; changed = true; }
+    const limited = rateLimit(res, method, url.pathname, user, ip);
+    if (limited) {
+        return sendJSON(res, 429, err(`Too many requests; retry in ${limited.retryAfter}s`, 'RATE_LIMIT', limited));
     }
-    return changed;
-}
 
-function atomicWrite(obj) {
-    const tmp = DATA_PATH + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
-    fs.renameSync(tmp, DATA_PATH);
-}
+    try {
+        // Every API route except health and login needs a signed-in user.
+        let m;
+        if (url.pathname.startsWith('/api/') && !PUBLIC_ROUTES.has(url.pathname)) requireRole(user, 'viewer');
 
-function persist() {
-    atomicWrite(db);
-}
+        // Requests to documented routes must match the OpenAPI document (query and JSON body).
+        const found = findOperation(method, url.pathname);
+        if (found) await validateRequest(found, req, res, url);
 
-/* ------------------------------- Rate limiting ----------------------------- */
-const HORIZON = 5 * 60 * 1000; // 5 minutes
-const LIMIT = 100; // requests per IP per horizon
-const ipHits = new Map();
-function rateLimited(ip) {
-    const now = Date.now();
-    const arr = ipHits.get(ip) || [];
-    while (arr.length && now - arr[0] > HORIZON) arr.shift();
-    arr.push(now);
-    ipHits.set(ip, arr);
-    return arr.length > LIMIT;
-}
+        // ---------------------- API routes ----------------------
+        // Liveness: the process is up. Readiness (also plain /api/health): it can serve and store data.
+        if (url.pathname === '/api/health/live' && method === 'GET') {
+            return sendJSON(res, 200, ok({ status: 'ok', uptime: (Date.now() - STARTED) / 1000, time: nowISO() }));
+        }
 
-/* ------------------------------- Business logic ---------------------------- */
-function findBook(id) {
-    return db.books.find(b => b.id === id);
-}
-function validateBook(input, { partial = false } = {}) {
-    const problems = [];
-    const out = {};
-    const fields = ['id','title','author','year','rating','tags','version'];
-    for (const k of fields) if (k in input) out[k] = input[k];
-
-    if (!partial) {
-        if (!out.title || typeof out.title !== 'string') problems.push('title is required (string)');
-    }
-    if ('year' in out && out.year != null) {
-        const n = Number(out.year); if (!Number.isInteger(n) || n < 0 || n > 3000) problems.push('year must be integer 0..3000'); else out.year = n;
-    }
-    if ('rating' in out && out.rating != null) {
-        const n = Number(out.rating); if (Number.isNaN(n) || n < 0 || n > 5) problems.push('rating must be 0..5'); else out.rating = Math.round(n * 10) / 10;
-    }
-    if ('tags' in out && out.tags != null) {
-        if (!Array.isArray(out.tags)) problems.push('tags must be an array of strings');
-        else out.tags = out.tags.map(t => String(t)).slice(0, 20);
-    }
-    return { ok: problems.length === 0, value: out, problems };
-}
+        if ((url.pathname === '/api/health' || url.pathname === '/api/health/ready') && method === 'GET') {
+            const r = readiness();
+            return sendJSON(res, r.status === 'ok' ? 200 : 503, ok(r));
+        }
 
-function createBook(input) {
-    const { ok: valid, value, problems } = validateBook(input);
-    if (!valid) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
-    if (value.id && findBook(value.id)) throw { code: 409, payload: err('ID already exists', 'CONFLICT') };
-    const id = value.id || ('b' + crypto.randomBytes(3).toString('hex'));
-    const now = nowISO();
-    const book = {
-        id, title: value.title, author: value.author || 'Unknown',
-        year: value.year ?? null, rating: value.rating ?? null, tags: value.tags || [],
-        createdAt: now, updatedAt: now, version: 1
-    };
-    db.books.push(book); persist();
-    return book;
-}
-function updateBook(id, patch) {
-    const b = findBook(id);
-    if (!b) throw { code: 404, payload: err('Book not found', 'NOT_FOUND') };
-    if (patch.version != null && Number(patch.version) !== b.version)
-        throw { code: 409, payload: err('Version conflict', 'VERSION_CONFLICT', { expected: b.version }) };
-    const { ok: valid, value, problems } = validateBook(patch, { partial: true });
-    if (!valid) throw { code: 400, payload: err('Validation failed', 'VALIDATION', problems) };
-    Object.assign(b, value);
-    b.updatedAt = nowISO();
-    b.version += 1;
-    persist();
-    return b;
-}
-function deleteBook(id) {
-    const i = db.books.findIndex(b => b.id === id);
-    if (i === -1) throw { code: 404, payload: err('Book not found', 'NOT_FOUND') };
-    const [removed] = db.books.splice(i, 1); persist();
-    return removed;
-}
+        if (url.pathname === '/metrics' && method === 'GET') {
+            if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+                return sendJSON(res, 401, err('Metrics token required', 'UNAUTHORIZED'));
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+            return res.end(renderMetrics());
+        }
 
-/* ------------------------------ Query helpers ----------------------------- */
-function applyQuery(list, url) {
-    const q = (url.searchParams.get('q') || '').toLowerCase();
-    const sort = url.searchParams.get('sort') || 'title';
-    const dir = (url.searchParams.get('dir') || 'asc').toLowerCase() === 'desc' ? -1 : 1;
-    const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 20), 1), 100);
-    const offset = Math.max(Number(url.searchParams.get('offset') || 0), 0);
-
-    let out = list;
-    if (q) {
-        out = out.filter(b =>
-            (b.title || '').toLowerCase().includes(q) ||
-            (b.author || '').toLowerCase().includes(q) ||
-            (b.id || '').toLowerCase().includes(q) ||
-            (Array.isArray(b.tags) ? b.tags.join(',') : '').toLowerCase().includes(q)
-        );
-    }
+        if (url.pathname === '/api/openapi.json' && method === 'GET') {
+            return maybe304(req, res, () => ({ body: OPENAPI, etag: etagOf(OPENAPI) }));
+        }
 
-    const sortable = new Set(['id','title','author','year','rating','createdAt','updatedAt']);
-    const s = sortable.has(sort) ? sort : 'title';
-    out = out.slice().sort((a,b) => {
-        const av = a[s] ?? '';
-        const bv = b[s] ?? '';
-        return av > bv ? dir : av < bv ? -dir : 0;
-    });
+        // ---------------------- Auth routes ----------------------
+        if (url.pathname === '/api/auth/login' && method === 'POST') {
+            return sendJSON(res, 200, ok(login(res, await readBody(req))));
+        }
 
-    const total = out.length;
-    out = out.slice(offset, offset + limit);
-    return { list: out, meta: { total, limit, offset, sort: s, dir: dir === 1 ? 'asc' : 'desc', q } };
-}
+        if (url.pathname === '/api/auth/logout' && method === 'POST') {
+            logout(req, res);
+            return sendJSON(res, 200, ok(null));
+        }
 
-/* --------------------------------- Server --------------------------------- */
-const server = http.createServer(async (req, res) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const method = req.method.toUpperCase();
-    const ip = req.socket.remoteAddress || 'unknown';
+        if (url.pathname === '/api/auth/me' && method === 'GET') {
+            return sendJSON(res, 200, ok(user));
+        }
 
-    // CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
-    if (method === 'OPTIONS') return res.end();
+        if (url.pathname === '/api/auth/tokens' && method === 'GET') {
+            return sendJSON(res, 200, ok(listTokens(user)));
+        }
 
-    // Access log
-    console.log(`${new Date().toISOString()} ${ip} ${method} ${url.pathname}${url.search}`);
+        if (url.pathname === '/api/auth/tokens' && method === 'POST') {
+            return sendJSON(res, 201, ok(createToken(user, await readBody(req))));
+        }
 
-    // Rate limit
-    if (rateLimited(ip)) {
-        return sendJSON(res, 429, err('Too many requests', 'RATE_LIMIT'));
-    }
+        m = url.pathname.match(/^\/api\/auth\/tokens\/([^/]+)$/);
+        if (m && method === 'DELETE') {
+            return sendJSON(res, 200, ok(revokeToken(user, decodeSegment(m[1]))));
+        }
 
-    try {
-        // ---------------------- API routes ----------------------
-        if (url.pathname === '/api/health' && method === 'GET') {
-            return sendJSON(res, 200, ok({ status: 'ok', time: nowISO() }));
+        if (url.pathname === '/api/users' && method === 'GET') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(listUsers()));
         }
 
-        if (url.pathname === '/api/stats' && method === 'GET') {
-            const count = db.books.length;
-            const rated = db.books.filter(b => b.rating != null);
-            const avgRating = rated.length ? Number((rated.reduce((s,b)=>s+(b.rating||0),0) / rated.length).toFixed(2)) : null;
-            const topAuthors = Object.entries(db.books.reduce((m,b)=>((m[b.author]= (m[b.author]||0)+1),m),{}))
-                .sort((a,b)=>b[1]-a[1]).slice(0,5).map(([author,count])=>({author,count}));
-            const topTags = Object.entries(db.books.flatMap(b=>b.tags||[]).reduce((m,t)=>((m[t]= (m[t]||0)+1),m),{}))
-                .sort((a,b)=>b[1]-a[1]).slice(0,5).map(([tag,count])=>({tag,count}));
-            return sendJSON(res, 200, ok({ count, avgRating, topAuthors, topTags }));
+        if (url.pathname === '/api/users' && method === 'POST') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 201, ok(createUser(await readBody(req))));
         }
 
-        if (url.pathname === '/api/books' && method === 'GET') {
-            return maybe304(req, res, () => {
-                const { list, meta } = applyQuery(db.books, url);
-                const body = ok(list, meta);
-                const etag = sha(JSON.stringify({ list, meta }));
-                return { body, etag };
-            });
+        m = url.pathname.match(/^\/api\/users\/([^/]+)$/);
+        if (m && method === 'PUT') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(updateUser(decodeSegment(m[1]), await readBody(req), req)));
         }
 
-        if (url.pathname.startsWith('/api/books/') && method === 'GET') {
-            const id = decodeURIComponent(url.pathname.split('/').pop());
-            const b = findBook(id);
-            if (!b) return sendJSON(res, 404, err('Not found', 'NOT_FOUND'));
+        if (m && method === 'DELETE') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(deleteUser(decodeSegment(m[1]), user)));
+        }
+
+        if (url.pathname === '/api/events' && method === 'GET') {
+            return openEventStream(req, res, url);
+        }
+
+        if (url.pathname === '/api/schema' && method === 'GET') {
             return maybe304(req, res, () => {
-                const body = ok(b);
-                const etag = sha(JSON.stringify(b));
-                return { body, etag };
+                const body = ok(Object.values(COLLECTIONS).map(publicSchema));
+                return { body, etag: etagOf(body) };
             });
         }
 
-        if (url.pathname === '/api/books' && method === 'POST') {
+        m = url.pathname.match(/^\/api\/schema\/([^/]+)$/);
+        if (m && method === 'GET') {
+            const schema = publicSchema(getCollection(decodeSegment(m[1])));
+            return maybe304(req, res, () => ({ body: ok(schema), etag: etagOf(schema) }));
+        }
+
+        if (url.pathname === '/api/stats' && method === 'GET') {
+            return sendJSON(res, 200, ok(catalogStats(url)));
+        }
+
+        // ---------------------- Admin routes ----------------------
+        if (url.pathname === '/api/admin/journal' && method === 'GET') {
+            requireRole(user, 'admin');
+            const since = Math.max(Number(url.searchParams.get('since') || 0), 0);
+            const limit = Math.min(Math.max(Number(url.searchParams.get('limit') || 100), 1), 1000);
+            const entries = readJournal().filter(e => e.seq > since).slice(0, limit);
+            return sendJSON(res, 200, ok(entries, { seq: db.seq, since, limit, snapshots: listSnapshots().map(s => s.seq) }));
+        }
+
+        if (url.pathname === '/api/admin/purge' && method === 'POST') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(purgeTrash(await readBody(req))));
+        }
+
+        if (url.pathname === '/api/admin/ratelimits' && method === 'GET') {
+            requireRole(user, 'admin');
+            const { items, meta } = rateLimitState(url);
+            return sendJSON(res, 200, ok(items, meta));
+        }
+
+        if (url.pathname === '/api/admin/ratelimits' && method === 'DELETE') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(resetRateLimits(url.searchParams.get('client'))));
+        }
+
+        if (url.pathname === '/api/admin/restore' && method === 'POST') {
+            requireRole(user, 'admin');
+            const result = restoreTo(await readBody(req));
+            return sendJSON(res, 200, ok(result));
+        }
+
+        // ---------------------- Webhook routes ----------------------
+        if (url.pathname === '/api/webhooks' && method === 'GET') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(webhookStore.hooks.map(publicHook)));
+        }
+
+        if (url.pathname === '/api/webhooks' && method === 'POST') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 201, ok(createWebhook(await readBody(req), user)));
+        }
+
+        m = url.pathname.match(/^\/api\/webhooks\/([^/]+)$/);
+        if (m && method === 'GET') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(publicHook(hookOrFail(decodeSegment(m[1])))));
+        }
+
+        if (m && method === 'PATCH') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(updateWebhook(decodeSegment(m[1]), await readBody(req))));
+        }
+
+        if (m && method === 'DELETE') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(deleteWebhook(decodeSegment(m[1]))));
+        }
+
+        m = url.pathname.match(/^\/api\/webhooks\/([^/]+)\/ping$/);
+        if (m && method === 'POST') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(await pingWebhook(decodeSegment(m[1]))));
+        }
+
+        m = url.pathname.match(/^\/api\/webhooks\/([^/]+)\/deliveries$/);
+        if (m && method === 'GET') {
+            requireRole(user, 'admin');
+            const { items, meta } = listDeliveries(decodeSegment(m[1]), url);
+            return sendJSON(res, 200, ok(items, meta));
+        }
+
+        m = url.pathname.match(/^\/api\/webhooks\/([^/]+)\/deliveries\/([^/]+)\/retry$/);
+        if (m && method === 'POST') {
+            requireRole(user, 'admin');
+            return sendJSON(res, 200, ok(redeliver(decodeSegment(m[1]), decodeSegment(m[2]))));
+        }
+
+        // ------------------- Duplicate routes -------------------
+        if (url.pathname === '/api/books/duplicates' && method === 'GET') {
+            const { items, meta } = duplicateReport(url);
+            return sendJSON(res, 200, ok(items, meta));
+        }
+
+        if (url.pathname === '/api/books/merge' && method === 'POST') {
+            requireRole(user, 'editor');
+            const { record, meta } = mergeBooks(await readBody(req), user);
+            if (!meta.dryRun) publish('bulk', { collection: 'books', op: 'merge', target: meta.target, ids: [meta.target, ...meta.sources], by: user.username }, db.seq);
+            return sendJSON(res, 200, ok(record, meta));
+        }
+
+        // ------------------- Circulation routes -------------------
+        m = url.pathname.match(/^\/api\/books\/([^/]+)\/(checkout|return)$/);
+        if (m && method === 'POST') {
+            requireRole(user, 'editor');
+            const id = decodeSegment(m[1]);
             const body = await readBody(req);
-            const created = createBook(body);
-            return sendJSON(res, 201, ok(created));
+            const result = m[2] === 'checkout' ? checkout(id, body, user) : returnBook(id, body, user);
+            return sendJSON(res, m[2] === 'checkout' ? 201 : 200, ok(result));
+        }
+
+        m = url.pathname.match(/^\/api\/books\/([^/]+)\/holds$/);
+        if (m && method === 'GET') {
+            const id = decodeSegment(m[1]);
+            if (!findRecord(COLLECTIONS.books, id)) return sendJSON(res, 404, err('Book not found', 'NOT_FOUND'));
+            const queue = holdQueue(id);
+            return sendJSON(res, 200, ok(queue, { total: queue.length }));
         }
 
-        if (url.pathname.startsWith('/api/books/') && method === 'PUT') {
-            const id = decodeURIComponent(url.pathname.split('/').pop());
-            const patch = await readBody(req);
-            const updated = updateBook(id, patch);
-            return sendJSON(res, 200, ok(updated));
+        if (m && method === 'POST') {
+            requireRole(user, 'editor');
+            const { hold, position } = placeHold(decodeSegment(m[1]), await readBody(req), user);
+            return sendJSON(res, 201, ok(hold, { position }));
         }
 
-        if (url.pathname.startsWith('/api/books/') && method === 'DELETE') {
-            const id = decodeURIComponent(url.pathname.split('/').pop());
-            const removed = deleteBook(id);
-            return sendJSON(res, 200, ok(removed));
+        m = url.pathname.match(/^\/api\/holds\/([^/]+)\/cancel$/);
+        if (m && method === 'POST') {
+            requireRole(user, 'editor');
+            return sendJSON(res, 200, ok(cancelHold(decodeSegment(m[1]), user)));
         }
 
-        if (url.pathname === '/api/books/bulk' && method === 'POST') {
-            const { items = [], mode = 'append' } = await readBody(req);
-            if (!Array.isArray(items)) return sendJSON(res, 400, err('items must be an array', 'VALIDATION'));
-            const added = [];
-            if (mode === 'replace') db.books = [];
-            for (const raw of items) {
-                try { added.push(createBook(raw)); }
-                catch (e) {
-                    added.push({ error: e.payload?.error || { code: 'UNKNOWN', message: String(e) }, input: raw });
-                }
+        if (url.pathname === '/api/loans/overdue' && method === 'GET') {
+            const list = overdueLoans();
+            return sendJSON(res, 200, ok(list, { total: list.length }));
+        }
+
+        m = url.pathname.match(/^\/api\/loans\/([^/]+)\/renew$/);
+        if (m && method === 'POST') {
+            requireRole(user, 'editor');
+            return sendJSON(res, 200, ok(renewLoan(decodeSegment(m[1]), await readBody(req), user)));
+        }
+
+        // ------------------- Collection routes -------------------
+        // /api/:collection with list, export, bulk, revisions and per-record CRUD.
+        m = url.pathname.match(/^\/api\/([^/]+)(\/.*)?$/);
+        const col = m && COLLECTIONS[m[1]];
+        if (col) {
+            const rest = m[2] || '';
+
+            if (rest === '' && method === 'GET') {
+                return maybe304(req, res, () => {
+                    const { list, meta } = applyQuery(col, url);
+                    res.setHeader('Link', paginationLinks(url, meta));
+                    const body = ok(list, meta);
+                    const etag = etagOf({ list, meta });
+                    return { body, etag };
+                });
+            }
+
+            if (rest === '/export' && method === 'GET') {
+                return await streamExport(col, res, url);
+            }
+
+            m = rest.match(/^\/([^/]+)\/revisions$/);
+            if (m && method === 'GET') {
+                const list = recordRevisions(col, decodeSegment(m[1]));
+                const data = list.map((r, i) => ({ version: r.version, updatedAt: r.updatedAt, updatedBy: r.updatedBy ?? null, changes: diffRecords(col, list[i - 1], r) }));
+                return sendJSON(res, 200, ok(data, { total: data.length }));
+            }
+
+            m = rest.match(/^\/([^/]+)\/revisions\/(\d+)$/);
+            if (m && method === 'GET') {
+                return sendJSON(res, 200, ok(getRevision(col, decodeSegment(m[1]), m[2])));
+            }
+
+            m = rest.match(/^\/([^/]+)\/diff$/);
+            if (m && method === 'GET') {
+                const id = decodeSegment(m[1]);
+                const from = getRevision(col, id, url.searchParams.get('from'));
+                const to = url.searchParams.has('to') ? getRevision(col, id, url.searchParams.get('to')) : recordRevisions(col, id).slice(-1)[0];
+                return sendJSON(res, 200, ok(diffRecords(col, from, to), { from: from.version, to: to.version }));
+            }
+
+            m = rest.match(/^\/([^/]+)\/revert$/);
+            if (m && method === 'POST') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const { toVersion, version } = await readBody(req);
+                if (toVersion == null) return sendJSON(res, 400, err('toVersion is required', 'VALIDATION'));
+                return sendJSON(res, 200, ok(revertRecord(col, decodeSegment(m[1]), toVersion, version, user)));
+            }
+
+            m = rest.match(/^\/([^/]+)\/restore$/);
+            if (m && method === 'POST') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                return sendJSON(res, 200, ok(restoreRecord(col, decodeSegment(m[1]), user)));
+            }
+
+            if (rest === '' && method === 'POST') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const body = await readBody(req);
+                const created = createRecord(col, body, user);
+                // Saved either way; a likely duplicate only comes back as a warning.
+                const duplicates = col === COLLECTIONS.books ? duplicateCandidates(duplicateIndex(liveBooks()), created) : [];
+                return sendJSON(res, 201, ok(created, duplicates.length ? { warnings: [duplicateWarning(duplicates)] } : undefined));
+            }
+
+            if (rest === '' && method === 'PATCH') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const { results, meta } = bulkPatch(col, await readBody(req), user);
+                if (meta.counts.updated) publish('bulk', { collection: col.name, op: 'patch', counts: meta.counts, ids: results.filter(r => r.status === 'updated').map(r => r.id), by: user.username }, db.seq);
+                return sendJSON(res, 200, ok(results, meta));
+            }
+
+            if (rest === '' && method === 'DELETE') {
+                const body = await readBody(req);
+                requireRole(user, body.permanent ? 'admin' : 'editor');
+                requireUnmanaged(col);
+                const { results, meta } = bulkDelete(col, body, user);
+                if (meta.counts.deleted) publish('bulk', { collection: col.name, op: 'delete', counts: meta.counts, ids: results.filter(r => r.status === 'deleted').map(r => r.id), by: user.username }, db.seq);
+                return sendJSON(res, 200, ok(results, meta));
+            }
+
+            if (rest === '/bulk' && method === 'POST') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const body = await readBody(req);
+                if (body.mode === 'replace' && !body.dryRun) requireRole(user, 'admin');
+                const parsed = body.format ? parseImport(col, body) : { items: body.items };
+                const { report, meta } = bulkImport(col, { ...body, items: parsed.items }, user);
+                if (parsed.columns) meta.columns = parsed.columns;
+                if (meta.applied) publish('bulk', { collection: col.name, mode: meta.mode, counts: meta.counts, ids: report.filter(r => r.record).map(r => r.id), by: user.username }, db.seq);
+                return sendJSON(res, 200, ok(report, meta));
+            }
+
+            m = rest.match(/^\/([^/]+)$/);
+            if (m && method === 'GET') {
+                const r = findRecord(col, decodeSegment(m[1]));
+                if (!r) throw notFoundError(col, decodeSegment(m[1]));
+                res.setHeader('Accept-Patch', PATCH_TYPES.join(', '));
+                return maybe304(req, res, () => {
+                    const body = ok(r);
+                    const etag = etagOf(r);
+                    return { body, etag };
+                });
+            }
+
+            // Writes to one record need a precondition: If-Match with its ETag, or its version.
+            if (m && method === 'PUT') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const id = decodeSegment(m[1]);
+                const doc = await readBody(req);
+                checkIfMatch(req, findOrFail(col, id), { required: doc.version == null });
+                const updated = replaceRecord(col, id, doc, user);
+                return sendJSON(res, 200, ok(updated), etagOf(updated));
+            }
+
+            if (m && method === 'PATCH') {
+                requireRole(user, 'editor');
+                requireUnmanaged(col);
+                const id = decodeSegment(m[1]);
+                const type = patchType(req, res);
+                const patch = await readBody(req);
+                checkIfMatch(req, findOrFail(col, id), { required: !patchHasVersion(patch, type) });
+                const updated = patchRecord(col, id, patch, type, user);
+                return sendJSON(res, 200, ok(updated), etagOf(updated));
+            }
+
+            // Moves to the trash; ?permanent=true (admins) deletes outright.
+            if (m && method === 'DELETE') {
+                const permanent = url.searchParams.get('permanent') === 'true';
+                requireRole(user, permanent ? 'admin' : 'editor');
+                requireUnmanaged(col);
+                const id = decodeSegment(m[1]);
+                if (req.headers['if-match'] != null) checkIfMatch(req, permanent ? store.get(col.name, id) ?? findOrFail(col, id) : findOrFail(col, id));
+                const removed = permanent ? deleteRecord(col, id) : trashRecord(col, id, user);
+                return sendJSON(res, 200, ok(removed));
             }
-            return sendJSON(res, 200, ok(added, { mode }));
         }
 
-        // ------------------- Static client assets -------------------
-        if (url.pathname === '/' || !path.extname(url.pathname)) {
-            return sendFile(res, path.join(PUBLIC_DIR, 'index.html'));
+        if (url.pathname.startsWith('/api/')) {
+            return sendJSON(res, 404, err(`No route for ${method} ${url.pathname}`, 'NOT_FOUND'));
         }
-        return sendFile(res, path.join(PUBLIC_DIR, url.pathname.replace(/^\/+/, '')));
+
+        // ------------------- Static client assets -------------------
+        return await serveStatic(req, res, url);
     } catch (e) {
         if (e && typeof e === 'object' && 'code' in e && 'payload' in e) {
             return sendJSON(res, e.code, e.payload);
         }
-        console.error('Unhandled error:', e);
+        log('error', 'Unhandled error', { requestId: res.requestId, error: e?.message, stack: e?.stack });
         return sendJSON(res, 500, err('Internal server error', 'INTERNAL'));
     }
 });
 
+for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.on(sig, () => {
+        if (isOpen()) snapshot();
+        try { saveRateState(); } catch (e) { log('error', 'Saving rate limit state failed', { error: e.message }); }
+        flushWebhooks();
+        process.exit(0);
+    });
+}
+
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-    console.log(`Client–Server Pro listening on http://localhost:${PORT}`);
-});
+// The CLI commands answer a person at a terminal, so they print plain text (results on
+// stdout, failures on stderr). Only the server writes JSON log lines.
+if (process.argv[2] === 'migrate') {
+    const arg = (name) => { const i = process.argv.indexOf(name); return i === -1 ? undefined : process.argv[i + 1]; };
+    try {
+        const r = migrateStorage(arg('--from') || 'json', arg('--to') || 'log');
+        process.stdout.write(`Migrated ${r.records} record(s) from ${r.from} to ${r.to} at journal seq ${r.seq}. Start with STORAGE=${r.to}.\n`);
+    } catch (e) {
+        process.stderr.write(`Migration failed: ${e.message}\n`);
+        process.exitCode = 1;
+    }
+} else if (process.argv[2] === 'generate-client') {
+    fs.writeFileSync(CLIENT_PATH, clientSource());
+    process.stdout.write(`Wrote ${path.relative(process.cwd(), CLIENT_PATH)} (${Object.keys(clientOperations()).length} operations).\n`);
+} else {
+    ensureDataFile();
+    buildSearchIndexes();
+    loadUsers();
+    setInterval(sweepSessions, SESSION_SWEEP_INTERVAL).unref();
+    if (!clientIsCurrent()) log('warn', 'public/api-client.mjs does not match the API; run `node server.js generate-client`');
+    const purge = () => {
+        try {
+            const { purged } = purgeTrash();
+            if (purged.length) log('info', `Purged ${purged.length} record(s) from the trash`, { purged: purged.length });
+        } catch (e) { log('error', 'Trash purge failed', { error: e.message }); }
+    };
+    purge();
+    setInterval(purge, PURGE_INTERVAL).unref();
+    loadRateState();
+    setInterval(sweepBuckets, RATE_SWEEP_INTERVAL).unref();
+    setInterval(dispatchWebhooks, WEBHOOK_TICK).unref();
+    server.listen(PORT, () => {
+        log('info', `Client–Server Pro listening on http://localhost:${PORT}`, { port: Number(PORT), storage: store.kind });
+    });
+}
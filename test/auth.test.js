@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer, ADMIN_PASSWORD } = require('./harness');
+
+describe('authentication and roles', () => {
+    let server, admin;
+    before(async () => {
+        server = await startServer();
+        admin = await server.login();
+    });
+    after(() => server.stop());
+
+    it('needs a signed-in user for the API, but not for health or the document', async () => {
+        const res = await server.anonymous.get('/api/books');
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error.code, 'UNAUTHORIZED');
+        assert.equal((await server.anonymous.get('/api/health')).status, 200);
+        assert.equal((await server.anonymous.get('/api/openapi.json')).status, 200);
+    });
+
+    it('starts an HttpOnly session on login and ends it on logout', async () => {
+        const bad = await server.anonymous.post('/api/auth/login', { username: 'admin', password: 'wrong' });
+        assert.equal(bad.status, 401);
+
+        const res = await server.anonymous.post('/api/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(res.body.data).sort(), ['createdAt', 'role', 'username']);
+        const cookie = res.headers.get('set-cookie');
+        assert.match(cookie, /^sid=[\w-]+;.*HttpOnly.*SameSite=Strict/);
+
+        const session = { headers: { Cookie: cookie.split(';')[0] } };
+        const me = await server.anonymous.get('/api/auth/me', session);
+        assert.deepEqual(me.body.data, { username: 'admin', role: 'admin', via: 'session' });
+        await server.anonymous.request('POST', '/api/auth/logout', session);
+        assert.equal((await server.anonymous.get('/api/auth/me', session)).status, 401);
+    });
+
+    it('lets viewers read, editors write and trash, and admins delete for good', async () => {
+        const viewer = await server.as('viewer');
+        const editor = await server.as('editor');
+        assert.equal((await viewer.get('/api/books')).status, 200);
+        const denied = await viewer.post('/api/books', { title: 'No' });
+        assert.equal(denied.status, 403);
+        assert.deepEqual(denied.body.error.details, { role: 'viewer', required: 'editor' });
+
+        const created = await editor.post('/api/books', { id: 'a1b', title: 'Yes' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.data.createdBy, 'editor-user');
+        assert.equal((await editor.delete('/api/books/a1b?permanent=true')).status, 403);
+        assert.equal((await editor.delete('/api/books/a1b')).status, 200);
+        assert.equal((await admin.delete('/api/books/a1b?permanent=true')).status, 200);
+        assert.equal((await admin.get('/api/books/a1b')).status, 404);
+
+        assert.equal((await editor.get('/api/users')).status, 403);
+        assert.equal((await editor.post('/api/webhooks', { url: 'http://127.0.0.1:1/' })).status, 403);
+    });
+
+    it('issues API tokens shown once, stores only their hash and records their use', async () => {
+        const created = await admin.post('/api/auth/tokens', { name: 'ci' });
+        assert.equal(created.status, 201);
+        const { id, token } = created.body.data;
+        assert.match(token, /^csp_/);
+
+        const listed = await admin.get('/api/auth/tokens');
+        assert.deepEqual(listed.body.data.map(t => [t.id, t.name, t.lastUsedAt]), [[id, 'ci', null]]);
+        assert.ok(!JSON.stringify(listed.body).includes(token));
+        assert.ok(!fs.readFileSync(server.file('users.json'), 'utf-8').includes(token));
+
+        const bot = server.withToken(token);
+        const me = await bot.get('/api/auth/me');
+        assert.deepEqual(me.body.data, { username: 'admin', role: 'admin', via: 'token', tokenId: id });
+        const saved = JSON.parse(fs.readFileSync(server.file('users.json'), 'utf-8'));
+        assert.ok(saved.users[0].tokens[0].lastUsedAt, 'lastUsedAt is saved');
+
+        assert.equal((await admin.delete(`/api/auth/tokens/${id}`)).status, 200);
+        assert.equal((await bot.get('/api/auth/me')).status, 401);
+        assert.equal((await server.withToken('csp_unknown').get('/api/books')).status, 401);
+    });
+
+    it('manages users', async () => {
+        const created = await admin.post('/api/users', { username: 'carol', password: 'password-2', role: 'viewer' });
+        assert.equal(created.status, 201);
+        assert.equal((await admin.post('/api/users', { username: 'carol', password: 'password-2', role: 'viewer' })).status, 409);
+        const invalid = await admin.post('/api/users', { username: 'x', password: 'short', role: 'owner' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.details.length, 3);
+
+        const carol = await server.login('carol', 'password-2');
+        assert.equal((await admin.put('/api/users/carol', { role: 'editor' })).body.data.role, 'editor');
+        assert.equal((await carol.get('/api/auth/me')).body.data.role, 'editor');
+
+        assert.equal((await admin.delete('/api/users/admin')).status, 409);
+        assert.equal((await admin.delete('/api/users/carol')).status, 200);
+        assert.equal((await carol.get('/api/auth/me')).status, 401);
+        assert.ok((await admin.get('/api/users')).body.data.every(u => u.username !== 'carol' && !('password' in u)));
+    });
+
+    it('signs a user out everywhere else and revokes their tokens when the password changes', async () => {
+        await admin.post('/api/users', { username: 'dave', password: 'password-3', role: 'editor' });
+        const laptop = await server.login('dave', 'password-3');
+        const phone = await server.login('dave', 'password-3');
+        const { token } = (await laptop.post('/api/auth/tokens', { name: 'script' })).body.data;
+
+        const changed = await laptop.put('/api/users/dave', { password: 'password-4' });
+        assert.equal(changed.status, 403, 'only admins change passwords here');
+        assert.equal((await admin.put('/api/users/dave', { password: 'password-4' })).status, 200);
+        assert.equal((await laptop.get('/api/auth/me')).status, 401);
+        assert.equal((await phone.get('/api/auth/me')).status, 401);
+        assert.equal((await server.withToken(token).get('/api/auth/me')).status, 401);
+        assert.equal((await admin.get('/api/auth/me')).status, 200, "the admin's own session is not dave's");
+        await server.login('dave', 'password-4');
+
+        const again = await server.login();
+        assert.equal((await again.put('/api/users/admin', { password: ADMIN_PASSWORD })).status, 200);
+        assert.equal((await again.get('/api/auth/me')).status, 200, 'the session that made the change stays');
+        assert.equal((await admin.get('/api/auth/me')).status, 401);
+        admin = again;
+    });
+
+    it('refuses to demote the last admin', async () => {
+        const res = await admin.put('/api/users/admin', { role: 'editor' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, 'CONFLICT');
+        assert.equal((await admin.get('/api/auth/me')).body.data.role, 'admin');
+
+        await admin.post('/api/users', { username: 'erin', password: 'password-5', role: 'admin' });
+        assert.equal((await admin.put('/api/users/admin', { role: 'editor' })).status, 200);
+        const erin = await server.login('erin', 'password-5');
+        assert.equal((await erin.put('/api/users/erin', { role: 'viewer' })).status, 409);
+        assert.equal((await erin.put('/api/users/admin', { role: 'admin' })).status, 200);
+    });
+});
+
+describe('first start', () => {
+    it('writes a generated admin password to an owner-only file, never to the log', async () => {
+        const server = await startServer({ env: { ADMIN_PASSWORD: '' } });
+        try {
+            const file = server.file('admin-password.txt');
+            const password = fs.readFileSync(file, 'utf-8').trim();
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+            assert.ok(!server.output().includes(password));
+            assert.match(server.output(), /admin-password\.txt/);
+            await server.login('admin', password);
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('bulk edit and delete', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('applies set, add and remove to the records a query matches', async () => {
+        const res = await api.patch('/api/books', {
+            query: { q: 'year:2017' },
+            ops: [{ op: 'set', field: 'language', value: 'en' }, { op: 'add', field: 'tag', value: ['classic', 'data'] }, { op: 'remove', field: 'tags', value: 'architecture' }],
+        });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.meta, { collection: 'books', matched: 2, counts: { updated: 2, deleted: 0, skipped: 0, failed: 0 } });
+        assert.deepEqual(res.body.data.map(r => [r.id, r.status, r.version, r.changes]).sort(), [
+            ['b1', 'updated', 2, ['tags', 'language']],
+            ['b2', 'updated', 2, ['tags', 'language']],
+        ]);
+        const b1 = (await api.get('/api/books/b1')).body.data;
+        assert.deepEqual([b1.language, b1.tags], ['en', ['classic', 'data']]);
+        const b2 = (await api.get('/api/books/b2')).body.data;
+        assert.deepEqual(b2.tags, ['data', 'systems', 'classic']);
+    });
+
+    it('reports each record on its own: skipped, failed on a stale version or missing', async () => {
+        const res = await api.patch('/api/books', {
+            ids: ['b1', 'b2', 'b3', 'nope'],
+            ops: [{ op: 'set', field: 'language', value: 'en' }],
+            versions: { b3: 7 },
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(r => [r.id, r.status, r.error?.code]), [
+            ['b1', 'skipped', undefined], ['b2', 'skipped', undefined], ['b3', 'failed', 'VERSION_CONFLICT'], ['nope', 'failed', 'NOT_FOUND'],
+        ]);
+        assert.equal((await api.get('/api/books/b3')).body.data.language, null);
+    });
+
+    it('rejects a malformed request as a whole', async () => {
+        const cases = [
+            { ops: [{ op: 'set', field: 'language', value: 'en' }] },
+            { ids: ['b1'], query: { q: 'x' }, ops: [{ op: 'set', field: 'language', value: 'en' }] },
+            { ids: [], ops: [{ op: 'set', field: 'language', value: 'en' }] },
+            { ids: ['b1'], ops: [] },
+            { ids: ['b1'], ops: [{ op: 'rename', field: 'title' }] },
+            { ids: ['b1'], ops: [{ op: 'set', field: 'version', value: 9 }] },
+            { ids: ['b1'], ops: [{ op: 'add', field: 'title', value: 'x' }] },
+            { ids: ['b1'], ops: [{ op: 'set', field: 'year', value: 5000 }] },
+        ];
+        for (const body of cases) assert.equal((await api.patch('/api/books', body)).status, 400, JSON.stringify(body));
+    });
+
+    it('trashes by query, and deletes for good only for admins', async () => {
+        await api.post('/api/books/bulk', { items: [{ id: 'x1', title: 'Scratch one' }, { id: 'x2', title: 'Scratch two' }] });
+        const editor = await server.as('editor');
+        assert.equal((await editor.delete('/api/books', { ids: ['x1'], permanent: true })).status, 403);
+
+        const res = await editor.delete('/api/books', { query: { q: 'title:scratch' } });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.data.map(r => [r.id, r.status, r.version]), [['x1', 'deleted', 2], ['x2', 'deleted', 2]]);
+        assert.deepEqual((await api.get('/api/books?trashed=only')).body.data.map(b => b.id), ['x1', 'x2']);
+
+        const gone = await api.delete('/api/books', { query: { q: 'title:scratch', trashed: 'only' }, permanent: true });
+        assert.deepEqual(gone.body.meta.counts, { updated: 0, deleted: 2, skipped: 0, failed: 0 });
+        assert.equal((await api.get('/api/books?trashed=include&q=title:scratch')).body.meta.total, 0);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('bulk import', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('reports every item of a dry run and writes nothing', async () => {
+        const res = await api.post('/api/books/bulk', { dryRun: true, items: [{ id: 'd1', title: 'Dry' }, { id: 'b1', title: 'Taken' }, { year: 'x' }] });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.data.map(r => [r.index, r.id, r.status]), [[0, 'd1', 'created'], [1, 'b1', 'failed'], [2, null, 'failed']]);
+        assert.equal(res.body.data[1].error.code, 'CONFLICT');
+        assert.equal(res.body.data[2].error.code, 'VALIDATION');
+        assert.deepEqual(res.body.meta.counts, { created: 1, updated: 0, skipped: 0, failed: 2, deleted: 0 });
+        assert.equal(res.body.meta.applied, false);
+        assert.equal((await api.get('/api/books/d1')).status, 404);
+    });
+
+    it('writes the valid items of a non-atomic append', async () => {
+        const res = await api.post('/api/books/bulk', { items: [{ id: 'n1', title: 'New' }, { id: 'n1', title: 'Again' }] });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(r => r.status), ['created', 'failed']);
+        assert.equal(res.body.data[1].error.message, 'Duplicate id in this batch');
+        assert.equal(res.body.meta.applied, true);
+        assert.equal((await api.get('/api/books/n1')).body.data.title, 'New');
+    });
+
+    it('writes nothing of an atomic batch with a failing item', async () => {
+        const res = await api.post('/api/books/bulk', { atomic: true, items: [{ id: 'n2', title: 'Fine' }, { title: '' }] });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION');
+        assert.deepEqual(res.body.error.details.items.map(r => r.status), ['created', 'failed']);
+        assert.equal((await api.get('/api/books/n2')).status, 404);
+    });
+
+    it('upserts with a created, updated, skipped or failed line per item', async () => {
+        const res = await api.post('/api/books/bulk', { mode: 'upsert', items: [
+            { id: 'u1', title: 'Upserted' },
+            { id: 'b1', rating: 4.9 },
+            { id: 'b2', title: 'Designing Data-Intensive Applications' },
+            { id: 'b3', rating: 1, version: 7 },
+        ] });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.data.map(r => [r.id, r.status]), [['u1', 'created'], ['b1', 'updated'], ['b2', 'skipped'], ['b3', 'failed']]);
+        assert.deepEqual(res.body.data[1].changes, ['rating']);
+        assert.equal(res.body.data[1].record.version, 2);
+        assert.equal(res.body.data[3].error.code, 'VERSION_CONFLICT');
+        assert.deepEqual(res.body.meta.counts, { created: 1, updated: 1, skipped: 1, failed: 1, deleted: 0 });
+        assert.equal((await api.get('/api/books/b1')).body.data.title, 'Clean Architecture');
+    });
+
+    it('refuses a replace that would strand references', async () => {
+        const res = await api.post('/api/authors/bulk', { mode: 'replace', items: [{ id: 'a1', name: 'Robert C. Martin' }] });
+        assert.equal(res.status, 409);
+        assert.ok(res.body.error.details.references.some(r => r.collection === 'books' && r.id === 'b2'));
+    });
+
+    it('lets only admins replace, and trashes the records a replace leaves out', async () => {
+        const editor = await server.as('editor');
+        const items = [{ id: 'b1', title: 'Clean Architecture' }, { id: 'b2', title: 'DDIA' }];
+        assert.equal((await editor.post('/api/books/bulk', { mode: 'replace', items })).status, 403);
+        assert.equal((await editor.post('/api/books/bulk', { mode: 'replace', items, dryRun: true })).status, 200);
+
+        const res = await api.post('/api/books/bulk', { mode: 'replace', items });
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.meta.atomic, true);
+        assert.equal(res.body.meta.counts.deleted, 3);
+        const b1 = (await api.get('/api/books/b1')).body.data;
+        assert.equal(b1.rating, null, 'fields left out return to their defaults');
+        const trashed = await api.get('/api/books?trashed=only&limit=100');
+        assert.deepEqual(trashed.body.data.map(b => b.id).sort(), ['b3', 'n1', 'u1']);
+        assert.deepEqual((await api.get('/api/books?limit=100')).body.data.map(b => b.id).sort(), ['b1', 'b2']);
+    });
+
+    it('rejects unknown modes and non-array items', async () => {
+        assert.equal((await api.post('/api/books/bulk', { mode: 'merge', items: [] })).status, 400);
+        assert.equal((await api.post('/api/books/bulk', { items: {} })).status, 400);
+    });
+});
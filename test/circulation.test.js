@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('lending', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('checks a book out against the version the client saw', async () => {
+        assert.equal((await api.post('/api/books/b1/checkout', { borrower: 'alice' })).status, 400);
+        const res = await api.post('/api/books/b1/checkout', { borrower: 'alice', version: 1 });
+        assert.equal(res.status, 201, res.text);
+        const { loan, book } = res.body.data;
+        assert.deepEqual([loan.bookId, loan.borrower, loan.returnedAt, loan.renewals], ['b1', 'alice', null, 0]);
+        assert.ok(Math.abs(Date.parse(loan.dueAt) - Date.now() - 14 * DAY) < 60000);
+        assert.deepEqual([book.availability, book.version], ['on-loan', 2]);
+
+        const raced = await api.post('/api/books/b1/checkout', { borrower: 'bob', version: 1 });
+        assert.equal(raced.status, 409);
+        assert.equal(raced.body.error.code, 'VERSION_CONFLICT');
+        const taken = await api.post('/api/books/b1/checkout', { borrower: 'bob', version: 2 });
+        assert.equal(taken.status, 409);
+        assert.equal(taken.body.error.code, 'CONFLICT');
+    });
+
+    it('queues holds and hands the book to the first patron on return', async () => {
+        assert.equal((await api.post('/api/books/b2/holds', { patron: 'bob' })).status, 409, 'available books are checked out, not held');
+        const bob = await api.post('/api/books/b1/holds', { patron: 'bob' });
+        assert.equal(bob.status, 201);
+        assert.equal(bob.body.meta.position, 1);
+        assert.equal((await api.post('/api/books/b1/holds', { patron: 'carol' })).body.meta.position, 2);
+        assert.equal((await api.post('/api/books/b1/holds', { patron: 'bob' })).status, 409);
+        assert.equal((await api.post('/api/books/b1/holds', { patron: 'alice' })).status, 409);
+
+        const loanId = (await api.get('/api/loans?q=bookId:b1')).body.data[0].id;
+        const renew = await api.post(`/api/loans/${loanId}/renew`, { version: 1 });
+        assert.equal(renew.status, 409);
+        assert.deepEqual(renew.body.error.details, { holds: 2 });
+
+        const returned = await api.post('/api/books/b1/return', {});
+        assert.equal(returned.status, 200);
+        assert.ok(returned.body.data.loan.returnedAt);
+        assert.deepEqual([returned.body.data.hold.patron, returned.body.data.hold.status], ['bob', 'ready']);
+        assert.equal(returned.body.data.book.availability, 'on-hold');
+
+        const book = returned.body.data.book;
+        const skipped = await api.post('/api/books/b1/checkout', { borrower: 'carol', version: book.version });
+        assert.equal(skipped.status, 409);
+        assert.equal(skipped.body.error.message, 'Book is on hold for bob');
+        const picked = await api.post('/api/books/b1/checkout', { borrower: 'bob', version: book.version });
+        assert.equal(picked.status, 201);
+        const queue = (await api.get('/api/books/b1/holds')).body;
+        assert.deepEqual(queue.data.map(h => [h.patron, h.status]), [['carol', 'waiting']]);
+    });
+
+    it('cancels a hold once', async () => {
+        const [hold] = (await api.get('/api/books/b1/holds')).body.data;
+        assert.equal((await api.post(`/api/holds/${hold.id}/cancel`)).body.data.status, 'cancelled');
+        assert.equal((await api.post(`/api/holds/${hold.id}/cancel`)).status, 409);
+        assert.equal((await api.get('/api/books/b1/holds')).body.meta.total, 0);
+    });
+
+    it('renews up to the cap, each time from the later of now and the due date', async () => {
+        const { loan } = (await api.post('/api/books/b2/checkout', { borrower: 'dan', version: 1 })).body.data;
+        const first = await api.post(`/api/loans/${loan.id}/renew`, { version: 1 });
+        assert.equal(first.status, 200, first.text);
+        assert.equal(first.body.data.renewals, 1);
+        assert.equal(Date.parse(first.body.data.dueAt) - Date.parse(loan.dueAt), 14 * DAY);
+        assert.equal((await api.post(`/api/loans/${loan.id}/renew`, { version: 1 })).status, 409);
+        assert.equal((await api.post(`/api/loans/${loan.id}/renew`, { version: 2 })).status, 200);
+        const capped = await api.post(`/api/loans/${loan.id}/renew`, { version: 3 });
+        assert.equal(capped.status, 409);
+        assert.deepEqual(capped.body.error.details, { renewals: 2, cap: 2 });
+    });
+
+    it('only changes loans and holds through the circulation endpoints', async () => {
+        const res = await api.post('/api/loans', { bookId: 'b3', borrower: 'eve', dueAt: new Date().toISOString() });
+        assert.equal(res.status, 405);
+        assert.equal(res.body.error.code, 'METHOD_NOT_ALLOWED');
+        const [loan] = (await api.get('/api/loans')).body.data;
+        assert.equal((await api.delete(`/api/loans/${loan.id}`)).status, 405);
+        assert.equal((await api.post('/api/holds/bulk', { items: [] })).status, 405);
+        const viewer = await server.as('viewer');
+        assert.equal((await viewer.post('/api/books/b3/checkout', { version: 1 })).status, 403);
+    });
+});
+
+describe('overdue report', () => {
+    it('lists open loans past their due date, most overdue first', async () => {
+        const stamp = { createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), version: 1 };
+        const due = (days) => new Date(Date.now() - days * DAY).toISOString();
+        const server = await startServer({ files: { 'data.json': {
+            seq: 0, revisions: {},
+            books: [{ id: 'o1', title: 'Late', ...stamp }, { id: 'o2', title: 'Later', ...stamp }, { id: 'o3', title: 'On time', ...stamp }],
+            loans: [
+                { id: 'l1', bookId: 'o1', borrower: 'x', dueAt: due(2.5), returnedAt: null, ...stamp },
+                { id: 'l2', bookId: 'o2', borrower: 'y', dueAt: due(10), returnedAt: null, ...stamp },
+                { id: 'l3', bookId: 'o3', borrower: 'z', dueAt: due(-3), returnedAt: null, ...stamp },
+                { id: 'l4', bookId: 'o3', borrower: 'z', dueAt: due(20), returnedAt: due(19), ...stamp },
+            ],
+        } } });
+        try {
+            const api = await server.login();
+            const res = await api.get('/api/loans/overdue');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.map(l => [l.id, l.title, l.daysOverdue]), [['l2', 'Later', 10], ['l1', 'Late', 2]]);
+            assert.equal(res.body.meta.total, 2);
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('collections beyond books', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('gives authors and publishers the same CRUD as books', async () => {
+        const created = await api.post('/api/publishers', { name: 'No Starch Press', city: 'San Francisco' });
+        assert.equal(created.status, 201, created.text);
+        const { id } = created.body.data;
+        assert.match(id, /^p[0-9a-f]{6}$/);
+
+        const updated = await api.patch(`/api/publishers/${id}`, { website: 'https://nostarch.com', version: 1 });
+        assert.equal(updated.body.data.version, 2);
+        const listed = await api.get('/api/publishers?q=city:"San Francisco"');
+        assert.deepEqual(listed.body.data.map(p => p.id), [id]);
+        assert.deepEqual((await api.get('/api/authors?sort=name')).body.data.map(a => a.id), ['a3', 'a2', 'a1']);
+        assert.equal((await api.delete(`/api/publishers/${id}`)).status, 200);
+    });
+
+    it('checks that references point at existing records', async () => {
+        const res = await api.post('/api/books', { title: 'Orphan', authorId: 'a999' });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.error.details, ['authorId references unknown authors "a999"']);
+        const ok = await api.post('/api/books', { id: 'c1', title: 'Linked', authorId: 'a3' });
+        assert.equal(ok.status, 201);
+    });
+
+    it('refuses to delete a record that others still reference', async () => {
+        const res = await api.delete('/api/authors/a3');
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, 'CONFLICT');
+        assert.deepEqual(res.body.error.details.references.map(r => [r.collection, r.id, r.field]).sort(), [['books', 'b3', 'authorId'], ['books', 'c1', 'authorId']]);
+        await api.patch('/api/books/c1', { authorId: null, version: 1 });
+        await api.patch('/api/books/b3', { authorId: null, version: 1 });
+        assert.equal((await api.delete('/api/authors/a3')).status, 200);
+    });
+
+    it('answers 404 for a collection that does not exist', async () => {
+        const res = await api.get('/api/magazines');
+        assert.equal(res.status, 404);
+        assert.equal(res.body.error.code, 'NOT_FOUND');
+    });
+});
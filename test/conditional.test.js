@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+const JSON_PATCH = 'application/json-patch+json';
+const MERGE_PATCH = 'application/merge-patch+json';
+
+describe('conditional writes, PUT and PATCH', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    const current = async (id) => {
+        const res = await api.get(`/api/books/${id}`);
+        return { record: res.body.data, etag: res.headers.get('etag') };
+    };
+
+    it('needs If-Match or a version to write, and refuses a stale ETag', async () => {
+        const missing = await api.put('/api/books/b1', { title: 'Unconditional' });
+        assert.equal(missing.status, 428);
+        assert.equal(missing.body.error.code, 'PRECONDITION_REQUIRED');
+        assert.equal((await api.patch('/api/books/b1', { title: 'Unconditional' })).status, 428);
+
+        const { etag } = await current('b1');
+        const res = await api.patch('/api/books/b1', { rating: 4.7 }, { headers: { 'If-Match': etag } });
+        assert.equal(res.status, 200);
+        assert.notEqual(res.headers.get('etag'), etag);
+        assert.equal(res.headers.get('etag'), (await current('b1')).etag);
+
+        const stale = await api.patch('/api/books/b1', { rating: 1 }, { headers: { 'If-Match': etag } });
+        assert.equal(stale.status, 412);
+        assert.equal(stale.body.error.details.current.rating, 4.7);
+        assert.equal((await api.delete('/api/books/b1', undefined, { headers: { 'If-Match': etag } })).status, 412);
+        assert.equal((await api.patch('/api/books/b1', { rating: 1 }, { headers: { 'If-Match': '*' } })).status, 200);
+    });
+
+    it('treats PUT as the whole record: fields left out return to their defaults', async () => {
+        const { record, etag } = await current('b2');
+        assert.deepEqual(record.tags, ['data', 'systems']);
+        const res = await api.put('/api/books/b2', { title: 'Replaced' }, { headers: { 'If-Match': etag } });
+        assert.equal(res.status, 200, res.text);
+        const b = res.body.data;
+        assert.deepEqual([b.title, b.author, b.year, b.rating, b.tags, b.createdAt], ['Replaced', 'Unknown', null, null, [], record.createdAt]);
+        assert.equal(b.version, record.version + 1);
+    });
+
+    it('applies a merge patch, where null clears a field', async () => {
+        const { etag } = await current('b3');
+        const res = await api.patch('/api/books/b3', { year: null, tags: ['js', 'books'] }, { headers: { 'If-Match': etag }, type: MERGE_PATCH });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual([res.body.data.year, res.body.data.tags, res.body.data.title], [null, ['js', 'books'], "You Don't Know JS Yet"]);
+    });
+
+    it('applies a JSON Patch in order, all or nothing', async () => {
+        const { record } = await current('b3');
+        const ops = [
+            { op: 'test', path: '/version', value: record.version },
+            { op: 'add', path: '/tags/-', value: 'classic' },
+            { op: 'remove', path: '/tags/0' },
+            { op: 'replace', path: '/title', value: 'YDKJS' },
+            { op: 'copy', from: '/title', path: '/publisher' },
+            { op: 'move', from: '/author', path: '/language' },
+        ];
+        const res = await api.patch('/api/books/b3', ops, { type: JSON_PATCH });
+        assert.equal(res.status, 400, 'the moved author value is not a valid language');
+
+        ops[5] = { op: 'test', path: '/author', value: 'Kyle Simpson' };
+        const ok = await api.patch('/api/books/b3', ops, { type: JSON_PATCH });
+        assert.equal(ok.status, 200, ok.text);
+        const b = ok.body.data;
+        assert.deepEqual([b.tags, b.title, b.publisher, b.version], [['books', 'classic'], 'YDKJS', 'YDKJS', record.version + 1]);
+    });
+
+    it('answers a failed test with 409 PATCH_TEST_FAILED and writes nothing', async () => {
+        const { record } = await current('b3');
+        const res = await api.patch('/api/books/b3', [
+            { op: 'test', path: '/version', value: record.version },
+            { op: 'replace', path: '/title', value: 'Never written' },
+            { op: 'test', path: '/tags', value: ['classic', 'books'] },
+        ], { type: JSON_PATCH });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, 'PATCH_TEST_FAILED');
+        assert.equal(res.body.error.details.index, 2);
+        assert.equal((await current('b3')).record.title, 'YDKJS');
+    });
+
+    it('rejects malformed patches and unknown patch types', async () => {
+        const { record } = await current('b3');
+        const version = { op: 'test', path: '/version', value: record.version };
+        // An unknown op is already refused by the OpenAPI document's JsonPatch schema.
+        const cases = [
+            [{ op: 'jump', path: '/title' }, 'VALIDATION'],
+            [{ op: 'remove', path: '/nope' }, 'INVALID_PATCH'],
+            [{ op: 'add', path: 'title', value: 'x' }, 'INVALID_PATCH'],
+            [{ op: 'replace', path: '/tags/9', value: 'x' }, 'INVALID_PATCH'],
+        ];
+        for (const [op, code] of cases) {
+            const res = await api.patch('/api/books/b3', [version, op], { type: JSON_PATCH });
+            assert.equal(res.status, 400, JSON.stringify(op));
+            assert.equal(res.body.error.code, code, JSON.stringify(op));
+        }
+        assert.equal((await api.patch('/api/books/b3', version, { type: JSON_PATCH })).status, 400);
+
+        const unsupported = await api.patch('/api/books/b3', { title: 'x', version: record.version }, { type: 'text/plain' });
+        assert.equal(unsupported.status, 415);
+        assert.equal(unsupported.headers.get('accept-patch'), `${MERGE_PATCH}, ${JSON_PATCH}`);
+        assert.equal((await api.get('/api/books/b3')).headers.get('accept-patch'), `${MERGE_PATCH}, ${JSON_PATCH}`);
+    });
+});
@@ -0,0 +1,46 @@
+// What the client's three-way merge dialog relies on: a losing write is told the current
+// record, the version it started from is still available as the merge base, and the merged
+// result can be written against the current version.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('version conflicts for the merge dialog', () => {
+    let server, alice, bob;
+    before(async () => {
+        server = await startServer();
+        alice = await server.login();
+        bob = await server.as('editor');
+        await alice.post('/api/books', { id: 'c1', title: 'Shared', author: 'A', year: 2000 });
+    });
+    after(() => server.stop());
+
+    it('gives the loser of a race the current record and the base', async () => {
+        assert.equal((await alice.patch('/api/books/c1', { year: 2001, version: 1 })).status, 200);
+        const lost = await bob.patch('/api/books/c1', { author: 'B', version: 1 });
+        assert.equal(lost.status, 409);
+        assert.equal(lost.body.error.code, 'VERSION_CONFLICT');
+        assert.equal(lost.body.error.details.expected, 2);
+        assert.equal(lost.body.error.details.current.year, 2001);
+        assert.equal(lost.body.error.details.current.version, 2);
+
+        const base = await bob.get('/api/books/c1/revisions/1');
+        assert.equal(base.status, 200);
+        assert.equal(base.body.data.year, 2000);
+        assert.equal(base.body.data.author, 'A');
+
+        const merged = await bob.patch('/api/books/c1', { author: 'B', version: lost.body.error.details.current.version });
+        assert.equal(merged.status, 200);
+        assert.deepEqual([merged.body.data.author, merged.body.data.year, merged.body.data.version], ['B', 2001, 3]);
+    });
+
+    it('reports the current record and its ETag on a failed If-Match', async () => {
+        const stale = await alice.get('/api/books/c1');
+        await bob.patch('/api/books/c1', { title: 'Renamed', version: stale.body.data.version });
+        const res = await alice.patch('/api/books/c1', { year: 1999 }, { headers: { 'If-Match': stale.headers.get('etag') } });
+        assert.equal(res.status, 412);
+        assert.equal(res.body.error.code, 'PRECONDITION_FAILED');
+        assert.equal(res.body.error.details.current.title, 'Renamed');
+        assert.equal(res.body.error.details.etag, (await alice.get('/api/books/c1')).headers.get('etag'));
+    });
+});
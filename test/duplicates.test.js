@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('duplicate detection and merging', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('warns when a new book looks like one in the catalog', async () => {
+        const res = await api.post('/api/books', { id: 'd1', title: 'Designing Data Intensive Applications: The Big Ideas', author: 'Kleppmann, M.', tags: ['databases'] });
+        assert.equal(res.status, 201, res.text);
+        const [warning] = res.body.meta.warnings;
+        assert.equal(warning.code, 'POSSIBLE_DUPLICATE');
+        assert.equal(warning.message, 'Possible duplicate of b2');
+        assert.deepEqual(warning.details.candidates[0].reasons, ['similar title', 'same author']);
+
+        const other = await api.post('/api/books', { title: 'Clean Code', author: 'Robert C. Martin' });
+        assert.equal(other.body.meta, undefined, 'the same author alone is not a duplicate');
+    });
+
+    it('treats ISBN-10 and ISBN-13 as the same and different ISBNs as different editions', async () => {
+        await api.post('/api/books', { id: 'i1', title: 'JavaScript: The Good Parts', author: 'Douglas Crockford', isbn: '0-596-51774-2' });
+        const same = await api.post('/api/books', { id: 'i2', title: 'JS Good Parts', isbn: '9780596517748' });
+        assert.deepEqual(same.body.meta.warnings[0].details.candidates.map(c => [c.id, c.score, c.reasons]), [['i1', 1, ['same isbn']]]);
+        const edition = await api.post('/api/books', { title: 'JavaScript: The Good Parts', author: 'Douglas Crockford', isbn: '9780596000000' });
+        assert.equal(edition.body.meta, undefined);
+    });
+
+    it('flags import items against the catalog and earlier items of the batch', async () => {
+        const res = await api.post('/api/books/bulk', { dryRun: true, items: [
+            { id: 'n1', title: "You Don't Know JS Yet", author: 'Simpson, Kyle' },
+            { id: 'n2', title: 'A Philosophy of Software Design', author: 'John Ousterhout' },
+            { id: 'n3', title: 'Philosophy of Software Design', author: 'J. Ousterhout' },
+        ] });
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.meta.possibleDuplicates, 2);
+        const [first, second, third] = res.body.data;
+        assert.equal(first.warnings[0].details.candidates[0].id, 'b3');
+        assert.equal(second.warnings, undefined);
+        assert.equal(third.warnings[0].message, 'Possible duplicate of n2');
+    });
+
+    it('lists likely duplicates in groups and checks the threshold', async () => {
+        const res = await api.get('/api/books/duplicates');
+        assert.equal(res.status, 200);
+        const groups = res.body.data.map(g => g.records.map(r => r.id).sort());
+        assert.deepEqual(groups, [['i1', 'i2'], ['b2', 'd1']]);
+        assert.deepEqual(res.body.meta, { total: 2, limit: 50, threshold: 0.85 });
+        assert.deepEqual(res.body.data[0].pairs.map(p => p.score), [1]);
+
+        assert.equal((await api.get('/api/books/duplicates?threshold=1')).body.data.length, 1);
+        const bad = await api.get('/api/books/duplicates?threshold=0.2');
+        assert.equal(bad.status, 400);
+        assert.equal(bad.body.error.code, 'VALIDATION');
+    });
+
+    it('previews a merge without writing anything', async () => {
+        const res = await api.post('/api/books/merge', { target: 'b2', sources: ['d1'], dryRun: true });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.data.tags, ['data', 'systems', 'databases']);
+        assert.deepEqual(res.body.meta, { target: 'b2', sources: ['d1'], dryRun: true, changes: ['tags', 'mergedFrom'], moved: { loans: 0, holds: 0 } });
+        assert.equal((await api.get('/api/books/b2')).body.data.version, 1);
+        assert.equal((await api.get('/api/books/d1')).status, 200);
+    });
+
+    it('refuses bad requests, stale versions and sources that are out on loan', async () => {
+        const cases = [
+            [{ sources: ['d1'] }, 400],
+            [{ target: 'b2', sources: [] }, 400],
+            [{ target: 'b2', sources: ['b2'] }, 400],
+            [{ target: 'b2', sources: ['d1'], fields: { title: 'b1' } }, 400],
+            [{ target: 'b2', sources: ['d1'], fields: { version: 'd1' } }, 400],
+            [{ target: 'b2', sources: ['missing'] }, 404],
+            [{ target: 'b2', sources: ['d1'], versions: { b2: 7 } }, 409],
+        ];
+        for (const [body, status] of cases) assert.equal((await api.post('/api/books/merge', body)).status, status, JSON.stringify(body));
+
+        await api.post('/api/books/i2/checkout', { borrower: 'alice', version: 1 });
+        const lent = await api.post('/api/books/merge', { target: 'i1', sources: ['i2'] });
+        assert.equal(lent.status, 409);
+        assert.equal(lent.body.error.code, 'CONFLICT');
+        assert.equal(lent.body.error.details.id, 'i2');
+        await api.post('/api/books/i2/return', {});
+    });
+
+    it('folds the sources into the target, moves their history and trashes them', async () => {
+        const res = await api.post('/api/books/merge', { target: 'i1', sources: ['i2'], fields: { title: 'i2' }, versions: { i1: 1 } });
+        assert.equal(res.status, 200, res.text);
+        const book = res.body.data;
+        assert.deepEqual([book.title, book.author, book.version, book.mergedFrom], ['JS Good Parts', 'Douglas Crockford', 2, ['i2']]);
+        assert.deepEqual(res.body.meta.moved, { loans: 1, holds: 0 });
+
+        const loans = (await api.get('/api/loans?q=bookId:i1')).body.data;
+        assert.deepEqual(loans.map(l => l.borrower), ['alice']);
+        assert.equal((await api.get('/api/books/i2')).status, 404);
+        assert.deepEqual((await api.get('/api/books?trashed=only')).body.data.map(r => r.id), ['i2']);
+
+        const viewer = await server.as('viewer');
+        assert.equal((await viewer.post('/api/books/merge', { target: 'b2', sources: ['d1'] })).status, 403);
+    });
+});
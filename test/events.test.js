@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+// Opens the change feed and collects its events; next(n) waits until n have arrived.
+async function openFeed(server, cookie, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(`${server.base}/api/events`, { headers: { Cookie: cookie, ...headers }, signal: controller.signal });
+    const events = [];
+    let buffer = '';
+    const waiting = [];
+    (async () => {
+        const decoder = new TextDecoder();
+        try {
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n').filter(l => !l.startsWith(':')).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+                    if (!fields.event) continue;
+                    events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+                    waiting.filter(w => events.length >= w.n).forEach(w => w.resolve());
+                }
+            }
+        } catch { /* aborted */ }
+    })();
+    return {
+        res, events,
+        next(n = 1) {
+            if (events.length >= n) return Promise.resolve(events);
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`Only ${events.length} of ${n} events arrived`)), 5000);
+                waiting.push({ n, resolve: () => { clearTimeout(timer); resolve(events); } });
+            });
+        },
+        close: () => controller.abort(),
+    };
+}
+
+describe('change feed (SSE)', () => {
+    let server, api, cookie;
+    before(async () => {
+        server = await startServer();
+        const res = await fetch(`${server.base}/api/auth/login`, {
+            method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'admin', password: 'admin-password' }),
+        });
+        cookie = res.headers.get('set-cookie').split(';')[0];
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('streams created, updated and deleted events with the journal seq as id', async () => {
+        const feed = await openFeed(server, cookie);
+        assert.equal(feed.res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+        await api.post('/api/authors', { id: 'e1', name: 'Streamed' });
+        await api.patch('/api/authors/e1', { name: 'Streamed again', version: 1 });
+        await api.delete('/api/authors/e1');
+        const events = await feed.next(3);
+        feed.close();
+        assert.deepEqual(events.map(e => [e.event, e.data.collection, e.data.id, e.data.by]), [
+            ['created', 'authors', 'e1', 'admin'], ['updated', 'authors', 'e1', 'admin'], ['updated', 'authors', 'e1', 'admin'],
+        ]);
+        assert.deepEqual(events.map(e => Number(e.id)), events.map(e => e.data.seq));
+        assert.equal(events[1].data.record.name, 'Streamed again');
+        assert.ok(events[2].data.record.deletedAt);
+    });
+
+    it('replays what a reconnecting client missed after Last-Event-ID', async () => {
+        const { meta: { seq } } = (await api.get('/api/admin/journal?limit=1')).body;
+        await api.post('/api/authors', { id: 'e2', name: 'Missed one' });
+        await api.post('/api/authors', { id: 'e3', name: 'Missed two' });
+        const feed = await openFeed(server, cookie, { 'Last-Event-ID': String(seq) });
+        const events = await feed.next(2);
+        feed.close();
+        assert.deepEqual(events.map(e => e.data.id), ['e2', 'e3']);
+    });
+
+    it('tells a client it cannot catch up to reload instead', async () => {
+        const feed = await openFeed(server, cookie, { 'Last-Event-ID': '999999' });
+        const [event] = await feed.next(1);
+        feed.close();
+        assert.equal(event.event, 'reset');
+    });
+
+    it('announces bulk changes as one event', async () => {
+        const feed = await openFeed(server, cookie);
+        await api.post('/api/authors/bulk', { items: [{ name: 'One' }, { name: 'Two' }] });
+        const events = await feed.next(3);
+        feed.close();
+        const bulk = events.find(e => e.event === 'bulk');
+        assert.equal(bulk.data.collection, 'authors');
+        assert.equal(bulk.data.counts.created, 2);
+    });
+
+    it('needs a signed-in user', async () => {
+        assert.equal((await server.anonymous.get('/api/events')).status, 401);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('facets and stats', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+        await api.post('/api/books', { id: 'f1', title: 'Refactoring', author: 'Martin Fowler', year: 2018, rating: 5, tags: ['architecture', 'refactoring'] });
+    });
+    after(() => server.stop());
+
+    it('counts values over every match, each with a query that narrows to it', async () => {
+        const res = await api.get('/api/books?q=year>=2017&facets=tag,year,rating&limit=1');
+        assert.equal(res.status, 200, res.text);
+        const { tag, year, rating } = res.body.meta.facets;
+        assert.deepEqual(tag.slice(0, 2), [
+            { value: 'architecture', count: 2, filter: 'tag:"architecture"' },
+            { value: 'data', count: 1, filter: 'tag:"data"' },
+        ]);
+        assert.deepEqual(year, [
+            { value: '2010–2019', from: 2010, to: 2020, count: 3, filter: 'year:[2010 TO 2020}' },
+            { value: '2020–2029', from: 2020, to: 2030, count: 1, filter: 'year:[2020 TO 2030}' },
+        ]);
+        assert.deepEqual(rating.map(r => [r.value, r.count]), [['4–5', 3], ['5', 1]]);
+
+        for (const facet of [tag[0], year[1]]) {
+            const narrowed = await api.get(`/api/books?q=${encodeURIComponent(facet.filter)}`);
+            assert.equal(narrowed.body.meta.total, facet.count, facet.filter);
+        }
+    });
+
+    it('limits facet values with facetSize and refuses unknown fields', async () => {
+        const res = await api.get('/api/books?facets=author&facetSize=2');
+        assert.equal(res.body.meta.facets.author.length, 2);
+        const bad = await api.get('/api/books?facets=createdAt');
+        assert.equal(bad.status, 400);
+        assert.equal(bad.body.error.details.param, 'facets');
+        assert.equal((await api.get('/api/books?facets=tag&facetSize=0')).status, 400);
+    });
+
+    it('summarises the catalog with histograms and a daily series', async () => {
+        const res = await api.get('/api/stats?top=2&days=7');
+        assert.equal(res.status, 200, res.text);
+        const s = res.body.data;
+        assert.equal(s.count, 4);
+        assert.equal(s.avgRating, 4.72);
+        assert.deepEqual(s.topTags, [{ tag: 'architecture', count: 2 }, { tag: 'data', count: 1 }]);
+        assert.equal(s.topAuthors.length, 2);
+        assert.deepEqual(s.histograms.year.map(b => [b.from, b.count]), [[2010, 3], [2020, 1]]);
+        assert.equal(s.timeseries.days, 7);
+        assert.equal(s.timeseries.created.length, 7);
+        assert.equal(s.timeseries.created.reduce((n, d) => n + d.count, 0), 4);
+    });
+
+    it('validates its integer parameters', async () => {
+        for (const query of ['top=0', 'top=51', 'days=abc', 'days=1.5']) {
+            const res = await api.get(`/api/stats?${query}`);
+            assert.equal(res.status, 400, query);
+            assert.ok(res.body.error.details[0].startsWith(query.split('=')[0]), query);
+        }
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('import and export formats', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    const exported = async (query) => {
+        const res = await api.get(`/api/books/export?${query}`);
+        assert.equal(res.status, 200, res.text);
+        return res;
+    };
+
+    it('exports CSV with a header row and RFC 4180 quoting', async () => {
+        await api.post('/api/books', { id: 'q1', title: 'Quotes, "commas"\nand lines', tags: ['a', 'b'] });
+        const res = await exported('format=csv&q=id:q1');
+        assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+        assert.match(res.headers.get('content-disposition'), /filename="books-export\.csv"/);
+        const [header, row] = res.text.split('\r\n');
+        assert.ok(header.startsWith('id,title,'));
+        assert.ok(row.startsWith('q1,"Quotes, ""commas""\nand lines",'));
+        assert.ok(res.text.includes(',a;b,'));
+    });
+
+    it('keeps spreadsheets from running exported text as formulas', async () => {
+        await api.post('/api/books', { id: 'q2', title: '=HYPERLINK("http://evil.example","x")', author: "'@home", tags: ['-1', 'ok'] });
+        const res = await exported('format=csv&q=id:q2');
+        const row = res.text.split('\r\n')[1];
+        assert.ok(row.startsWith(`q2,"'=HYPERLINK(""http://evil.example"",""x"")",''@home,`), row);
+        assert.ok(row.includes(",'-1;ok,"));
+
+        const data = res.text.replace(/q2/g, 'q2-copy');
+        assert.equal((await api.post('/api/books/bulk', { format: 'csv', data })).status, 200);
+        const copy = (await api.get('/api/books/q2-copy')).body.data;
+        assert.deepEqual([copy.title, copy.author, copy.tags], ['=HYPERLINK("http://evil.example","x")', "'@home", ['-1', 'ok']]);
+        await api.delete('/api/books/q2?permanent=true');
+        await api.delete('/api/books/q2-copy?permanent=true');
+    });
+
+    it('exports NDJSON, one record per line, and BibTeX for books only', async () => {
+        const nd = await exported('format=ndjson');
+        const lines = nd.text.trim().split('\n').map(l => JSON.parse(l));
+        assert.deepEqual(lines.map(b => b.id).sort(), ['b1', 'b2', 'b3', 'q1']);
+
+        const bib = await exported('format=bibtex&q=id:b1');
+        assert.equal(bib.headers.get('content-type'), 'application/x-bibtex; charset=utf-8');
+        assert.match(bib.text, /^@book\{b1,\n {2}title = \{Clean Architecture\},/);
+        assert.equal((await api.get('/api/authors/export?format=bibtex')).status, 400);
+        assert.equal((await api.get('/api/books/export?format=xml')).status, 400);
+    });
+
+    it('round-trips an export through import', async () => {
+        const formats = ['csv', 'ndjson', 'bibtex'];
+        const exports = await Promise.all(formats.map(format => exported(`format=${format}&q=id:b2`)));
+        for (const [i, format] of formats.entries()) {
+            const data = exports[i].text.replace(/b2/g, `b2-${format}`);
+            const res = await api.post('/api/books/bulk', { format, data });
+            assert.equal(res.status, 200, res.text);
+            assert.deepEqual(res.body.data.map(r => r.status), ['created'], format);
+            const copy = (await api.get(`/api/books/b2-${format}`)).body.data;
+            assert.equal(copy.title, 'Designing Data-Intensive Applications');
+            assert.deepEqual(copy.tags, ['data', 'systems']);
+        }
+    });
+
+    it('maps CSV columns and reports the mapping it used', async () => {
+        const data = 'Book Title,Year,Shelf\r\nMapped,2011,3\r\n';
+        const res = await api.post('/api/books/bulk', { format: 'csv', data, columns: { 'Book Title': 'title' } });
+        assert.equal(res.status, 200, res.text);
+        assert.deepEqual(res.body.meta.columns, { 'Book Title': 'title', Year: 'year', Shelf: null });
+        assert.equal(res.body.data[0].record.year, 2011);
+        const bad = await api.post('/api/books/bulk', { format: 'csv', data, columns: { Shelf: 'shelf' } });
+        assert.equal(bad.status, 400);
+    });
+
+    it('points at the line of malformed input', async () => {
+        const cases = [
+            ['ndjson', '{"title":"ok"}\n\n{"title":', 3],
+            ['csv', 'title\r\nfine\r\n"open', 3],
+            ['bibtex', '@book{k1, title = {A}}\n\n@book{k2, title = {unbalanced}\n', 3],
+        ];
+        for (const [format, data, line] of cases) {
+            const res = await api.post('/api/books/bulk', { format, data });
+            assert.equal(res.status, 400, format);
+            assert.equal(res.body.error.details.line, line, format);
+        }
+        assert.equal((await api.post('/api/books/bulk', { format: 'csv' })).status, 400);
+    });
+});
@@ -0,0 +1,133 @@
+// Starts a real server for a test file: a copy of the app in a temporary directory (so
+// data.json, the journal, users.json, ... start fresh), on a free port, with the admin
+// password known. Requests go over HTTP, the way clients make them.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const APP = path.join(__dirname, '..');
+const ADMIN_PASSWORD = 'admin-password';
+// Generous limits, so only the rate limit tests (which bring their own) ever see a 429.
+const RATE_LIMITS = { default: { limit: 100000, window: 60 }, routes: [] };
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const s = net.createServer();
+        s.unref();
+        s.on('error', reject);
+        s.listen(0, () => { const { port } = s.address(); s.close(() => resolve(port)); });
+    });
+}
+
+function copyApp(dir) {
+    for (const entry of ['server.js', 'lib', 'public']) fs.cpSync(path.join(APP, entry), path.join(dir, entry), { recursive: true });
+}
+
+// A caller: cookie session (from login) or bearer token, or anonymous.
+function createClient(base, auth = {}) {
+    async function request(method, pathname, { body, headers = {}, type } = {}) {
+        const h = { ...headers };
+        if (auth.cookie) h.Cookie = auth.cookie;
+        if (auth.token) h.Authorization = `Bearer ${auth.token}`;
+        let payload;
+        if (body !== undefined) {
+            payload = typeof body === 'string' ? body : JSON.stringify(body);
+            h['Content-Type'] = type || h['Content-Type'] || 'application/json';
+        }
+        const res = await fetch(base + pathname, { method, headers: h, body: payload });
+        const text = await res.text();
+        let json;
+        try { json = JSON.parse(text); } catch { json = undefined; }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+    const call = (method) => (pathname, body, options = {}) => request(method, pathname, { ...options, body });
+    return {
+        request,
+        get: (pathname, options) => request('GET', pathname, options),
+        post: call('POST'), put: call('PUT'), patch: call('PATCH'), delete: call('DELETE'),
+    };
+}
+
+// options: env (extra environment), files ({ name: contents } written before the start),
+// dir (reuse a directory, e.g. after stop({ keep: true })).
+async function startServer({ env = {}, files = {}, dir } = {}) {
+    dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'csp-test-'));
+    if (!fs.existsSync(path.join(dir, 'server.js'))) {
+        copyApp(dir);
+        fs.writeFileSync(path.join(dir, 'ratelimits.json'), JSON.stringify(RATE_LIMITS));
+    }
+    for (const [name, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: dir,
+        env: { ...process.env, PORT: String(port), ADMIN_PASSWORD, WEBHOOK_RETRY_BASE_MS: '50', ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    child.stdout.on('data', (c) => { output += c; });
+    child.stderr.on('data', (c) => { output += c; });
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+
+    const base = `http://127.0.0.1:${port}`;
+    for (let i = 0; ; i++) {
+        try {
+            if ((await fetch(base + '/api/health/live')).ok) break;
+        } catch { /* not listening yet */ }
+        if (child.exitCode !== null || i > 100) throw new Error(`Server did not start:\n${output}`);
+        await new Promise((r) => setTimeout(r, 50));
+    }
+
+    const server = {
+        dir, port, base,
+        output: () => output,
+        file: (name) => path.join(dir, name),
+        anonymous: createClient(base),
+        withToken: (token) => createClient(base, { token }),
+        async login(username = 'admin', password = ADMIN_PASSWORD) {
+            const res = await fetch(base + '/api/auth/login', {
+                method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }),
+            });
+            if (res.status !== 200) throw new Error(`Login as ${username} failed with ${res.status}`);
+            return createClient(base, { cookie: res.headers.get('set-cookie').split(';')[0] });
+        },
+        // A signed-in client with the given role (the user is created by admin on first use).
+        async as(role) {
+            if (role === 'admin') return server.login();
+            const admin = await server.login();
+            const username = `${role}-user`;
+            const created = await admin.post('/api/users', { username, password: 'password-1', role });
+            if (created.status !== 201 && created.status !== 409) throw new Error(`Creating ${username} failed with ${created.status}`);
+            return server.login(username, 'password-1');
+        },
+        // SIGTERM, so the server snapshots and saves its state the way it does in production;
+        // SIGKILL stands in for a crash.
+        async stop({ keep = false, signal = 'SIGTERM' } = {}) {
+            if (child.exitCode === null) child.kill(signal);
+            await exited;
+            if (!keep) fs.rmSync(dir, { recursive: true, force: true });
+        },
+        // Stops and starts again on the same directory.
+        async restart({ signal, ...options } = {}) {
+            await server.stop({ keep: true, signal });
+            return startServer({ ...options, dir });
+        },
+    };
+    return server;
+}
+
+// Runs `node server.js <args>` in a directory and resolves with { code, stdout, stderr }.
+function runCli(dir, args, env = {}) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, ['server.js', ...args], { cwd: dir, env: { ...process.env, ...env } });
+        let stdout = '', stderr = '';
+        child.stdout.on('data', (c) => { stdout += c; });
+        child.stderr.on('data', (c) => { stderr += c; });
+        child.on('exit', (code) => resolve({ code, stdout, stderr }));
+    });
+}
+
+module.exports = { startServer, runCli, createClient, ADMIN_PASSWORD };
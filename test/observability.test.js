@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('logging, metrics and tracing', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    // The access log line is written once the response has closed.
+    async function logLine(requestId) {
+        for (let i = 0; i < 50; i++) {
+            const line = server.output().split('\n').find(l => l.includes(`"requestId":"${requestId}"`));
+            if (line) return JSON.parse(line);
+            await new Promise(r => setTimeout(r, 20));
+        }
+        throw new Error(`No log line for ${requestId}`);
+    }
+
+    it('echoes a well-formed X-Request-Id and puts it in errors and the log', async () => {
+        const res = await api.get('/api/books/nope', { headers: { 'X-Request-Id': 'trace-123' } });
+        assert.equal(res.status, 404);
+        assert.equal(res.headers.get('x-request-id'), 'trace-123');
+        assert.equal(res.body.error.requestId, 'trace-123');
+
+        const line = await logLine('trace-123');
+        assert.deepEqual(
+            { level: line.level, msg: line.msg, method: line.method, route: line.route, status: line.status, user: line.user },
+            { level: 'info', msg: 'request', method: 'GET', route: '/api/books/:id', status: 404, user: 'admin' });
+        assert.equal(typeof line.ms, 'number');
+    });
+
+    it('makes up a request id when there is none or it is malformed', async () => {
+        const res = await api.get('/api/books', { headers: { 'X-Request-Id': 'has spaces and {braces}' } });
+        assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        assert.match((await api.get('/api/books')).headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    it('serves Prometheus metrics with route labels that collapse ids', async () => {
+        await api.get('/api/books/b1');
+        await api.get('/api/books/b2');
+        const res = await server.anonymous.get('/metrics');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+        for (const family of ['http_requests_total counter', 'http_request_duration_seconds histogram', 'persist_duration_seconds histogram',
+            'library_books gauge', 'library_journal_seq gauge', 'sse_clients gauge', 'webhook_deliveries gauge', 'ratelimit_buckets gauge']) {
+            assert.ok(res.text.includes(`# TYPE ${family}\n`), family);
+        }
+        assert.match(res.text, /^http_requests_total\{method="GET",route="\/api\/books\/:id",status="200"\} ([2-9]|\d\d+)$/m);
+        assert.match(res.text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/books\/:id",le="\+Inf"\} \d+$/m);
+        assert.match(res.text, /^library_books\{state="live"\} 3$/m);
+        assert.doesNotMatch(res.text, /route="\/api\/books\/b1"/);
+    });
+
+    it('answers liveness and readiness without a session', async () => {
+        const live = await server.anonymous.get('/api/health/live');
+        assert.equal(live.body.data.status, 'ok');
+        const ready = await server.anonymous.get('/api/health/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body.data.checks, { db: true, dataWritable: true, journalWritable: true });
+    });
+});
+
+describe('metrics token', () => {
+    it('guards /metrics with METRICS_TOKEN when it is set', async () => {
+        const server = await startServer({ env: { METRICS_TOKEN: 'scrape-me' } });
+        try {
+            assert.equal((await server.anonymous.get('/metrics')).status, 401);
+            assert.equal((await server.withToken('wrong').get('/metrics')).status, 401);
+            assert.equal((await server.withToken('scrape-me').get('/metrics')).status, 200);
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,45 @@
+// The offline client runs in the browser; these check the server side it depends on: the
+// files the service worker precaches, and the answers app.js's outbox replay acts on.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./harness');
+
+const SW_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf-8');
+
+describe('offline client support', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('serves every file of the app shell the worker precaches', async () => {
+        const shell = JSON.parse(SW_SOURCE.match(/const SHELL = (\[.*\]);/)[1].replace(/'/g, '"'));
+        assert.ok(shell.length);
+        for (const file of shell) assert.equal((await server.anonymous.get(file)).status, 200, file);
+    });
+
+    it('serves the worker itself for revalidation on every load', async () => {
+        const res = await server.anonymous.get('/sw.js');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('cache-control'), 'no-cache');
+        assert.equal(res.headers.get('content-type'), 'application/javascript; charset=utf-8');
+    });
+
+    it('answers a replayed edit that lost a race with what the merge dialog needs', async () => {
+        const seen = await api.get('/api/books/b1');
+        await api.patch('/api/books/b1', { title: 'Changed while offline', version: 1 });
+        const replay = await api.patch('/api/books/b1', { rating: 3, version: 1 }, { headers: { 'If-Match': seen.headers.get('etag') } });
+        assert.equal(replay.status, 412);
+        assert.equal(replay.body.error.details.current.title, 'Changed while offline');
+        assert.ok(replay.body.error.details.etag);
+    });
+
+    it('answers a replay after the session ended with 401, so the outbox keeps it', async () => {
+        const res = await server.anonymous.post('/api/books', { title: 'Queued while signed out' });
+        assert.equal(res.status, 401);
+    });
+});
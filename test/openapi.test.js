@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { startServer, runCli } = require('./harness');
+
+const CLIENT_FILE = path.join(__dirname, '..', 'public', 'api-client.mjs');
+
+describe('OpenAPI document and generated client', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('serves an OpenAPI 3.1 document without a session', async () => {
+        const res = await server.anonymous.get('/api/openapi.json');
+        assert.equal(res.status, 200);
+        const doc = res.body;
+        assert.equal(doc.openapi, '3.1.0');
+        const patch = doc.paths['/api/books/{id}'].patch;
+        assert.equal(patch.operationId, 'patchBook');
+        assert.deepEqual(Object.keys(patch.requestBody.content), ['application/merge-patch+json', 'application/json-patch+json']);
+        assert.ok(['200', '400', '401', '403', '404', '409', '412', '415', '428', '429'].every(s => s in patch.responses));
+        assert.ok(doc.components.schemas.Book && doc.components.schemas.AuthorInput);
+        const ids = Object.values(doc.paths).flatMap(p => Object.values(p).map(op => op.operationId));
+        assert.equal(new Set(ids).size, ids.length, 'operationIds are unique');
+        const again = await server.anonymous.get('/api/openapi.json', { headers: { 'If-None-Match': res.headers.get('etag') } });
+        assert.equal(again.status, 304);
+    });
+
+    it('describes the query language and facets the way the server implements them', async () => {
+        const doc = (await server.anonymous.get('/api/openapi.json')).body;
+        const list = doc.paths['/api/books'].get;
+        assert.match(list.parameters.find(p => p.name === 'q').schema.description, /field:\[a TO b\]/);
+        const facet = doc.components.schemas.Facet;
+        assert.deepEqual(facet.required, ['value', 'count', 'filter']);
+
+        const res = await api.get('/api/books?facets=tags,rating');
+        assert.equal(res.status, 200);
+        const items = Object.values(res.body.meta.facets).flat();
+        assert.ok(items.length);
+        for (const item of items) assert.deepEqual(Object.keys(item).filter(k => !(k in facet.properties)), [], JSON.stringify(item));
+        assert.equal((await api.get(`/api/books?q=${encodeURIComponent(items[0].filter)}`)).status, 200);
+    });
+
+    it('checks requests against the document before the handlers run', async () => {
+        const res = await api.get('/api/books?limit=abc&dir=sideways');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION');
+        assert.deepEqual(res.body.error.details.map(p => p.split(' ')[0]), ['dir', 'limit']);
+        const body = await api.post('/api/users', { username: 'ok-name', password: 'password-1', role: 'root' });
+        assert.equal(body.status, 400);
+        assert.ok(body.body.error.details.some(p => p.startsWith('role')));
+    });
+
+    it('refuses malformed percent-encoding in a path segment', async () => {
+        const res = await api.get('/api/books/%E0%A4%A');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION');
+        assert.deepEqual(res.body.error.details, { segment: '%E0%A4%A' });
+        assert.equal((await api.get('/api/books/b%31')).body.data.id, 'b1');
+    });
+
+    it('ships a client generated from the current document', async () => {
+        assert.doesNotMatch(server.output(), /does not match the API/);
+        const run = await runCli(server.dir, ['generate-client']);
+        assert.equal(run.code, 0, run.stderr);
+        assert.equal(fs.readFileSync(path.join(server.dir, 'public', 'api-client.mjs'), 'utf-8'), fs.readFileSync(CLIENT_FILE, 'utf-8'));
+    });
+
+    it('calls the API through the generated client', async () => {
+        const { token } = (await api.post('/api/auth/tokens', { name: 'sdk' })).body.data;
+        const { createClient, ApiError } = await import(pathToFileURL(CLIENT_FILE));
+        const sdk = createClient({ baseUrl: server.base, token });
+
+        const list = await sdk.listBooks({ q: 'kleppmann', limit: 10 });
+        assert.deepEqual(list.data.map(b => b.id), ['b2']);
+        const book = await sdk.getBook({ id: 'b2' });
+        const patched = await sdk.patchBook({ id: 'b2', body: { rating: 5 }, etag: book.etag });
+        assert.equal(patched.data.rating, 5);
+        const jsonPatched = await sdk.patchBook({ id: 'b2', body: [{ op: 'test', path: '/version', value: 2 }, { op: 'replace', path: '/rating', value: 4 }] });
+        assert.equal(jsonPatched.data.version, 3);
+
+        await assert.rejects(sdk.getBook({ id: 'missing' }), (e) => e instanceof ApiError && e.status === 404 && e.code === 'NOT_FOUND' && !!e.requestId);
+        assert.throws(() => sdk.getBook({}), TypeError);
+    });
+});
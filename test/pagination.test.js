@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('cursor pagination', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+        for (const title of ['Alpha', 'Beta', 'Gamma', 'Delta']) await api.post('/api/books', { title });
+    });
+    after(() => server.stop());
+
+    const page = async (query) => {
+        const res = await api.get(`/api/books?${query}`);
+        assert.equal(res.status, 200, res.text);
+        return res;
+    };
+
+    it('walks forward with nextCursor and back with prevCursor', async () => {
+        const all = (await page('sort=title&limit=100')).body.data.map(b => b.title);
+        assert.equal(all.length, 7);
+
+        const forward = [];
+        let res = await page('sort=title&limit=3');
+        const cursors = [];
+        for (;;) {
+            forward.push(...res.body.data.map(b => b.title));
+            if (!res.body.meta.nextCursor) break;
+            cursors.push(res.body.meta.nextCursor);
+            res = await page(`sort=title&limit=3&after=${res.body.meta.nextCursor}`);
+        }
+        assert.deepEqual(forward, all);
+        assert.equal(cursors.length, 2);
+
+        const backward = [...res.body.data.map(b => b.title)];
+        while (res.body.meta.prevCursor) {
+            res = await page(`sort=title&limit=3&before=${res.body.meta.prevCursor}`);
+            backward.unshift(...res.body.data.map(b => b.title));
+        }
+        assert.deepEqual(backward, all);
+        assert.equal(res.body.meta.offset, 0);
+    });
+
+    it('keeps its place when rows are added before the cursor', async () => {
+        const first = await page('sort=title&limit=2');
+        const seen = first.body.data.map(b => b.id);
+        await api.post('/api/books', { title: 'Aardvark' });
+        const second = await page(`sort=title&limit=2&after=${first.body.meta.nextCursor}`);
+        for (const b of second.body.data) assert.ok(!seen.includes(b.id), `${b.id} shown twice`);
+        assert.ok(second.body.data[0].title > first.body.data[1].title);
+    });
+
+    it('orders descending and breaks ties by id', async () => {
+        const res = await page('sort=year&dir=desc&limit=100');
+        const keys = res.body.data.map(b => [b.year ?? '', b.id]);
+        const sorted = [...keys].sort((a, b) => (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : a[1] < b[1] ? 1 : -1));
+        assert.deepEqual(keys, sorted);
+    });
+
+    it('sends RFC 8288 Link headers', async () => {
+        const cursor = await page('sort=title&limit=2');
+        const next = cursor.body.meta.nextCursor;
+        const mid = await page(`sort=title&limit=2&after=${next}`);
+        const link = mid.headers.get('link');
+        assert.match(link, /rel="first"/);
+        assert.match(link, new RegExp(`after=${mid.body.meta.nextCursor}>; rel="next"`));
+        assert.match(link, new RegExp(`before=${mid.body.meta.prevCursor}>; rel="prev"`));
+
+        const offset = await page('sort=title&limit=2&offset=2');
+        assert.match(offset.headers.get('link'), /offset=0>; rel="prev"/);
+        assert.match(offset.headers.get('link'), /offset=4>; rel="next"/);
+    });
+
+    it('rejects bad cursors and cursors from another sort', async () => {
+        const res = await api.get('/api/books?after=not-a-cursor');
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.error.details, { param: 'after' });
+
+        const byTitle = await page('sort=title&limit=2');
+        const other = await api.get(`/api/books?sort=year&limit=2&after=${byTitle.body.meta.nextCursor}`);
+        assert.equal(other.status, 400);
+        assert.match(other.body.error.message, /does not match the current sort/);
+
+        const both = await api.get(`/api/books?after=${byTitle.body.meta.nextCursor}&before=${byTitle.body.meta.nextCursor}`);
+        assert.equal(both.status, 400);
+    });
+
+    it('answers If-None-Match with 304', async () => {
+        const res = await page('sort=title&limit=2');
+        const again = await api.get('/api/books?sort=title&limit=2', { headers: { 'If-None-Match': res.headers.get('etag') } });
+        assert.equal(again.status, 304);
+    });
+});
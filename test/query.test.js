@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('filter query language (q)', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    const ids = async (q, extra = '') => {
+        const res = await api.get(`/api/books?q=${encodeURIComponent(q)}&sort=id${extra}`);
+        assert.equal(res.status, 200, res.text);
+        return res.body.data.map(b => b.id);
+    };
+
+    it('matches field substrings, comparisons and ranges', async () => {
+        assert.deepEqual(await ids('author:kleppmann'), ['b2']);
+        assert.deepEqual(await ids('year>=2018'), ['b3']);
+        assert.deepEqual(await ids('rating:[4.5 TO 4.6]'), ['b1', 'b3']);
+        assert.deepEqual(await ids('rating:{4.5 TO 4.6]'), ['b1']);
+        assert.deepEqual(await ids('year:[* TO 2017]'), ['b1', 'b2']);
+        assert.deepEqual(await ids('tag:javascript'), ['b3']);
+    });
+
+    it('combines terms with AND, OR, NOT, minus and parentheses', async () => {
+        assert.deepEqual(await ids('year:2017 AND rating>4.7'), ['b2']);
+        assert.deepEqual(await ids('author:simpson OR author:martin'), ['b1', 'b2', 'b3']);
+        assert.deepEqual(await ids('year:2017 -tag:data'), ['b1']);
+        assert.deepEqual(await ids('NOT (year:2017 OR rating<4)'), ['b3']);
+    });
+
+    it('reports the position and token of a syntax error', async () => {
+        const cases = [
+            ['year>>2000', 5, '>', /expected a value/],
+            ['(author:martin', 14, '', /expected "\)"/],
+            ['colour:red', 0, 'colour', /unknown field "colour"/],
+            ['title>b', 5, '>', /does not support ranges/],
+            ['year:abc', 5, 'abc', /expects a number/],
+            ['a "open', 2, '"open', /unterminated quoted string/],
+            ['year:[2000 TO 2010', 18, '', /expected "\]" or "\}"/],
+        ];
+        for (const [q, position, token, message] of cases) {
+            const res = await api.get(`/api/books?q=${encodeURIComponent(q)}`);
+            assert.equal(res.status, 400, q);
+            assert.equal(res.body.error.code, 'VALIDATION', q);
+            assert.match(res.body.error.message, message, q);
+            assert.deepEqual(res.body.error.details, { param: 'q', position, token }, q);
+        }
+    });
+
+    it('checks fields against the queried collection', async () => {
+        const res = await api.get(`/api/authors?q=${encodeURIComponent('year:2017')}`);
+        assert.equal(res.status, 400);
+        assert.match(res.body.error.message, /unknown field "year"/);
+        const authors = await api.get(`/api/authors?q=${encodeURIComponent('name:kyle')}`);
+        assert.deepEqual(authors.body.data.map(a => a.id), ['a3']);
+    });
+});
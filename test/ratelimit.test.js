@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer } = require('./harness');
+
+const config = (tokens = {}) => ({
+    default: { limit: 1000, window: 60 },
+    routes: [{ name: 'books', path: '^/api/books$', methods: ['GET'], limit: 3, window: 60 }],
+    tokens,
+});
+
+describe('rate limiting', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer({ files: { 'ratelimits.json': config() } });
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('lets a burst through, then answers 429 with Retry-After', async () => {
+        const remaining = [];
+        for (let i = 0; i < 3; i++) {
+            const res = await api.get('/api/books');
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('ratelimit-limit'), '3');
+            assert.equal(res.headers.get('ratelimit-policy'), '3;w=60');
+            remaining.push(res.headers.get('ratelimit-remaining'));
+        }
+        assert.deepEqual(remaining, ['2', '1', '0']);
+        const limited = await api.get('/api/books');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.error.code, 'RATE_LIMIT');
+        assert.equal(limited.body.error.details.route, 'books');
+        assert.equal(limited.headers.get('retry-after'), '20');
+        assert.equal((await api.get('/api/authors')).status, 200, 'other routes have their own bucket');
+        assert.equal((await api.get('/api/books?limit=1')).status, 429, 'the query string does not matter');
+    });
+
+    it('shows admins the emptiest buckets and lets them refill a client', async () => {
+        const state = await api.get('/api/admin/ratelimits?client=127.0.0.1');
+        assert.equal(state.status, 200);
+        const { route, client, limit, remaining } = state.body.data[0];
+        assert.deepEqual({ route, client, limit, remaining }, { route: 'books', client: 'ip:127.0.0.1', limit: 3, remaining: 0 });
+        assert.equal(state.body.meta.source, server.file('ratelimits.json'));
+
+        const editor = await server.as('editor');
+        assert.equal((await editor.delete('/api/admin/ratelimits')).status, 403);
+        const reset = await api.delete('/api/admin/ratelimits?client=127.0.0.1');
+        assert.ok(reset.body.data.reset >= 1);
+        assert.equal((await api.get('/api/books')).status, 200);
+    });
+
+    it('keeps buckets across restarts and applies per-token policies', async () => {
+        const { id, token } = (await api.post('/api/auth/tokens', { name: 'partner' })).body.data;
+        for (let i = 0; i < 3; i++) await api.get('/api/books');
+
+        await server.stop({ keep: true });
+        fs.writeFileSync(server.file('ratelimits.json'), JSON.stringify(config({ [id]: { routes: { books: { limit: 5, window: 60 } } } })));
+        server = await server.restart();
+        api = await server.login();
+        assert.equal((await api.get('/api/books')).status, 429, 'the address is still out of tokens');
+
+        const partner = server.withToken(token);
+        const statuses = [];
+        for (let i = 0; i < 6; i++) statuses.push((await partner.get('/api/books')).status);
+        assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('revision history, diff and revert', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+        await api.post('/api/books', { id: 'r1', title: 'First title', year: 2001 });
+        await api.patch('/api/books/r1', { title: 'Second title', version: 1 });
+        await api.patch('/api/books/r1', { year: 2003, tags: ['x'], version: 2 });
+    });
+    after(() => server.stop());
+
+    it('lists every version with the fields it changed', async () => {
+        const res = await api.get('/api/books/r1/revisions');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.meta.total, 3);
+        assert.deepEqual(res.body.data.map(r => r.version), [1, 2, 3]);
+        assert.deepEqual(res.body.data[1].changes, [{ field: 'title', from: 'First title', to: 'Second title' }]);
+        assert.deepEqual(res.body.data[2].changes.map(c => c.field), ['year', 'tags']);
+        assert.equal(res.body.data[2].updatedBy, 'admin');
+    });
+
+    it('returns one stored version', async () => {
+        const res = await api.get('/api/books/r1/revisions/1');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.title, 'First title');
+        assert.equal((await api.get('/api/books/r1/revisions/9')).status, 404);
+        assert.equal((await api.get('/api/books/nope/revisions')).status, 404);
+    });
+
+    it('diffs two versions, up to the latest by default', async () => {
+        const res = await api.get('/api/books/r1/diff?from=1');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.meta, { from: 1, to: 3 });
+        assert.deepEqual(res.body.data.map(c => c.field), ['title', 'year', 'tags']);
+        const partial = await api.get('/api/books/r1/diff?from=2&to=3');
+        assert.deepEqual(partial.body.data.map(c => [c.field, c.from, c.to]), [['year', 2001, 2003], ['tags', [], ['x']]]);
+    });
+
+    it('writes an old version as the newest one', async () => {
+        const res = await api.post('/api/books/r1/revert', { toVersion: 1, version: 3 });
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.version, 4);
+        assert.equal(res.body.data.title, 'First title');
+        assert.equal(res.body.data.year, 2001);
+        assert.deepEqual(res.body.data.tags, []);
+        const stale = await api.post('/api/books/r1/revert', { toVersion: 2, version: 3 });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.error.code, 'VERSION_CONFLICT');
+        assert.equal(stale.body.error.details.current.version, 4);
+    });
+
+    it('needs toVersion and the editor role to revert', async () => {
+        assert.equal((await api.post('/api/books/r1/revert', {})).status, 400);
+        const viewer = await server.as('viewer');
+        assert.equal((await viewer.post('/api/books/r1/revert', { toVersion: 1 })).status, 403);
+        assert.equal((await viewer.get('/api/books/r1/revisions')).status, 200);
+    });
+
+    it('keeps the history of a record in the trash', async () => {
+        assert.equal((await api.delete('/api/books/r1')).status, 200);
+        const res = await api.get('/api/books/r1/revisions');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.at(-1).changes[0].field, 'deletedAt');
+    });
+});
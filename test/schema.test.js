@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('declarative schema', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    it('publishes every collection definition', async () => {
+        const res = await api.get('/api/schema');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(c => c.name), ['books', 'authors', 'publishers', 'loans', 'holds']);
+        const again = await api.get('/api/schema', { headers: { 'If-None-Match': res.headers.get('etag') } });
+        assert.equal(again.status, 304);
+
+        const books = (await api.get('/api/schema/books')).body.data;
+        assert.deepEqual(Object.keys(books).sort(), ['defaultSort', 'display', 'fields', 'label', 'managed', 'name', 'noun']);
+        const year = books.fields.find(f => f.name === 'year');
+        assert.deepEqual([year.type, year.min, year.max, year.default], ['integer', 0, 3000, null]);
+        assert.equal(books.fields.find(f => f.name === 'authorId').ref, 'authors');
+        assert.equal((await api.get('/api/schema/magazines')).status, 404);
+    });
+
+    it('fills defaults and coerces values from the field definitions', async () => {
+        const res = await api.post('/api/books', { id: 's1', title: 'Defaults', year: '1999', rating: 4.26 });
+        assert.equal(res.status, 201, res.text);
+        const b = res.body.data;
+        assert.deepEqual([b.year, b.rating, b.author, b.tags, b.isbn, b.availability], [1999, 4.3, 'Unknown', [], null, 'available']);
+    });
+
+    it('reports every field that breaks its definition', async () => {
+        const res = await api.post('/api/books', { title: 'Broken', year: 3001, isbn: '12-34', language: 'xx', tags: Array(21).fill('t') });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION');
+        assert.deepEqual(res.body.error.details, [
+            'year must be at most 3000',
+            'isbn has an invalid format',
+            'language must be one of en, de, fr, es, it, pt, nl, ru, ja, zh, other',
+            'tags allows at most 20 items',
+        ]);
+        const empty = await api.post('/api/books', { title: '' });
+        assert.deepEqual(empty.body.error.details, ['title is required']);
+    });
+
+    it('keeps readOnly fields in the hands of the server', async () => {
+        const res = await api.patch('/api/books/s1', { availability: 'on-loan', version: 1 });
+        assert.equal((await api.get('/api/books/s1')).body.data.availability, 'available', res.text);
+    });
+});
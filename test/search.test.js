@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('full-text search', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+        await api.post('/api/books', { id: 's1', title: 'Martin and the Patterns', author: 'Someone Else', tags: ['design'] });
+    });
+    after(() => server.stop());
+
+    const ids = async (query) => {
+        const res = await api.get(`/api/books?${query}`);
+        assert.equal(res.status, 200, res.text);
+        return res.body.data.map(b => b.id);
+    };
+
+    it('ranks title matches above author matches', async () => {
+        const res = await api.get('/api/books?q=martin&sort=relevance');
+        assert.deepEqual(res.body.data.map(b => b.id).slice(0, 1), ['s1']);
+        assert.deepEqual(res.body.data.map(b => b.id).sort(), ['b1', 'b2', 's1']);
+        const { scores } = res.body.meta;
+        assert.ok(scores.s1 > scores.b1 && scores.s1 > scores.b2);
+    });
+
+    it('matches stems and prefixes', async () => {
+        assert.deepEqual(await ids('q=pattern'), ['s1']);
+        assert.deepEqual((await ids('q=designs')).sort(), ['b2', 's1']);
+        assert.deepEqual(await ids('q=architectures'), ['b1']);
+        assert.deepEqual(await ids('q=kleppm'), ['b2']);
+    });
+
+    it('forgives a swapped pair of letters as one edit', async () => {
+        // Levenshtein counts "martni" -> "martin" as two substitutions; OSA counts one swap.
+        assert.deepEqual((await ids('q=martni&sort=relevance')).sort(), ['b1', 'b2', 's1']);
+        assert.deepEqual(await ids('q=kyel'), ['b3']);
+        assert.deepEqual(await ids('q=smipson'), ['b3']);
+        assert.deepEqual(await ids('q=kyle%20mrtnia'), []);
+    });
+
+    it('reports the matched ranges of every field', async () => {
+        const res = await api.get('/api/books?q=martin%20design');
+        assert.deepEqual(res.body.meta.highlights, {
+            b2: { title: [[0, 9]], author: [[0, 6]] },
+            s1: { title: [[0, 6]], tags: [[[0, 6]]] },
+        });
+        const phrase = await api.get('/api/books?q="robert martin"');
+        assert.deepEqual(phrase.body.meta.highlights, { b1: { author: [[0, 6], [10, 16]] } });
+    });
+
+    it('keeps the index current as records change', async () => {
+        await api.patch('/api/books/s1', { title: 'Renamed', version: 1 });
+        assert.deepEqual(await ids('q=pattern'), []);
+        assert.deepEqual(await ids('q=renamed'), ['s1']);
+        await api.delete('/api/books/s1');
+        assert.deepEqual(await ids('q=renamed'), []);
+    });
+});
+
+describe('edit distance', () => {
+    const { editDistance } = require('../lib/search');
+
+    it('counts a swap of adjacent letters as one edit', () => {
+        assert.equal(editDistance('martni', 'martin', 2), 1);
+        assert.equal(editDistance('kyel', 'kyle', 1), 1);
+        assert.equal(editDistance('smipson', 'simpson', 2), 1);
+        assert.equal(editDistance('kitten', 'sitting', 3), 3);
+    });
+
+    it('gives up at max + 1', () => {
+        assert.equal(editDistance('design', 'kleppmann', 2), 3);
+        assert.equal(editDistance('ab', 'abcdef', 2), 3);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { startServer } = require('./harness');
+
+const STYLES = fs.readFileSync(path.join(__dirname, '..', 'public', 'styles.css'));
+
+// fetch() decodes bodies and hides Content-Encoding's effect; this sends exactly the
+// headers given and hands back the raw bytes.
+function raw(base, pathname, headers = {}, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request(base + pathname, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+describe('static files', () => {
+    let server;
+    before(async () => {
+        server = await startServer({
+            files: { 'public/app.0123abcd.js': 'console.log("fingerprinted");\n', 'public/.secret': 'hidden' },
+        });
+    });
+    after(() => server.stop());
+
+    it('compresses text with the best encoding the client accepts', async () => {
+        const br = await raw(server.base, '/styles.css', { 'Accept-Encoding': 'gzip, br' });
+        assert.equal(br.headers['content-encoding'], 'br');
+        assert.deepEqual(zlib.brotliDecompressSync(br.body), STYLES);
+        assert.match(br.headers.vary, /Accept-Encoding/);
+
+        const gzip = await raw(server.base, '/styles.css', { 'Accept-Encoding': 'gzip, br;q=0' });
+        assert.equal(gzip.headers['content-encoding'], 'gzip');
+        assert.deepEqual(zlib.gunzipSync(gzip.body), STYLES);
+        assert.notEqual(gzip.headers.etag, br.headers.etag, 'each encoding has its own ETag');
+
+        const identity = await raw(server.base, '/styles.css');
+        assert.equal(identity.headers['content-encoding'], undefined);
+        assert.equal(Number(identity.headers['content-length']), STYLES.length);
+    });
+
+    it('revalidates with ETag and Last-Modified', async () => {
+        const first = await raw(server.base, '/styles.css');
+        assert.equal(first.headers['cache-control'], 'no-cache');
+        const byEtag = await raw(server.base, '/styles.css', { 'If-None-Match': first.headers.etag });
+        assert.equal(byEtag.status, 304);
+        assert.equal(byEtag.body.length, 0);
+        const byDate = await raw(server.base, '/styles.css', { 'If-Modified-Since': first.headers['last-modified'] });
+        assert.equal(byDate.status, 304);
+        const stale = await raw(server.base, '/styles.css', { 'If-None-Match': '"other"', 'If-Modified-Since': first.headers['last-modified'] });
+        assert.equal(stale.status, 200, 'If-None-Match wins over If-Modified-Since');
+    });
+
+    it('serves single byte ranges and refuses unsatisfiable ones', async () => {
+        const part = await raw(server.base, '/styles.css', { Range: 'bytes=0-9', 'Accept-Encoding': 'gzip' });
+        assert.equal(part.status, 206);
+        assert.equal(part.headers['content-range'], `bytes 0-9/${STYLES.length}`);
+        assert.equal(part.headers['content-encoding'], undefined);
+        assert.deepEqual(part.body, STYLES.subarray(0, 10));
+
+        const tail = await raw(server.base, '/styles.css', { Range: 'bytes=-5' });
+        assert.deepEqual(tail.body, STYLES.subarray(-5));
+
+        const beyond = await raw(server.base, '/styles.css', { Range: `bytes=${STYLES.length}-` });
+        assert.equal(beyond.status, 416);
+        assert.equal(beyond.headers['content-range'], `bytes */${STYLES.length}`);
+
+        const changed = await raw(server.base, '/styles.css', { Range: 'bytes=0-9', 'If-Range': '"not-the-etag"' });
+        assert.equal(changed.status, 200, 'a stale If-Range gets the whole file');
+    });
+
+    it('caches fingerprinted files for a year', async () => {
+        const res = await raw(server.base, '/app.0123abcd.js');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['cache-control'], 'public, max-age=31536000, immutable');
+    });
+
+    it('never leaves public/ or serves dotfiles', async () => {
+        for (const p of ['/.secret', '/%2e%2e/server.js', '/..%2fserver.js', '/%2e%2e%2fratelimits.json', '/nope.js', '/%E0%A4%A'])
+            assert.equal((await raw(server.base, p)).status, 404, p);
+        assert.equal((await raw(server.base, '/styles.css', {}, 'POST')).status, 405);
+    });
+
+    it('answers HTML navigations to unknown paths with the app shell', async () => {
+        const index = fs.readFileSync(server.file('public/index.html'), 'utf-8');
+        const nav = await server.anonymous.get('/books/b1', { headers: { Accept: 'text/html' } });
+        assert.equal(nav.status, 200);
+        assert.equal(nav.text, index);
+        assert.equal((await server.anonymous.get('/books/b1', { headers: { Accept: 'application/json' } })).status, 404);
+        assert.equal((await server.anonymous.get('/')).text, index);
+    });
+
+    it('sends the security headers with every response', async () => {
+        for (const p of ['/', '/api/health/live']) {
+            const res = await raw(server.base, p);
+            assert.match(res.headers['content-security-policy'], /default-src 'self'.*frame-ancestors 'none'/);
+            assert.equal(res.headers['x-content-type-options'], 'nosniff');
+            assert.equal(res.headers['x-frame-options'], 'DENY');
+            assert.equal(res.headers['referrer-policy'], 'same-origin');
+        }
+    });
+});
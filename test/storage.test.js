@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startServer, runCli } = require('./harness');
+
+describe('storage backends', () => {
+    it('keeps the catalog in the append-only log store across restarts and crashes', async () => {
+        const env = { STORAGE: 'log' };
+        let server = await startServer({ env });
+        try {
+            let api = await server.login();
+            await api.post('/api/books', { id: 'l1', title: 'Logged', year: 1990 });
+            await api.patch('/api/books/l1', { year: 1991, version: 1 });
+            await api.delete('/api/books/b3?permanent=true');
+            assert.ok(fs.existsSync(server.file('data.log')));
+            assert.ok(!fs.existsSync(server.file('data.json')));
+
+            server = await server.restart({ env, signal: 'SIGKILL' });
+            api = await server.login();
+            assert.equal((await api.get('/api/books/l1')).body.data.year, 1991);
+            assert.equal((await api.get('/api/books/b3')).status, 404);
+            const sorted = await api.get('/api/books?sort=year&order=asc');
+            assert.deepEqual(sorted.body.data.map(b => b.id), ['l1', 'b1', 'b2']);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    it('migrates the catalog from json to log with the CLI', async () => {
+        let server = await startServer();
+        try {
+            const api = await server.login();
+            await api.post('/api/books', { id: 'm1', title: 'Migrated' });
+            await server.stop({ keep: true });
+
+            const run = await runCli(server.dir, ['migrate', '--from', 'json', '--to', 'log']);
+            assert.equal(run.code, 0, run.stderr);
+            assert.match(run.stdout, /^Migrated 7 record\(s\) from json to log at journal seq \d+\. Start with STORAGE=log\.\n$/);
+
+            server = await startServer({ dir: server.dir, env: { STORAGE: 'log' } });
+            const migrated = await server.login();
+            assert.equal((await migrated.get('/api/books/m1')).body.data.title, 'Migrated');
+            assert.equal((await migrated.get('/api/authors')).body.meta.total, 3);
+            assert.equal((await migrated.get('/api/books/m1/revisions')).body.meta.total, 1);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    it('reports a failed migration on stderr with a non-zero exit', async () => {
+        const server = await startServer();
+        try {
+            const run = await runCli(server.dir, ['migrate', '--from', 'log', '--to', 'log']);
+            assert.equal(run.code, 1);
+            assert.equal(run.stderr, 'Migration failed: Source and target backends are the same\n');
+        } finally {
+            await server.stop();
+        }
+    });
+});
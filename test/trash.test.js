@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./harness');
+
+describe('trash', () => {
+    let server, api;
+    before(async () => {
+        server = await startServer();
+        api = await server.login();
+    });
+    after(() => server.stop());
+
+    const ids = async (query) => (await api.get(`/api/books?${query}`)).body.data.map(b => b.id).sort();
+
+    it('moves a deleted record to the trash, out of lists and lookups', async () => {
+        const res = await api.delete('/api/books/b3');
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.deletedAt);
+        assert.equal(res.body.data.version, 2);
+        assert.deepEqual(await ids(''), ['b1', 'b2']);
+        assert.deepEqual(await ids('trashed=only'), ['b3']);
+        assert.deepEqual(await ids('trashed=include'), ['b1', 'b2', 'b3']);
+        assert.equal((await api.get('/api/books/b3')).status, 404);
+        assert.equal((await api.get('/api/books?trashed=all')).status, 400);
+        assert.equal((await api.get('/api/stats')).body.data.count, 2);
+    });
+
+    it('restores a trashed record once', async () => {
+        const res = await api.post('/api/books/b3/restore');
+        assert.equal(res.status, 200);
+        assert.deepEqual([res.body.data.deletedAt, res.body.data.version], [null, 3]);
+        assert.equal((await api.post('/api/books/b3/restore')).status, 409);
+        assert.equal((await api.post('/api/books/nope/restore')).status, 404);
+    });
+
+    it('ignores references from the trash when trashing, but not when deleting for good', async () => {
+        await api.post('/api/authors', { id: 't-a', name: 'Referenced' });
+        await api.post('/api/books', { id: 't-b', title: 'Referencing', authorId: 't-a' });
+        assert.equal((await api.delete('/api/authors/t-a')).status, 409);
+        await api.delete('/api/books/t-b');
+        assert.equal((await api.delete('/api/authors/t-a')).status, 200);
+
+        const permanent = await api.delete('/api/authors/t-a?permanent=true');
+        assert.equal(permanent.status, 409);
+        assert.deepEqual(permanent.body.error.details.references, [{ collection: 'books', id: 't-b', field: 'authorId' }]);
+
+        const restore = await api.post('/api/books/t-b/restore');
+        assert.equal(restore.status, 409);
+        assert.deepEqual(restore.body.error.details.references, [{ collection: 'authors', id: 't-a', field: 'authorId' }]);
+    });
+
+    it('purges what has been in the trash long enough, references first', async () => {
+        const editor = await server.as('editor');
+        assert.equal((await editor.post('/api/admin/purge', { olderThanDays: 0 })).status, 403);
+        assert.equal((await api.post('/api/admin/purge', { olderThanDays: -1 })).status, 400);
+        assert.deepEqual((await api.post('/api/admin/purge', {})).body.data.purged, []);
+
+        const res = await api.post('/api/admin/purge', { olderThanDays: 0 });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.purged, [{ collection: 'books', id: 't-b' }, { collection: 'authors', id: 't-a' }]);
+        assert.deepEqual(res.body.data.kept, []);
+        assert.equal((await api.post('/api/books/t-b/restore')).status, 404);
+        assert.deepEqual(await ids('trashed=only'), []);
+    });
+
+    it('lets past loans and closed holds go with the book they were for', async () => {
+        await api.post('/api/books/b1/checkout', { borrower: 'alice', version: 1 });
+        const hold = (await api.post('/api/books/b1/holds', { patron: 'bob' })).body.data;
+        const lent = await api.delete('/api/books/b1');
+        assert.equal(lent.status, 409);
+        assert.deepEqual(lent.body.error.details.references.map(r => r.collection), ['loans', 'holds']);
+
+        await api.post('/api/books/b1/return', {});
+        const held = await api.delete('/api/books/b1');
+        assert.deepEqual(held.body.error.details.references.map(r => r.collection), ['holds'], 'a ready hold still counts');
+        await api.post(`/api/holds/${hold.id}/cancel`);
+
+        assert.equal((await api.delete('/api/books/b1')).status, 200);
+        const res = await api.post('/api/admin/purge', { olderThanDays: 0 });
+        assert.deepEqual(res.body.data.purged, [{ collection: 'books', id: 'b1' }]);
+        assert.deepEqual((await api.get('/api/loans?q=bookId:b1')).body.data.map(l => l.borrower), ['alice']);
+    });
+});
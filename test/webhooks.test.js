@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer } = require('./harness');
+
+// A receiver on a free port that records every POST and answers `status` (a number, or a
+// function of the request count).
+async function startReceiver() {
+    const receiver = { requests: [], status: 200 };
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf-8');
+            receiver.requests.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+            const status = typeof receiver.status === 'function' ? receiver.status(receiver.requests.length) : receiver.status;
+            res.writeHead(status).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+async function waitFor(check, what) {
+    for (let i = 0; i < 150; i++) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(r => setTimeout(r, 50));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+const verify = (secret, { headers, raw }) => {
+    const { t, v1 } = Object.fromEntries(headers['x-webhook-signature'].split(',').map(p => p.split('=')));
+    return v1 === crypto.createHmac('sha256', secret).update(`${t}.${raw}`).digest('hex');
+};
+
+describe('webhooks', () => {
+    let server, api, receiver;
+    before(async () => {
+        receiver = await startReceiver();
+        server = await startServer();
+        api = await server.login();
+    });
+    after(async () => {
+        await server.stop();
+        await receiver.close();
+    });
+
+    let hook;
+    it('subscribes a URL and shows the secret only once', async () => {
+        const editor = await server.as('editor');
+        assert.equal((await editor.post('/api/webhooks', { url: receiver.url })).status, 403);
+
+        const res = await api.post('/api/webhooks', { url: receiver.url, collections: ['books'] });
+        assert.equal(res.status, 201, res.text);
+        hook = res.body.data;
+        assert.match(hook.id, /^wh_/);
+        assert.match(hook.secret, /^whsec_/);
+        assert.deepEqual(hook.events, ['created', 'updated', 'deleted', 'bulk']);
+        const listed = (await api.get('/api/webhooks')).body.data.find(h => h.id === hook.id);
+        assert.equal(listed.secret, undefined);
+        assert.deepEqual(listed.counts, { pending: 0, delivered: 0, failed: 0, dead: 0 });
+    });
+
+    it('refuses a malformed subscription', async () => {
+        // Unknown events and collections are already refused by the OpenAPI document's schema.
+        const res = await api.post('/api/webhooks', { url: receiver.url, events: ['exploded'], collections: ['nope'] });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION');
+        assert.deepEqual(res.body.error.details.map(p => p.split(/[\s[]/)[0]), ['events', 'collections']);
+        const url = await api.post('/api/webhooks', { url: 'ftp://example.com' });
+        assert.deepEqual(url.body.error.details, ['url must be an http(s) URL']);
+        assert.equal((await api.patch('/api/webhooks/wh_missing', { active: false })).status, 404);
+    });
+
+    it('posts signed events for the collections it subscribed to', async () => {
+        await api.post('/api/authors', { name: 'Not delivered' });
+        const created = (await api.post('/api/books', { title: 'Hooked' })).body.data;
+        const req = await waitFor(() => receiver.requests.find(r => r.body.data?.id === created.id), 'the created event');
+        assert.equal(receiver.requests.length, 1, 'the authors event was not sent');
+
+        assert.ok(verify(hook.secret, req), 'the signature matches the body');
+        assert.equal(req.headers['x-webhook-event'], 'created');
+        assert.equal(req.headers['x-webhook-id'], req.body.id);
+        assert.deepEqual([req.body.webhook, req.body.attempt, req.body.event, req.body.data.collection], [hook.id, 1, 'created', 'books']);
+    });
+
+    it('retries a failing receiver until it answers 2xx', async () => {
+        receiver.requests = [];
+        receiver.status = (n) => (n <= 2 ? 500 : 204);
+        await api.patch('/api/books/b1', { rating: 4, version: 1 });
+        await waitFor(() => receiver.requests.length === 3, 'three attempts');
+        assert.deepEqual(receiver.requests.map(r => r.body.attempt), [1, 2, 3]);
+        assert.equal(new Set(receiver.requests.map(r => r.body.id)).size, 1, 'every attempt is the same delivery');
+
+        const delivered = await waitFor(async () => {
+            const res = await api.get(`/api/webhooks/${hook.id}/deliveries?status=delivered&limit=1`);
+            return res.body.data[0]?.event === 'updated' && res.body;
+        }, 'the delivery log');
+        assert.deepEqual([delivered.data[0].attempts, delivered.data[0].responseStatus], [3, 204]);
+        assert.deepEqual([delivered.meta.total, delivered.meta.status], [2, 'delivered']);
+    });
+
+    it('pings on demand and only retries what did not get through', async () => {
+        receiver.status = 200;
+        const ping = await api.post(`/api/webhooks/${hook.id}/ping`);
+        assert.deepEqual([ping.body.data.event, ping.body.data.status], ['ping', 'delivered']);
+        const again = await api.post(`/api/webhooks/${hook.id}/deliveries/${ping.body.data.id}/retry`);
+        assert.equal(again.status, 409);
+
+        // Nothing listens on the receiver's port once it has been moved elsewhere.
+        const closed = await startReceiver();
+        await closed.close();
+        await api.patch(`/api/webhooks/${hook.id}`, { url: closed.url });
+        const failed = await api.post(`/api/webhooks/${hook.id}/ping`);
+        assert.equal(failed.body.data.status, 'failed');
+        assert.ok(failed.body.data.error);
+
+        await api.patch(`/api/webhooks/${hook.id}`, { url: receiver.url });
+        receiver.requests = [];
+        const retry = await api.post(`/api/webhooks/${hook.id}/deliveries/${failed.body.data.id}/retry`);
+        assert.equal(retry.body.data.status, 'pending');
+        await waitFor(() => receiver.requests.some(r => r.body.id === failed.body.data.id), 'the redelivered ping');
+    });
+
+    it('rotates the secret and removes the subscription with its log', async () => {
+        const rotated = await api.patch(`/api/webhooks/${hook.id}`, { rotateSecret: true });
+        assert.notEqual(rotated.body.data.secret, hook.secret);
+        receiver.requests = [];
+        await api.patch('/api/books/b2', { rating: 5, version: 1 });
+        const req = await waitFor(() => receiver.requests[0], 'an event signed with the new secret');
+        assert.ok(verify(rotated.body.data.secret, req));
+        assert.ok(!verify(hook.secret, req));
+
+        assert.equal((await api.delete(`/api/webhooks/${hook.id}`)).status, 200);
+        assert.equal((await api.get(`/api/webhooks/${hook.id}/deliveries`)).status, 404);
+    });
+});
+
+describe('webhook dead letters', () => {
+    it('dead-letters a delivery after its last attempt and sends it again on request', async () => {
+        const receiver = await startReceiver();
+        receiver.status = 503;
+        const now = new Date().toISOString();
+        const hook = { id: 'wh_seeded', url: receiver.url, events: ['created'], collections: [], active: true, description: null, secret: 'whsec_seeded', createdAt: now, createdBy: 'admin', updatedAt: now };
+        const delivery = {
+            id: 'whd_seeded', webhook: hook.id, event: 'created', payload: { event: 'created', time: now, data: { collection: 'books', id: 'b1' } },
+            status: 'pending', attempts: 7, maxAttempts: 8, nextAttemptAt: now, createdAt: now, lastAttemptAt: null, responseStatus: null, error: null, durationMs: null
+        };
+        const server = await startServer({ files: { 'webhooks.json': { hooks: [hook], deliveries: [delivery] } } });
+        try {
+            const api = await server.login();
+            const dead = await waitFor(async () => (await api.get('/api/webhooks/wh_seeded/deliveries?status=dead')).body.data[0], 'the dead letter');
+            assert.deepEqual([dead.attempts, dead.responseStatus, dead.error], [8, 503, 'HTTP 503']);
+            assert.equal((await api.get('/api/webhooks/wh_seeded')).body.data.counts.dead, 1);
+            assert.match(server.output(), /Webhook delivery dead-lettered/);
+
+            receiver.status = 200;
+            const retry = await api.post('/api/webhooks/wh_seeded/deliveries/whd_seeded/retry');
+            assert.equal(retry.status, 200);
+            const delivered = await waitFor(async () => (await api.get('/api/webhooks/wh_seeded/deliveries?status=delivered')).body.data[0], 'the redelivery');
+            assert.equal(delivered.attempts, 1);
+            assert.ok(verify('whsec_seeded', receiver.requests.at(-1)));
+        } finally {
+            await server.stop();
+            await receiver.close();
+        }
+    });
+});